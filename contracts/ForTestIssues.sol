@@ -2,8 +2,13 @@
 
 pragma solidity ^0.8.16;
 
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
 contract Test {
     uint256 public x = 5;
+    string public name;
 
     function changeTo24() external {
         x = 24;
@@ -17,8 +22,57 @@ contract Test {
         x = newX[1];
     }
 
-    function reentrancy() external payable returns (bool) {
-        (bool success, ) = msg.sender.call(abi.encodeWithSignature("makeTransaction()"));
+    function changeName(string calldata newName) external {
+        name = newName;
+    }
+
+    function increaseBy(uint256 delta) external {
+        x += delta;
+    }
+
+    function increaseManyTimes(uint256 times) external {
+        for (uint256 i; i < times; ++i) {
+            x += 1;
+        }
+    }
+
+    function revertWithReason() external pure {
+        revert("Test: Reverted!");
+    }
+
+    function reentrancy(uint256 proposalId) external payable returns (bool) {
+        (bool success, ) = msg.sender.call(abi.encodeWithSignature("makeTransaction(uint256)", proposalId));
         return success;
     }
-}
\ No newline at end of file
+}
+contract TestVotesToken is ERC20Votes {
+    constructor() ERC20("Test Votes Token", "TVT") ERC20Permit("Test Votes Token") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+contract TestERC20 is ERC20 {
+    constructor() ERC20("Test Token", "TT") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+contract TestERC721 is ERC721 {
+    constructor() ERC721("Test NFT", "TNFT") {}
+
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
+
+contract TestERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    function mint(address to, uint256 id, uint256 amount) external {
+        _mint(to, id, amount, "");
+    }
+}
@@ -2,28 +2,26 @@
 
 pragma solidity ^0.8.16;
 
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
 import "./VotingForTx.sol";
 
 /**
- * @title Voting for transaction (changeable version).
+ * @title Changeable settings of voting for transaction.
  * @dev This contract inherits {VotingForTransaction} and adds posibility to change
- * time period of voting and add new voters - both actions can be done after voting
- * inside the same contract.
+ * time period of voting, approval threshold, quorum, execution delay and grace period
+ * and add, remove or replace voters - all these actions can be done after voting inside
+ * the same contract.
+ *
+ * It has no constructor, so it can be combined with other versions of the voting (see
+ * {VotingForTransaction_ChangeableProposalMakers}), {VotingForTransaction_Changeable}
+ * is the deployable version.
  */
-contract VotingForTransaction_Changeable is VotingForTransaction {
-    /**
-     * @dev See {VotingForTransaction-constructor}.
-     */
-    constructor(address[] memory voters_, uint256 timeForVoting_) VotingForTransaction(voters_, timeForVoting_) {}
-
+abstract contract VotingForTransaction_ChangeableBase is VotingForTransaction {
     /**
-     * @dev Throws an error if function is not called by the same contract address.
-     * (The only way to do this is to call {VotingForTransaction-makeTransaction}
-     * with enough votes for this.)
+     * @dev See {VotingForTransaction-_checkVoted}.
      */
-    modifier votedOnly() {
+    function _checkVoted() internal view virtual override {
         require(msg.sender == address(this), "Voting_Changeable: You should use voting to do this!");
-        _;
     }
 
     /**
@@ -47,15 +45,211 @@ contract VotingForTransaction_Changeable is VotingForTransaction {
         }
     }
 
+    /**
+     * @dev Removes voters. Their votes on proposals that are still active or queued are
+     * withdrawn (votes on other proposals are kept as history), their delegations and
+     * delegations to them are revoked. Thresholds of proposals that are already on voting
+     * are counted from the rest of voters then (see {_totalWeight}).
+     * Requirements: must be called from the same contract address, approval threshold
+     * and quorum must remain reachable with the rest of voters.
+     * @param oldVoters is an array of addresses of voters that will be removed (addresses
+     * that are not voters are skipped).
+     */
+    function removeVoters(address[] calldata oldVoters) external votedOnly {
+        uint256 oldVotersLength = oldVoters.length;
+        address oldVoter;
+        for(uint256 i; i < oldVotersLength; ) {
+            oldVoter = oldVoters[i];
+
+            if(voterStatus[oldVoter] == VoterStatus.NotVoter) { ++i; continue; }
+
+            // Replace removed voter with the last one
+            uint256 index = _indexOfVoter(oldVoter);
+            voters[index] = voters[voters.length - 1];
+            voters.pop();
+            voterStatus[oldVoter] = VoterStatus.NotVoter;
+            _moveOpenVotes(oldVoter, address(0));
+            _moveDelegations(oldVoter, address(0));
+
+            unchecked { ++i; }
+        }
+
+        require(
+            voters.length != 0 && _isThresholdReachable(approvalThreshold) && _isThresholdReachable(quorum),
+            "Voting_Changeable: Too many voters to remove!"
+        );
+    }
+
+    /**
+     * @dev Replaces one voter with another one (e.g. when voter's key must be rotated).
+     * Votes of the old voter on proposals that are still active or queued are moved to
+     * the new one, as well as his/her delegation and delegations to him/her.
+     * Requirements: must be called from the same contract address, `oldVoter` must be
+     * a voter and `newVoter` must not be.
+     * @param oldVoter is address of voter that will be replaced.
+     * @param newVoter is address of new voter.
+     */
+    function replaceVoter(address oldVoter, address newVoter) external votedOnly {
+        require(voterStatus[oldVoter] != VoterStatus.NotVoter, "Voting_Changeable: There is no such voter!");
+        require(voterStatus[newVoter] == VoterStatus.NotVoter, "Voting_Changeable: New voter is already a voter!");
+
+        voters[_indexOfVoter(oldVoter)] = newVoter;
+        voterStatus[oldVoter] = VoterStatus.NotVoter;
+        voterStatus[newVoter] = VoterStatus.IsVoter;
+        _moveOpenVotes(oldVoter, newVoter);
+        _moveDelegations(oldVoter, newVoter);
+    }
+
     /**
      * @dev Changes current time for voting.
      * Requirements: must be called from the same contract address.
      * @param newTimeForVoting is time period in seconds during which it is
-     * possible to vote and make a transaction.
+     * possible to vote.
      */
     function changeTimeForVoting(uint256 newTimeForVoting) external votedOnly {
         timeForVoting = newTimeForVoting;
     }
+
+    /**
+     * @dev Changes delay between queueing of proposals and beginning of their execution.
+     * Proposals that are already queued keep their execution time.
+     * Requirements: must be called from the same contract address.
+     * @param newExecutionDelay is time period in seconds.
+     */
+    function changeExecutionDelay(uint256 newExecutionDelay) external votedOnly {
+        executionDelay = newExecutionDelay;
+    }
+
+    /**
+     * @dev Changes period after execution delay during which transaction can be made.
+     * Requirements: must be called from the same contract address.
+     * @param newGracePeriod is time period in seconds, must not be zero.
+     */
+    function changeGracePeriod(uint256 newGracePeriod) external votedOnly {
+        _setGracePeriod(newGracePeriod);
+    }
+
+    /**
+     * @dev Changes amount of votes "for" needed to pass a proposal.
+     * Requirements: must be called from the same contract address.
+     * @param newApprovalThreshold is new threshold, see {VotingForTransaction-constructor}.
+     */
+    function changeApprovalThreshold(Threshold calldata newApprovalThreshold) external votedOnly {
+        _setApprovalThreshold(newApprovalThreshold);
+    }
+
+    /**
+     * @dev Changes amount of all votes (including abstentions) needed to pass a proposal.
+     * Requirements: must be called from the same contract address.
+     * @param newQuorum is new quorum, see {VotingForTransaction-constructor}.
+     */
+    function changeQuorum(Threshold calldata newQuorum) external votedOnly {
+        _setQuorum(newQuorum);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_totalWeight}. Voters that are added later are not
+     * counted for proposals that are already on voting, but removed ones are not counted
+     * either (their votes are withdrawn), so such proposals can still pass with the rest
+     * of voters.
+     */
+    function _totalWeight(uint256 proposalId) internal view virtual override returns(uint256) {
+        uint256 votersAmount = voters.length;
+        uint256 totalWeight = super._totalWeight(proposalId);
+        return totalWeight > votersAmount ? votersAmount : totalWeight;
+    }
+
+    /**
+     * @dev Returns index of `voter` in array of voters.
+     */
+    function _indexOfVoter(address voter) internal view returns(uint256 index) {
+        while (voters[index] != voter) {
+            unchecked { ++index; }
+        }
+    }
+
+    /**
+     * @dev Moves votes of `from` on proposals that are still active or queued to `to`
+     * together with records of who has cast them, and votes that `from` has cast on behalf
+     * of his/her delegators become cast by `to` (so the delegate of `to` and `to` himself/
+     * herself can still change them). If `to` is zero address, votes are just withdrawn.
+     */
+    function _moveOpenVotes(address from, address to) internal {
+        uint256[] storage votedProposals_ = votedProposals[from];
+        address[] storage delegators_ = delegators[from];
+        uint256 length = votedProposals_.length;
+        uint256 proposalId;
+        Vote vote_;
+        for (uint256 i; i < length;) {
+            proposalId = votedProposals_[i];
+            vote_ = votes[proposalId][from];
+            ProposalStatus status = _proposalStatus(proposalId);
+
+            if (vote_ != Vote.None && (status == ProposalStatus.Active || status == ProposalStatus.Queued)) {
+                _setBallot(proposalId, from, Vote.None);
+                if (to != address(0)) {
+                    _setBallot(proposalId, to, vote_);
+                    voteCasters[proposalId][to] = voteCasters[proposalId][from];
+                    for (uint256 j; j < delegators_.length;) {
+                        if (voteCasters[proposalId][delegators_[j]] == from) {
+                            voteCasters[proposalId][delegators_[j]] = to;
+                        }
+                        unchecked { ++j; }
+                    }
+                }
+                delete voteCasters[proposalId][from];
+            }
+            unchecked { ++i; }
+        }
+        delete votedProposals[from];
+    }
+
+    /**
+     * @dev Moves delegation of `from` and delegations to `from` to `to`. If `to` is
+     * zero address, they are just revoked.
+     */
+    function _moveDelegations(address from, address to) internal {
+        address delegate_ = delegates[from];
+        if (delegate_ != address(0)) {
+            _setDelegate(from, address(0));
+            if (to != address(0)) { _setDelegate(to, delegate_); }
+        }
+
+        address[] storage delegators_ = delegators[from];
+        while (delegators_.length != 0) {
+            _setDelegate(delegators_[delegators_.length - 1], to);
+        }
+    }
+}
+
+/**
+ * @title Voting for transaction (changeable version).
+ * @dev See {VotingForTransaction_ChangeableBase}.
+ */
+contract VotingForTransaction_Changeable is VotingForTransaction_ChangeableBase {
+    /**
+     * @dev See {VotingForTransaction-constructor}.
+     */
+    constructor(
+                address module_,
+                address[] memory voters_, 
+                uint256 timeForVoting_, 
+                Threshold memory approvalThreshold_, 
+                Threshold memory quorum_,
+                uint256 executionDelay_,
+                uint256 gracePeriod_,
+                address[] memory guardians_
+                ) 
+                VotingForTransaction(
+                    module_,
+                    voters_, 
+                    timeForVoting_, 
+                    approvalThreshold_, 
+                    quorum_, 
+                    executionDelay_, 
+                    gracePeriod_,
+                    guardians_
+                ) {}
 }
 
 
@@ -66,10 +260,31 @@ contract VotingForTransaction_Changeable is VotingForTransaction {
  * to make proposals - now only separate people (proposal makers) can do this.
  * Note that any voter can still call function {makeTransaction} if there is
  * enough agreements.
+ *
+ * Proposal makers are added and removed by voting. To prevent spam, voters can also set
+ * a bond (in ether) that is paid with every proposal: it is refunded to the proposal maker
+ * if the proposal passes or reaches quorum, otherwise it is kept by the treasury (see
+ * {claimBond} and {forfeitBond}). Voting can also set cooldown for each proposal maker -
+ * minimal time between two of his/her proposals.
+ *
+ * Bonds are kept on the balance of this contract but are locked until they are claimed or
+ * forfeited: calls of proposals cannot spend them (see {seeLockedBonds}).
  */
 contract VotingForTransaction_ProposalMakers is VotingForTransaction {
+
+    event BondRefunded(uint256 indexed proposalId, address indexed proposer, uint256 amount);
+    event BondForfeited(uint256 indexed proposalId, uint256 amount);
+
     mapping(address => bool) public isProposalMaker;
 
+    // Amount of ether that must be sent with every new proposal
+    uint256 proposalBond;
+    // Bonds that were paid with proposals and are not refunded yet
+    mapping(uint256 => uint256) bonds;
+    // Minimal time in seconds between proposals of the proposal maker
+    mapping(address => uint256) cooldowns;
+    mapping(address => uint256) lastProposalTimes;
+
     /**
      * @dev Sets proposal makers.
      * @param proposalMakers_ is an array of addresses that will be able to make
@@ -78,64 +293,528 @@ contract VotingForTransaction_ProposalMakers is VotingForTransaction {
      * For others see {VotingForTransaction-constructor}.
      */
     constructor(
+                address module_,
                 address[] memory voters_, 
                 address[] memory proposalMakers_, 
-                uint256 timeForVoting_
+                uint256 timeForVoting_,
+                Threshold memory approvalThreshold_, 
+                Threshold memory quorum_,
+                uint256 executionDelay_,
+                uint256 gracePeriod_,
+                address[] memory guardians_
+                ) 
+                VotingForTransaction(
+                    module_,
+                    voters_, 
+                    timeForVoting_, 
+                    approvalThreshold_, 
+                    quorum_, 
+                    executionDelay_, 
+                    gracePeriod_,
+                    guardians_
                 ) 
-                VotingForTransaction(voters_, timeForVoting_) 
                 {
-                    uint256 length = proposalMakers_.length;
-                    for (uint256 i; i < length;) {
-                        isProposalMaker[proposalMakers_[i]] = true;
-                        unchecked { ++i; }
-                    }
+                    _setProposalMakers(proposalMakers_);
                 }
 
     /**
-     * @dev Throws an error if caller is not a proposal maker.
+     * @dev Does the same as the constructor for clones of this contract, see
+     * {VotingForTransaction-initialize}.
+     */
+    function initialize(
+                        address[] memory voters_, 
+                        address[] memory proposalMakers_, 
+                        uint256 timeForVoting_,
+                        Threshold memory approvalThreshold_, 
+                        Threshold memory quorum_,
+                        uint256 executionDelay_,
+                        uint256 gracePeriod_,
+                        address[] memory guardians_
+                        ) external {
+        _initialize(voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_);
+        _setProposalMakers(proposalMakers_);
+    }
+
+    /**
+     * @dev Initializer of the base contract cannot be used because it does not set
+     * proposal makers.
+     */
+    function initialize(
+                        address[] memory, 
+                        uint256, 
+                        Threshold memory, 
+                        Threshold memory,
+                        uint256,
+                        uint256,
+                        address[] memory
+                        ) external pure virtual override {
+        revert("Voting_PrMaker: Wrong initializer!");
+    }
+
+    /**
+     * @notice Returns amount of ether that must be sent with every new proposal.
+     */
+    function seeProposalBond() external view returns(uint256) {
+        return proposalBond;
+    }
+
+    /**
+     * @notice Returns bond of the proposal that is not refunded yet.
      */
-    modifier proposalMakersOnly() {
-        require(isProposalMaker[msg.sender], "Voting_PrMaker: You are not a proposal maker!");
-        _;
+    function seeBond(uint256 proposalId) external view proposalExists(proposalId) returns(uint256) {
+        return bonds[proposalId];
     }
 
     /**
-     * @dev See {VotingForTransaction-createProposal} - almost everything is
-     * same; the only difference is in `proposalMakersOnly` modifier.
-     * Requirements: caller must be a proposal maker.
+     * @notice Returns total amount of bonds that are not refunded or forfeited yet, this
+     * ether cannot be spent by proposals.
+     */
+    function seeLockedBonds() external view returns(uint256) {
+        return lockedBalance;
+    }
+
+    /**
+     * @notice Returns cooldown of the proposal maker and time of his/her last proposal.
+     */
+    function seeCooldown(address proposalMaker) external view returns(uint256 cooldown, uint256 lastProposalTime) {
+        return (cooldowns[proposalMaker], lastProposalTimes[proposalMaker]);
+    }
+
+    /**
+     * @dev Gives right to make proposals to new addresses.
+     * Requirements: must be called from the same contract address.
+     */
+    function addProposalMakers(address[] calldata newProposalMakers) external votedOnly {
+        _setProposalMakers(newProposalMakers);
+    }
+
+    /**
+     * @dev Takes right to make proposals from addresses. Their proposals that are already
+     * made stay on voting.
+     * Requirements: must be called from the same contract address.
+     */
+    function removeProposalMakers(address[] calldata oldProposalMakers) external votedOnly {
+        uint256 length = oldProposalMakers.length;
+        for (uint256 i; i < length;) {
+            isProposalMaker[oldProposalMakers[i]] = false;
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Changes amount of ether that must be sent with every new proposal.
+     * Requirements: must be called from the same contract address.
+     * @param newProposalBond is amount in wei, zero means that bond is not needed.
+     */
+    function changeProposalBond(uint256 newProposalBond) external votedOnly {
+        proposalBond = newProposalBond;
+    }
+
+    /**
+     * @dev Changes minimal time between proposals of the proposal maker.
+     * Requirements: must be called from the same contract address.
+     * @param newCooldown is time period in seconds, zero means no cooldown.
+     */
+    function changeCooldown(address proposalMaker, uint256 newCooldown) external votedOnly {
+        cooldowns[proposalMaker] = newCooldown;
+    }
+
+    /**
+     * @notice Sends the bond of the proposal back to its proposer. Can be called by anyone.
+     * Requirements: the proposal must have a bond and must either pass (be queued at least
+     * once) or reach quorum (at least one vote if there is no quorum) by the end of voting.
+     */
+    function claimBond(uint256 proposalId) external proposalExists(proposalId) {
+        require(_isBondRefunded(proposalId), "Voting_PrMaker: Bond is kept by the treasury!");
+        uint256 bond = _releaseBond(proposalId);
+
+        address proposer = proposals[proposalId].proposer;
+        (bool success, ) = proposer.call{value: bond}("");
+        require(success, "Voting_PrMaker: Bond cannot be sent!");
+        emit BondRefunded(proposalId, proposer, bond);
+    }
+
+    /**
+     * @notice Unlocks the bond of the proposal that is kept by the treasury, so it can be
+     * spent by proposals. Can be called by anyone.
+     * Requirements: the proposal must have a bond, voting must be finished and the proposal
+     * must neither pass nor reach quorum (see {claimBond}).
+     */
+    function forfeitBond(uint256 proposalId) external proposalExists(proposalId) {
+        require(!_isBondRefunded(proposalId), "Voting_PrMaker: Bond must be refunded!");
+        emit BondForfeited(proposalId, _releaseBond(proposalId));
+    }
+
+    /**
+     * @dev Returns true if the bond of the proposal is refunded to its proposer and false
+     * if it is kept by the treasury (see {claimBond}).
+     * Requirements: the proposal must be queued at least once or its voting must be finished.
+     */
+    function _isBondRefunded(uint256 proposalId) private view returns(bool) {
+        // Execution time is set only when the proposal is queued
+        if (proposals[proposalId].executionTime != 0) { return true; }
+        require(_proposalStatus(proposalId) != ProposalStatus.Active, "Voting_PrMaker: Voting is not finished!");
+        (uint256 forVotes, uint256 againstVotes, uint256 abstainVotes) = _countVotes(proposalId);
+        return _isQuorumReached(proposalId) && forVotes + againstVotes + abstainVotes != 0;
+    }
+
+    /**
+     * @dev Removes the bond of the proposal from locked ether and returns it.
+     * Requirements: the proposal must have a bond.
+     */
+    function _releaseBond(uint256 proposalId) private returns(uint256 bond) {
+        bond = bonds[proposalId];
+        require(bond != 0, "Voting_PrMaker: There is no bond!");
+        bonds[proposalId] = 0;
+        lockedBalance -= bond;
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_beforeVoting}. Checks cooldown of the proposal
+     * maker and takes the bond.
+     * Requirements: cooldown must pass since the last proposal of the caller, sent ether
+     * must be equal to the bond.
+     */
+    function _beforeVoting(uint256 proposalId) internal virtual override {
+        require(
+            block.timestamp >= lastProposalTimes[msg.sender] + cooldowns[msg.sender], 
+            "Voting_PrMaker: Cooldown has not passed!"
+        );
+        require(msg.value == proposalBond, "Voting_PrMaker: Wrong bond!");
+        lastProposalTimes[msg.sender] = block.timestamp;
+        bonds[proposalId] = msg.value;
+        lockedBalance += msg.value;
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_checkProposer}. Only proposal makers can make
+     * proposals here (they do not have to be voters).
+     */
+    function _checkProposer(address account) internal view virtual override {
+        require(isProposalMaker[account], "Voting_PrMaker: You are not a proposal maker!");
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_checkVoted}.
+     */
+    function _checkVoted() internal view virtual override {
+        require(msg.sender == address(this), "Voting_PrMaker: You should use voting to do this!");
+    }
+
+    /**
+     * @dev Sets proposal makers, see {constructor}.
+     */
+    function _setProposalMakers(address[] memory proposalMakers_) internal {
+        uint256 length = proposalMakers_.length;
+        for (uint256 i; i < length;) {
+            isProposalMaker[proposalMakers_[i]] = true;
+            unchecked { ++i; }
+        }
+    }
+}
+
+/**
+ * @title Voting for transaction (changeable version with separate proposal makers).
+ * @dev This contract combines {VotingForTransaction_ChangeableBase} and
+ * {VotingForTransaction_ProposalMakers}: voters, time of voting, thresholds and delays
+ * are changed by voting as in the changeable version, and only proposal makers can make
+ * proposals (with bonds and cooldowns if voting sets them).
+ */
+contract VotingForTransaction_ChangeableProposalMakers is 
+    VotingForTransaction_ChangeableBase, 
+    VotingForTransaction_ProposalMakers 
+{
+    /**
+     * @dev See {VotingForTransaction_ProposalMakers-constructor}.
+     */
+    constructor(
+                address module_,
+                address[] memory voters_, 
+                address[] memory proposalMakers_, 
+                uint256 timeForVoting_,
+                Threshold memory approvalThreshold_, 
+                Threshold memory quorum_,
+                uint256 executionDelay_,
+                uint256 gracePeriod_,
+                address[] memory guardians_
+                ) 
+                VotingForTransaction_ProposalMakers(
+                    module_,
+                    voters_, 
+                    proposalMakers_,
+                    timeForVoting_, 
+                    approvalThreshold_, 
+                    quorum_, 
+                    executionDelay_, 
+                    gracePeriod_,
+                    guardians_
+                ) {}
+
+    /**
+     * @dev See {VotingForTransaction-_checkVoted}. Both parents add their own prefix to
+     * the message, so here the one of the base contract is used.
+     */
+    function _checkVoted() 
+        internal 
+        view 
+        override(VotingForTransaction_ChangeableBase, VotingForTransaction_ProposalMakers) 
+    {
+        VotingForTransaction._checkVoted();
+    }
+
+    /**
+     * @dev See {VotingForTransaction_ProposalMakers-initialize}.
+     */
+    function initialize(
+                        address[] memory, 
+                        uint256, 
+                        Threshold memory, 
+                        Threshold memory,
+                        uint256,
+                        uint256,
+                        address[] memory
+                        ) external pure override(VotingForTransaction, VotingForTransaction_ProposalMakers) {
+        revert("Voting_PrMaker: Wrong initializer!");
+    }
+
+    /**
+     * @dev See {VotingForTransaction_ProposalMakers-_beforeVoting}.
+     */
+    function _beforeVoting(uint256 proposalId) 
+        internal 
+        override(VotingForTransaction, VotingForTransaction_ProposalMakers) 
+    {
+        super._beforeVoting(proposalId);
+    }
+
+    /**
+     * @dev See {VotingForTransaction_ProposalMakers-_checkProposer}.
+     */
+    function _checkProposer(address account) 
+        internal 
+        view 
+        override(VotingForTransaction, VotingForTransaction_ProposalMakers) 
+    {
+        super._checkProposer(account);
+    }
+
+    /**
+     * @dev See {VotingForTransaction_ChangeableBase-_totalWeight}.
+     */
+    function _totalWeight(uint256 proposalId) 
+        internal 
+        view 
+        override(VotingForTransaction, VotingForTransaction_ChangeableBase) 
+        returns(uint256) 
+    {
+        return super._totalWeight(proposalId);
+    }
+}
+
+/**
+ * @title Voting for transaction (weighted version).
+ * @dev This contract inherits {VotingForTransaction} and counts every vote with weight
+ * of the voter instead of one vote per voter. Weights are taken either from ERC20Votes-like
+ * token (voting power of the voter in the block before proposal creation, see {IVotes}) 
+ * or from weights set in the constructor that cannot be changed later. In both cases weights 
+ * are fixed for the proposal when it is created so moving of tokens during voting does not 
+ * change the result.
+ *
+ * Only voters can vote as before, approval threshold and quorum are percentages of weight of
+ * all voters (quorum can also be `(Absolute, 0)` if it is not needed).
+ */
+contract VotingForTransaction_Weighted is VotingForTransaction {
+    // Source of voting power, zero address means that fixed weights are used
+    IVotes token;
+    // Fixed weights of voters (used only if there is no token)
+    mapping(address => uint256) weights;
+    uint256 totalFixedWeight;
+
+    // Block whose voting power is used for the proposal (used only with token)
+    mapping(uint256 => uint256) proposalSnapshots;
+    // Voting power of all voters in the block, it is counted once per block (used only with token)
+    mapping(uint256 => uint256) snapshotTotalWeights;
+
+    /**
+     * @dev Sets source of voters' weights.
+     * @param weights_ is an array of weights of `voters_` (in the same order). Must be empty
+     * if `token_` is set.
+     * @param token_ is address of ERC20Votes-like token whose voting power is used as weights.
+     * Set it to zero address to use `weights_`.
      *
-     * NOTE: Unfortunately, it is not possible to override this function with
-     * 'super' keyword because then it will have `onlyForVoters` modifier and,
-     * therefore, caller must be both proposal maker and voter. In such case
-     * contract logic will be broken so we have to copy-paste whole function
-     * just changing the modifier.
-     */
-    function createProposal(
-                            address targetAddress_, 
-                            string calldata functionSignature_, 
-                            bytes calldata dataToSend_,
-                            uint256 valueToSend_
-                            ) external 
-                            timePassed 
-                            proposalMakersOnly
-                            override {
-        // Clearing votes for previous proposal
-        _clearVotes();
-
-        // Set properties of new transaction
-        targetAddress = targetAddress_;
-        functionSignature = functionSignature_;
-        valueToSend = valueToSend_;
-
-        // Set data (arguments of function) if it was sent
-        if (bytes(functionSignature_).length == 0) {
-            require(dataToSend_.length == 0, "Voting: You cannot send any args with empty function name!");
+     * For others see {VotingForTransaction-constructor}.
+     */
+    constructor(
+                address module_,
+                address[] memory voters_, 
+                uint256[] memory weights_,
+                IVotes token_,
+                uint256 timeForVoting_,
+                Threshold memory approvalThreshold_, 
+                Threshold memory quorum_,
+                uint256 executionDelay_,
+                uint256 gracePeriod_,
+                address[] memory guardians_
+                ) 
+                VotingForTransaction(
+                    module_,
+                    voters_, 
+                    timeForVoting_, 
+                    approvalThreshold_, 
+                    quorum_, 
+                    executionDelay_, 
+                    gracePeriod_,
+                    guardians_
+                ) 
+                {
+                    _setWeights(voters_, weights_, token_);
+                }
+
+    /**
+     * @dev Does the same as the constructor for clones of this contract, see
+     * {VotingForTransaction-initialize}.
+     */
+    function initialize(
+                        address[] memory voters_, 
+                        uint256[] memory weights_,
+                        IVotes token_,
+                        uint256 timeForVoting_,
+                        Threshold memory approvalThreshold_, 
+                        Threshold memory quorum_,
+                        uint256 executionDelay_,
+                        uint256 gracePeriod_,
+                        address[] memory guardians_
+                        ) external {
+        _initialize(voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_);
+        _setWeights(voters_, weights_, token_);
+    }
+
+    /**
+     * @dev Initializer of the base contract cannot be used because it does not set weights.
+     */
+    function initialize(
+                        address[] memory, 
+                        uint256, 
+                        Threshold memory, 
+                        Threshold memory,
+                        uint256,
+                        uint256,
+                        address[] memory
+                        ) external pure override {
+        revert("Voting_Weighted: Wrong initializer!");
+    }
+
+    /**
+     * @notice Returns address of the token whose voting power is used as weights
+     * (zero address if weights are fixed).
+     */
+    function seeToken() external view returns(IVotes) {
+        return token;
+    }
+
+    /**
+     * @notice Returns weight of the vote of `voter` on the proposal.
+     */
+    function seeWeightOf(uint256 proposalId, address voter) external view proposalExists(proposalId) returns(uint256) {
+        return voterStatus[voter] == VoterStatus.NotVoter ? 0 : _weightOf(proposalId, voter);
+    }
+
+    /**
+     * @notice Returns weight of all voters on the proposal.
+     */
+    function seeTotalWeight(uint256 proposalId) external view proposalExists(proposalId) returns(uint256) {
+        return _totalWeight(proposalId);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_startVoting}. Also fixes voting power of voters
+     * for the proposal if token is used. Voting power of all voters is summed up only
+     * for the first proposal in the block (voters of this version cannot be changed),
+     * so only such proposals cost more with more voters.
+     * Requirements: total weight of voters must not be zero.
+     */
+    function _startVoting(uint256 proposalId) internal override {
+        if (address(token) != address(0)) {
+            // Voting power of the current block can still change
+            uint256 snapshot = block.number - 1;
+            if (snapshotTotalWeights[snapshot] == 0) {
+                uint256 totalWeight;
+                uint256 votersAmount = voters.length;
+                for (uint256 i; i < votersAmount;) {
+                    totalWeight += token.getPastVotes(voters[i], snapshot);
+                    unchecked { ++i; }
+                }
+                require(totalWeight != 0, "Voting_Weighted: Voters have no voting power!");
+                snapshotTotalWeights[snapshot] = totalWeight;
+            }
+            proposalSnapshots[proposalId] = snapshot;
+        }
+        super._startVoting(proposalId);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_weightOf}.
+     */
+    function _weightOf(uint256 proposalId, address voter) internal view override returns(uint256) {
+        if (address(token) == address(0)) {
+            return weights[voter];
+        }
+        return token.getPastVotes(voter, proposalSnapshots[proposalId]);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-_totalWeight}.
+     */
+    function _totalWeight(uint256 proposalId) internal view override returns(uint256) {
+        if (address(token) == address(0)) {
+            return totalFixedWeight;
         }
-        require(dataToSend_.length % 32 == 0, "Voting: Wrong data (function args) encoding!");
-        dataToSend = dataToSend_;
+        return snapshotTotalWeights[proposalSnapshots[proposalId]];
+    }
 
-        // Set time of transaction proposal
-        proposalTime = block.timestamp;
-        emit VotingStarted(targetAddress_, functionSignature_, dataToSend_, valueToSend_);
+    /**
+     * @dev See {VotingForTransaction-setPolicy}. Approval threshold of the policy is checked
+     * here before the call is forwarded to the module, because the module does not see
+     * {_isThresholdReachable} of this version.
+     */
+    function setPolicy(address, bytes4, Policy calldata policy) external override {
+        require(_isThresholdReachable(policy.approvalThreshold), "Voting: Wrong policy!");
+        _delegateToModule();
+    }
+
+    /**
+     * @dev Allows only percentages (and zero absolute quorum) because total weight
+     * is not known in advance.
+     */
+    function _isThresholdReachable(Threshold memory threshold) internal view override returns(bool) {
+        if (threshold.thresholdType == ThresholdType.Absolute) {
+            return threshold.value == 0;
+        }
+        return super._isThresholdReachable(threshold);
+    }
+
+    /**
+     * @dev Sets source of voters' weights, see {constructor}.
+     */
+    function _setWeights(address[] memory voters_, uint256[] memory weights_, IVotes token_) internal {
+        token = token_;
+        if (address(token_) != address(0)) {
+            require(weights_.length == 0, "Voting_Weighted: Wrong weights!");
+            return;
+        }
+
+        uint256 length = voters_.length;
+        require(weights_.length == length, "Voting_Weighted: Wrong weights!");
+        address currVoter;
+        for (uint256 i; i < length;) {
+            currVoter = voters_[i];
+            require(weights_[i] != 0, "Voting_Weighted: Wrong weights!");
+            // Repeating addresses are skipped (the first weight is used)
+            if (weights[currVoter] == 0) {
+                weights[currVoter] = weights_[i];
+                totalFixedWeight += weights_[i];
+            }
+            unchecked { ++i; }
+        }
     }
 }
@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.16;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./VotingForTx.sol";
+import "./VotingForTx-Extensions.sol";
+
+/**
+ * @title Factory of voting contracts.
+ * @dev Contract that deploys cheap minimal-proxy (EIP-1167) clones of any version of
+ * {VotingForTransaction} and keeps a registry of them. Every clone has its own storage
+ * (voters, proposals, funds) but uses code of the implementation contract of its version,
+ * so it behaves the same as a contract deployed as usual. Clones are initialized in the same
+ * transaction by `initialize` function instead of the constructor.
+ *
+ * Implementations are deployed separately (as usual, with any parameters - their own state
+ * is not used) and passed to the constructor of the factory.
+ *
+ * NOTE: registry by voter contains voters that were set at creation of the voting, it is
+ * not updated if voters are changed later (see {VotingForTransaction_Changeable}).
+ */
+contract VotingForTransactionFactory {
+
+    event VotingCreated(address indexed voting, address indexed creator, Variant variant);
+
+    enum Variant { Base, Changeable, ProposalMakers, Weighted, ChangeableProposalMakers }
+
+    mapping(Variant => address) implementations;
+
+    address[] votings;
+    mapping(address => bool) public isVoting;
+    mapping(address => address[]) votingsByCreator;
+    mapping(address => address[]) votingsByVoter;
+
+    /**
+     * @dev Sets implementations of all versions of the voting.
+     * @param base_ is deployed {VotingForTransaction}.
+     * @param changeable_ is deployed {VotingForTransaction_Changeable}.
+     * @param proposalMakers_ is deployed {VotingForTransaction_ProposalMakers}.
+     * @param weighted_ is deployed {VotingForTransaction_Weighted}.
+     * @param changeableProposalMakers_ is deployed {VotingForTransaction_ChangeableProposalMakers}.
+     */
+    constructor(
+                address base_,
+                address changeable_,
+                address proposalMakers_,
+                address weighted_,
+                address changeableProposalMakers_
+                ) {
+        require(
+            base_.code.length > 0 && changeable_.code.length > 0 &&
+            proposalMakers_.code.length > 0 && weighted_.code.length > 0 &&
+            changeableProposalMakers_.code.length > 0,
+            "VotingFactory: Wrong implementation!"
+        );
+        implementations[Variant.Base] = base_;
+        implementations[Variant.Changeable] = changeable_;
+        implementations[Variant.ProposalMakers] = proposalMakers_;
+        implementations[Variant.Weighted] = weighted_;
+        implementations[Variant.ChangeableProposalMakers] = changeableProposalMakers_;
+    }
+
+    /**
+     * @notice Creates a clone of {VotingForTransaction} and returns its address.
+     * For arguments see {VotingForTransaction-constructor}.
+     */
+    function createVoting(
+                          address[] calldata voters_,
+                          uint256 timeForVoting_,
+                          VotingForTransaction.Threshold calldata approvalThreshold_,
+                          VotingForTransaction.Threshold calldata quorum_,
+                          uint256 executionDelay_,
+                          uint256 gracePeriod_,
+                          address[] calldata guardians_
+                          ) external returns(address) {
+        return _createVoting(
+            Variant.Base, voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+    }
+
+    /**
+     * @notice Creates a clone of {VotingForTransaction_Changeable} and returns its address.
+     * For arguments see {VotingForTransaction-constructor}.
+     */
+    function createChangeableVoting(
+                                    address[] calldata voters_,
+                                    uint256 timeForVoting_,
+                                    VotingForTransaction.Threshold calldata approvalThreshold_,
+                                    VotingForTransaction.Threshold calldata quorum_,
+                                    uint256 executionDelay_,
+                                    uint256 gracePeriod_,
+                                    address[] calldata guardians_
+                                    ) external returns(address) {
+        return _createVoting(
+            Variant.Changeable, voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+    }
+
+    /**
+     * @notice Creates a clone of {VotingForTransaction_ProposalMakers} and returns its address.
+     * For arguments see {VotingForTransaction_ProposalMakers-constructor}.
+     */
+    function createProposalMakersVoting(
+                                        address[] calldata voters_,
+                                        address[] calldata proposalMakers_,
+                                        uint256 timeForVoting_,
+                                        VotingForTransaction.Threshold calldata approvalThreshold_,
+                                        VotingForTransaction.Threshold calldata quorum_,
+                                        uint256 executionDelay_,
+                                        uint256 gracePeriod_,
+                                        address[] calldata guardians_
+                                        ) external returns(address) {
+        return _createProposalMakersVoting(
+            Variant.ProposalMakers,
+            voters_, proposalMakers_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+    }
+
+    /**
+     * @notice Creates a clone of {VotingForTransaction_ChangeableProposalMakers} and returns its address.
+     * For arguments see {VotingForTransaction_ProposalMakers-constructor}.
+     */
+    function createChangeableProposalMakersVoting(
+                                                  address[] calldata voters_,
+                                                  address[] calldata proposalMakers_,
+                                                  uint256 timeForVoting_,
+                                                  VotingForTransaction.Threshold calldata approvalThreshold_,
+                                                  VotingForTransaction.Threshold calldata quorum_,
+                                                  uint256 executionDelay_,
+                                                  uint256 gracePeriod_,
+                                                  address[] calldata guardians_
+                                                  ) external returns(address) {
+        return _createProposalMakersVoting(
+            Variant.ChangeableProposalMakers,
+            voters_, proposalMakers_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+    }
+
+    /**
+     * @notice Creates a clone of {VotingForTransaction_Weighted} and returns its address.
+     * For arguments see {VotingForTransaction_Weighted-constructor}.
+     */
+    function createWeightedVoting(
+                                  address[] calldata voters_,
+                                  uint256[] calldata weights_,
+                                  IVotes token_,
+                                  uint256 timeForVoting_,
+                                  VotingForTransaction.Threshold calldata approvalThreshold_,
+                                  VotingForTransaction.Threshold calldata quorum_,
+                                  uint256 executionDelay_,
+                                  uint256 gracePeriod_,
+                                  address[] calldata guardians_
+                                  ) external returns(address) {
+        address voting = Clones.clone(implementations[Variant.Weighted]);
+        VotingForTransaction_Weighted(payable(voting)).initialize(
+            voters_, weights_, token_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+        _register(voting, Variant.Weighted);
+        return voting;
+    }
+
+    /**
+     * @notice Returns address of the implementation of the version.
+     */
+    function seeImplementation(Variant variant) external view returns(address) {
+        return implementations[variant];
+    }
+
+    /**
+     * @notice Returns addresses of all votings created by the factory.
+     */
+    function seeVotings() external view returns(address[] memory) {
+        return votings;
+    }
+
+    /**
+     * @notice Returns addresses of votings created by `creator`.
+     */
+    function seeVotingsByCreator(address creator) external view returns(address[] memory) {
+        return votingsByCreator[creator];
+    }
+
+    /**
+     * @notice Returns addresses of votings where `voter` was set as a voter at creation.
+     */
+    function seeVotingsByVoter(address voter) external view returns(address[] memory) {
+        return votingsByVoter[voter];
+    }
+
+    /**
+     * @dev Creates and initializes a clone of the base or changeable version.
+     */
+    function _createVoting(
+                           Variant variant,
+                           address[] calldata voters_,
+                           uint256 timeForVoting_,
+                           VotingForTransaction.Threshold calldata approvalThreshold_,
+                           VotingForTransaction.Threshold calldata quorum_,
+                           uint256 executionDelay_,
+                           uint256 gracePeriod_,
+                           address[] calldata guardians_
+                           ) internal returns(address voting) {
+        voting = Clones.clone(implementations[variant]);
+        VotingForTransaction(payable(voting)).initialize(
+            voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+        _register(voting, variant);
+    }
+
+    /**
+     * @dev Creates and initializes a clone of one of the versions with proposal makers.
+     */
+    function _createProposalMakersVoting(
+                                         Variant variant,
+                                         address[] calldata voters_,
+                                         address[] calldata proposalMakers_,
+                                         uint256 timeForVoting_,
+                                         VotingForTransaction.Threshold calldata approvalThreshold_,
+                                         VotingForTransaction.Threshold calldata quorum_,
+                                         uint256 executionDelay_,
+                                         uint256 gracePeriod_,
+                                         address[] calldata guardians_
+                                         ) internal returns(address voting) {
+        voting = Clones.clone(implementations[variant]);
+        VotingForTransaction_ProposalMakers(payable(voting)).initialize(
+            voters_, proposalMakers_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_
+        );
+        _register(voting, variant);
+    }
+
+    /**
+     * @dev Adds the voting to the registry and emits {VotingCreated} event.
+     */
+    function _register(address voting, Variant variant) internal {
+        votings.push(voting);
+        isVoting[voting] = true;
+        votingsByCreator[msg.sender].push(voting);
+
+        // Voters are taken from the voting itself because repeating addresses are skipped there
+        address[] memory voters_ = VotingForTransaction(payable(voting)).seeVoters();
+        uint256 length = voters_.length;
+        for (uint256 i; i < length;) {
+            votingsByVoter[voters_[i]].push(voting);
+            unchecked { ++i; }
+        }
+
+        emit VotingCreated(voting, msg.sender, variant);
+    }
+}
@@ -2,20 +2,474 @@
 
 pragma solidity ^0.8.16;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+
+/**
+ * @title Storage of the voting for transaction.
+ * @dev Types, events and storage layout of {VotingForTransaction} and internal functions that
+ * are used by both {VotingForTransaction} and {VotingForTransactionModule}. The module is called
+ * by delegatecall, so both contracts must have exactly the same storage layout - state variables
+ * of {VotingForTransaction} must be declared here (versions of the voting can declare their own,
+ * they are placed after these ones and the module does not use them).
+ */
+abstract contract VotingForTransactionStorage {
+
+    // `title` and `contentHash` (e.g. IPFS CID of full description) are empty for proposals
+    // made by {createRawProposal} and {createBatchProposal}
+    event VotingStarted(uint256 indexed proposalId, address indexed proposer, Call[] calls, string title, bytes32 contentHash);
+
+    // Emitted every time vote is set or changed, {Vote.None} means that vote was withdrawn
+    // (by the voter or because he/she is not a voter anymore)
+    event VoteCast(uint256 indexed proposalId, address indexed voter, Vote vote);
+
+    // `toDelegate` is zero address when delegation is revoked
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+
+    event TransactionMade(uint256 indexed proposalId, bool success, uint256 proposalTime);
+
+    // Emitted for every call of the proposal if all of them succeeded, otherwise only for
+    // the failed one (with its revert data as `result`)
+    event CallMade(uint256 indexed proposalId,
+                   uint256 callIndex,
+                   bool success,
+                   bytes result,
+                   address indexed targetAddress, 
+                   string functionSignature, 
+                   bytes dataToSend, 
+                   uint256 valueToSend);
+
+    event ProposalQueued(uint256 indexed proposalId, uint256 executionTime);
+
+    event ProposalCancelled(uint256 indexed proposalId, address indexed canceller);
+
+    event ProposalExpired(uint256 indexed proposalId);
+
+    event ProposalVetoed(uint256 indexed proposalId, address indexed guardian);
+
+    event FailurePolicySet(uint256 indexed proposalId, FailurePolicy policy);
+
+    // Emitted after {TransactionMade} when a call of retryable proposal failed and the
+    // proposal stays queued, `attempt` is the number of the failed attempt
+    event ExecutionAttemptFailed(uint256 indexed proposalId, uint256 attempt);
+
+    event Paused(address indexed guardian);
+
+    event Unpaused(address indexed guardian);
+
+    event GuardianRevoked(address indexed guardian);
+
+    event PolicySet(address indexed target, bytes4 indexed selector, Policy policy);
+
+    event PolicyRemoved(address indexed target, bytes4 indexed selector);
+
+    event PolicyListModeSet(PolicyListMode mode);
+
+    // Emitted by {makeTransaction} before {TransactionMade} if the proposal was voted by rules
+    // of the policy of its call to `target` with `selector` (see {setPolicy}) or by the strictest
+    // rules of the policy table (zero `target` and `selector`, see {_applyPolicies})
+    event PolicyApplied(uint256 indexed proposalId, address indexed target, bytes4 indexed selector);
+
+    event HashApproved(bytes32 indexed hash, uint256 expiry);
+
+    event HashRevoked(bytes32 indexed hash);
+
+    event FundsReplenished(address indexed giver, uint256 amount);
+
+    event ERC721Received(address indexed token, address indexed from, uint256 tokenId);
+
+    event ERC1155Received(address indexed token, address indexed from, uint256 id, uint256 amount);
+
+    enum VoterStatus { NotVoter, IsVoter }
+
+    // {Vote.None} means this voter has not voted for the proposal (or has withdrawn his/her vote)
+    enum Vote { None, For, Against, Abstain }
+
+    // {ThresholdType.Percentage} means "more than `value` / 100.00% of all voters" (`value` is 
+    // in hundredths of percent, 10000 means all voters), {ThresholdType.Absolute} means 
+    // "at least `value` voters"
+    enum ThresholdType { Percentage, Absolute }
+
+    struct Threshold {
+        ThresholdType thresholdType;
+        uint256 value;
+    }
+
+    // Running amounts of votes on the proposal, they are updated on every vote so
+    // counting does not depend on amount of voters
+    struct Tally {
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+    }
+
+    // Vote signed by voter off-chain, see {voteBySig}
+    struct SignedBallot {
+        uint256 proposalId;
+        Vote vote;
+        uint256 nonce;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // {ProposalStatus.Expired} is returned by {seeProposalStatus} for active proposals whose
+    // time for voting has ended and for queued ones whose grace period has ended, it is stored
+    // only after calling {expireProposal}
+    enum ProposalStatus { NotExists, Active, Queued, Executed, Cancelled, Expired, Vetoed }
+
+    // What happens when a call of the proposal fails: `Final` - proposal is executed with
+    // failed result (default), `Retryable` - proposal stays queued and its transaction can
+    // be made again until grace period ends, `Strict` - {makeTransaction} reverts with revert
+    // data of the failed call (so proposal stays queued too, but nothing is recorded)
+    enum FailurePolicy { Final, Retryable, Strict }
+
+    // {PolicyMode.Allowed} calls are voted by rules of the policy, {PolicyMode.Denied} calls
+    // cannot be proposed, {PolicyMode.None} means there is no policy for such calls
+    enum PolicyMode { None, Allowed, Denied }
+
+    // {PolicyListMode.DenyList} - calls without policy are voted by usual rules,
+    // {PolicyListMode.AllowList} - calls without policy cannot be proposed
+    enum PolicyListMode { DenyList, AllowList }
+
+    // Rules of voting for calls to one target with one function selector (zero selector
+    // is used for calls that only send ether), zero `approvalThreshold.value` and zero
+    // `timeForVoting` mean usual approval threshold and time for voting
+    struct Policy {
+        PolicyMode mode;
+        Threshold approvalThreshold;
+        uint256 timeForVoting;
+        uint256 maxValue;
+    }
+
+    struct PolicyKey {
+        address target;
+        bytes4 selector;
+    }
+
+    struct Call {
+        address targetAddress;
+        string functionSignature;
+        bytes dataToSend;
+        uint256 valueToSend;
+    }
+
+    struct Proposal {
+        Call[] calls;
+        address proposer;
+        string title;
+        bytes32 contentHash;
+        uint256 proposalTime;
+        // Time since which transaction can be made, it is set when proposal is queued
+        uint256 executionTime;
+        ProposalStatus status;
+        // Outcome of {makeTransaction}: return data of every call if transaction succeeded,
+        // otherwise `results` ends with revert data of the failed call (so its index is
+        // `results.length - 1`) and calls before it have empty results as they were reverted.
+        // Retryable proposals keep outcome of the last attempt
+        bool success;
+        bytes[] results;
+        FailurePolicy failurePolicy;
+        // Amount of recorded calls of {makeTransaction}
+        uint256 attempts;
+        // Policy whose rules are used for the proposal (see {_applyPolicies}), zero values
+        // of the rules mean usual ones
+        bool hasPolicy;
+        PolicyKey policyKey;
+        Threshold approvalThreshold;
+        uint256 timeForVoting;
+        // Amount of voters when the proposal was made, see {_totalWeight}
+        uint256 votersAmount;
+    }
+
+    // Everything that is known about the proposal, see {seeProposal}
+    struct ProposalInfo {
+        uint256 proposalId;
+        Call[] calls;
+        address proposer;
+        string title;
+        bytes32 contentHash;
+        uint256 proposalTime;
+        uint256 executionTime;
+        ProposalStatus status;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        bool success;
+        bytes[] results;
+        FailurePolicy failurePolicy;
+        uint256 attempts;
+    }
+
+    // Is used by {executeProposalCalls} to pass index and revert data of the failed call
+    error CallFailed(uint256 callIndex, bytes result);
+
+    // Is set by the constructor or by {initialize} for clones
+    bool initialized;
+
+    address[] voters;
+    mapping(address => VoterStatus) voterStatus;
+
+    // Each guardian can veto proposals and pause voting alone
+    address[] guardians;
+    mapping(address => bool) isGuardian;
+    // While it is true, only proposals that call this contract can be made and executed
+    bool paused;
+
+    uint256 timeForVoting;
+    // Time between queueing of the proposal and beginning of its execution
+    uint256 executionDelay;
+    // Time after execution delay during which transaction can be made
+    uint256 gracePeriod;
+
+    uint256 constant MAX_PERCENTAGE = 10000;
+    // Amount of votes "for" that is needed to pass a proposal
+    Threshold approvalThreshold;
+    // Amount of all votes (including abstentions) that is needed to pass a proposal
+    Threshold quorum;
+
+    uint256 proposalsAmount;
+    mapping(uint256 => Proposal) proposals;
+    // ID of the proposal whose calls are allowed to be made by {executeProposalCalls}
+    uint256 executingProposalId;
+    mapping(uint256 => mapping(address => Vote)) votes;
+    mapping(uint256 => Tally) tallies;
+    // Voters who have ever voted on the proposal (including those who withdrew the vote)
+    mapping(uint256 => address[]) ballotVoters;
+    mapping(uint256 => mapping(address => bool)) hasBallot;
+    // IDs of proposals that voter has voted on (including proposals where the vote
+    // was withdrawn), finished ones are removed by {_pruneVotedProposals}
+    mapping(address => uint256[]) votedProposals;
+    // Index in `votedProposals` of the voter from which the next pruning starts
+    mapping(address => uint256) pruneCursors;
+
+    // Voter whose votes are also cast on behalf of the voter (zero address if there is no delegation)
+    mapping(address => address) delegates;
+    // Voters who delegated their votes to the voter, there can be at most `MAX_DELEGATORS`
+    // of them so that voting of the delegate and changes of delegations stay cheap
+    mapping(address => address[]) delegators;
+    uint256 constant MAX_DELEGATORS = 10;
+    // Delegate who cast the vote of the voter on the proposal, it is zero address if the voter
+    // voted him/herself (then delegate cannot change his/her vote on this proposal anymore)
+    mapping(uint256 => mapping(address => address)) voteCasters;
+
+    bytes32 constant DOMAIN_TYPEHASH = 
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 constant BALLOT_TYPEHASH = keccak256("Ballot(uint256 proposalId,uint8 vote,uint256 nonce)");
+    // Nonces of signed ballots, each signature can be used only once
+    mapping(address => uint256) nonces;
+
+    mapping(address => mapping(bytes4 => Policy)) policies;
+    // Keys of all policies, see {seePolicies}
+    PolicyKey[] policyKeys;
+    PolicyListMode policyListMode;
+
+    // Time until which the message hash is approved for ERC-1271 signatures (it is
+    // `type(uint256).max` if approval does not expire and zero if hash is not approved)
+    mapping(bytes32 => uint256) hashApprovals;
+
+    // Ether of the contract that proposals cannot spend (bonds in the version with proposal makers)
+    uint256 lockedBalance;
+
+    /**
+     * @dev Throws an error if caller is not a voter.
+     */
+    modifier onlyForVoters() {
+        _checkVoter(msg.sender);
+        _;
+    }
+
+    /**
+     * @dev Throws an error if there is no proposal with such ID.
+     */
+    modifier proposalExists(uint256 proposalId) {
+        _checkProposalExists(proposalId);
+        _;
+    }
+
+    /**
+     * @dev Throws an error if proposal does not exist, time for voting has ended or
+     * proposal was already executed, cancelled or expired.
+     */
+    modifier timeNotPassed(uint256 proposalId) {
+        _checkTimeNotPassed(proposalId);
+        _;
+    }
+
+    /**
+     * @dev Throws an error if voting is paused and any call of the proposal is not
+     * a call of {cancelProposal} or {revokeGuardian} of this contract (other changes
+     * of the voting itself, e.g. of voters or policies, are paused too).
+     */
+    function _checkNotPaused(uint256 proposalId) internal view {
+        if (!paused) { return; }
+        Call[] storage calls = proposals[proposalId].calls;
+        uint256 length = calls.length;
+        for (uint256 i; i < length;) {
+            bytes4 selector = _selectorOf(calls[i]);
+            require(
+                calls[i].targetAddress == address(this) &&
+                (selector == bytes4(keccak256("cancelProposal(uint256)")) || selector == bytes4(keccak256("revokeGuardian(address)"))),
+                "Voting: Voting is paused!"
+            );
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Returns selector of the function that is called by the call.
+     */
+    function _selectorOf(Call storage call_) internal view returns(bytes4) {
+        if (bytes(call_.functionSignature).length != 0) {
+            return bytes4(keccak256(bytes(call_.functionSignature)));
+        }
+        bytes memory callData = call_.dataToSend;
+        return bytes4(callData);
+    }
+
+    /**
+     * @dev Returns current status of the proposal (taking into account that time
+     * for voting or grace period could expire).
+     */
+    function _proposalStatus(uint256 proposalId) internal view returns(ProposalStatus) {
+        Proposal storage proposal = proposals[proposalId];
+        ProposalStatus status = proposal.status;
+        if (status == ProposalStatus.Active) {
+            if (block.timestamp >= proposal.proposalTime + _timeForVotingOf(proposalId)) { return ProposalStatus.Expired; }
+        } else if (status == ProposalStatus.Queued) {
+            if (block.timestamp >= proposal.executionTime + gracePeriod) { return ProposalStatus.Expired; }
+        }
+        return status;
+    }
+
+    /**
+     * @dev Returns time for voting for the proposal: the one of its policy or usual one.
+     */
+    function _timeForVotingOf(uint256 proposalId) internal view returns(uint256) {
+        uint256 time = proposals[proposalId].timeForVoting;
+        return time == 0 ? timeForVoting : time;
+    }
+
+    /**
+     * @dev Throws an error if `account` is not a voter.
+     */
+    function _checkVoter(address account) internal view {
+        require(voterStatus[account] != VoterStatus.NotVoter, "Voting: You are not a voter!");
+    }
+
+    /**
+     * @dev Throws an error if there is no proposal with such ID.
+     */
+    function _checkProposalExists(uint256 proposalId) internal view {
+        require(proposalId != 0 && proposalId <= proposalsAmount, "Voting: There is no such proposal!");
+    }
+
+    /**
+     * @dev Throws an error if proposal does not exist, time for voting has ended or
+     * proposal was already executed, cancelled or expired.
+     */
+    function _checkTimeNotPassed(uint256 proposalId) internal view {
+        _checkProposalExists(proposalId);
+        ProposalStatus status = _proposalStatus(proposalId);
+        require(
+            (status == ProposalStatus.Active || status == ProposalStatus.Queued) && 
+            block.timestamp < proposals[proposalId].proposalTime + _timeForVotingOf(proposalId), 
+            "Voting: It is too late!"
+        );
+    }
+
+    /**
+     * @dev Changes delegate of `voter` (zero address revokes delegation).
+     */
+    function _setDelegate(address voter, address newDelegate) internal {
+        address oldDelegate = delegates[voter];
+        if (oldDelegate != address(0)) {
+            address[] storage delegators_ = delegators[oldDelegate];
+            uint256 last = delegators_.length - 1;
+            uint256 index;
+            while (delegators_[index] != voter) {
+                unchecked { ++index; }
+            }
+            delegators_[index] = delegators_[last];
+            delegators_.pop();
+        }
+        if (newDelegate != address(0)) { delegators[newDelegate].push(voter); }
+
+        delegates[voter] = newDelegate;
+        emit DelegateChanged(voter, oldDelegate, newDelegate);
+    }
+
+    /**
+     * @dev Returns true if percentage is not more than 100% or absolute amount of
+     * votes is not more than amount of voters.
+     */
+    function _isThresholdReachable(Threshold memory threshold) internal view virtual returns(bool) {
+        if (threshold.thresholdType == ThresholdType.Absolute) {
+            return threshold.value <= voters.length;
+        }
+        return threshold.value <= MAX_PERCENTAGE;
+    }
+}
+
 /**
  * @title Voting for transaction.
  * @dev Contract that implements mechanism of both voting for transaction between set of voters and
  * making of this transaction in case of having enough votes.
  *
- * Voting mechanism: pre-set voters (addresses) can make a proposal of transaction and then during
- * pre-set strict amount of time all voters can see it and vote for it by calling special function.
- * If somebody does not like the proposal, he/she just should do nothing. Then, if proposal got 
- * enough votes (50% + 1), anyone among voters can make a transaction but only one time. If time passes
- * but there was not enough votes or noone wanted to make a transaction then voting for this proposal
- * is ended and voters can suggest a new one.
+ * Voting mechanism: pre-set voters (addresses) can make proposals of transactions and then during
+ * pre-set strict amount of time all voters can see them and vote for, against or abstain by calling
+ * special function. Until time for voting ends, vote can be changed or withdrawn; voters who did not
+ * vote are not counted at all, but only votes "for" make a proposal pass. As soon as proposal got 
+ * enough votes "for" (approval threshold, e.g. 50% + 1 of all voters) and enough voters took part
+ * in voting at all (quorum, abstentions are counted here), it is queued: after pre-set execution delay
+ * anyone among voters can make a transaction (but only one time) during pre-set grace period. The delay
+ * gives outvoted voters time to react: proposer can cancel his/her proposal and voters can cancel it by
+ * another voting. If time passes but there was not enough votes or noone wanted to make a transaction
+ * then voting for this proposal is ended (proposal is expired).
+ *
+ * The contract can hold ether and ERC20, ERC721 and ERC1155 tokens (safe transfers are accepted)
+ * and spend them only by voted transactions, so it can be used as a treasury of the voters.
+ *
+ * Optional guardians (e.g. a security committee) can be set at deployment to stop a malicious
+ * majority: any guardian can veto an active or queued proposal and pause making and execution of
+ * proposals (except proposals that only cancel proposals or revoke guardians, so voters can still
+ * revoke guardians). Guardians are revoked by a usual voting: a guardian cannot veto a proposal that
+ * only revokes guardians including him/herself, but other guardians can. So guardians can stop
+ * the majority from revoking them one by one, but not all of them at once - it is better to have
+ * at least two guardians and the majority is still trusted not to revoke all of them.
+ *
+ * Voters can also sign their votes off-chain (EIP-712 typed data `Ballot`) and let anyone (relayer)
+ * send these signatures to the contract, so voters do not need to pay for gas.
+ *
+ * A voter who cannot take part in voting for some time can delegate his/her vote to another voter
+ * (see {delegate}): every vote of the delegate is then cast on behalf of the voter too, unless the
+ * voter votes on the proposal him/herself. Delegation is not transitive (votes of the delegate are
+ * not passed further to his/her own delegate), so chains and cycles of delegations are harmless.
+ *
+ * Calls to different targets and functions can be voted by different rules: a policy table
+ * (see {setPolicy}) keyed by target address and function selector sets approval threshold, time
+ * for voting and maximal value of the call or denies such calls at all. A proposal is voted by
+ * rules of its strictest call, changes of the table itself need the strictest rules of the table.
+ *
+ * The contract itself "signs" messages (off-chain orders, permits, sign-in messages) by voting:
+ * a proposal of {approveHash} call makes the message hash valid for ERC-1271 `isValidSignature`
+ * (until optional expiry time), a later proposal of {revokeHash} call makes it invalid again.
+ *
+ * Code of the functions that do not depend on overridable functions of the contract (execution of
+ * proposals, guardians, delegation, management of policies and signatures) is kept in separate
+ * {VotingForTransactionModule} whose address is set by the constructor: these functions are forwarded
+ * to it by delegatecall, so the contract stays under the contract size limit.
+ *
+ * Every proposal gets its own ID (IDs start from 1 and are incremented by one) so several proposals
+ * can be on voting at the same time and each of them has its own votes and status.
  * 
  * All transaction properties (address, name of function, data that will be sent (function arguments),
- * value) are stored inside the contract. 
+ * value) are stored inside the contract. One proposal can also contain several calls (see
+ * {createBatchProposal}) - they are made one by one in the same order and either all of them
+ * succeed or all of them are reverted.
  * 
  * NOTE on {createProposal}: All arguments (data) that are sent with proposed transaction must be 
  * ABI encoded (!): converted into bytes32 layout (left- or right-padded with zero-bytes to a length
@@ -27,82 +481,78 @@ pragma solidity ^0.8.16;
  * 1. Args encoding: https://docs.soliditylang.org/en/latest/abi-spec.html#examples
  * 2. Function signature: https://docs.soliditylang.org/en/latest/abi-spec.html#function-selector
  */
-contract VotingForTransaction {
-
-    event VotingStarted(address targetAddress, 
-                        string functionSignature, 
-                        bytes dataToSend, 
-                        uint256 valueToSend);
-
-    event TransactionMade(bool success,
-                          bytes result,
-                          address targetAddress, 
-                          string functionSignature, 
-                          bytes dataToSend, 
-                          uint256 valueToSend, 
-                          uint256 proposalTime);
-
-    event FundsReplenished(address giver, uint256 amount);
-
-    // {VoterStatus.IsVoter} means this address is a voter and is against current proposal
-    enum VoterStatus { NotVoter, IsVoter, VotesFor }
-
-    address[] voters;
-    mapping(address => VoterStatus) voterStatus;
-
-    uint256 timeForVoting;
-
-    address targetAddress;
-    string functionSignature;
-    bytes dataToSend;
-    uint256 valueToSend;
-    uint256 proposalTime;
+contract VotingForTransaction is VotingForTransactionStorage, IERC721Receiver, IERC1155Receiver, IERC1271 {
 
-    bool entranceFlag;
+    // {VotingForTransactionModule} that is set by the constructor, functions that are
+    // implemented by it are forwarded to it (see {_delegateToModule})
+    address immutable module;
 
     /**
-     * @dev Sets voters and time period of voting.
+     * @dev Sets module, voters, time period of voting and rules of counting votes.
+     * @param module_ is address of deployed {VotingForTransactionModule}. It has no state,
+     * so one module can be used by all votings (and all their versions) of the network.
      * @param voters_ is an array of addresses that will become voters.
-     * @param timeForVoting_ is period of time in seconds during which it is possible to vote
-     * and to make a proposed transaction.
+     * @param timeForVoting_ is period of time in seconds during which it is possible to vote.
+     * @param approvalThreshold_ is amount of votes "for" needed to pass a proposal. For example,
+     * simple majority is `(Percentage, 5000)`, two thirds - `(Percentage, 6666)`, unanimity - 
+     * `(Percentage, 10000)`, 3 of N - `(Absolute, 3)`.
+     * @param quorum_ is amount of all votes (for, against and abstain) needed to pass a proposal.
+     * Set it to `(Absolute, 0)` if quorum is not needed.
+     * @param executionDelay_ is period of time in seconds that starts when proposal got enough 
+     * votes and during which transaction cannot be made yet. Set it to zero if it is not needed.
+     * @param gracePeriod_ is period of time in seconds after execution delay during which it is 
+     * possible to make a proposed transaction.
+     * @param guardians_ is an array of addresses that can veto proposals and pause voting.
+     * Leave it empty if guardians are not needed.
      */
-    constructor(address[] memory voters_, uint256 timeForVoting_) {
-        uint256 length = voters_.length;
-        address currVoter;
-        for (uint256 i; i < length;) {
-            currVoter = voters_[i];
-            // To make sure there is no repeating addresses (this would impact on vote count)
-            if (voterStatus[currVoter] != VoterStatus.NotVoter) { ++i; continue; }
-
-            voters.push(currVoter);
-            voterStatus[currVoter] = VoterStatus.IsVoter;
-            unchecked { ++i; }
-        }
-
-        timeForVoting = timeForVoting_;
+    constructor(
+                address module_,
+                address[] memory voters_, 
+                uint256 timeForVoting_, 
+                Threshold memory approvalThreshold_, 
+                Threshold memory quorum_,
+                uint256 executionDelay_,
+                uint256 gracePeriod_,
+                address[] memory guardians_
+                ) {
+        require(module_.code.length != 0, "Voting: Wrong module!");
+        module = module_;
+        _initialize(voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_);
     }
 
     /**
-     * @dev Throws an error if caller is not a voter.
+     * @dev Does the same as the constructor for clones of this contract (see 
+     * {VotingForTransactionFactory}), it must be called in the same transaction as cloning.
+     * Requirements: contract must not be initialized yet (contracts that are deployed
+     * as usual are initialized by the constructor).
      */
-    modifier onlyForVoters() {
-        require(voterStatus[msg.sender] != VoterStatus.NotVoter, "Voting: You are not a voter!");
-        _;
+    function initialize(
+                        address[] memory voters_, 
+                        uint256 timeForVoting_, 
+                        Threshold memory approvalThreshold_, 
+                        Threshold memory quorum_,
+                        uint256 executionDelay_,
+                        uint256 gracePeriod_,
+                        address[] memory guardians_
+                        ) external virtual {
+        _initialize(voters_, timeForVoting_, approvalThreshold_, quorum_, executionDelay_, gracePeriod_, guardians_);
     }
 
     /**
-     * @dev Throws an error if time for voting has not ended.
+     * @dev Throws an error if caller cannot make proposals (see {_checkProposer}).
      */
-    modifier timePassed() {
-        require(block.timestamp >= proposalTime + timeForVoting, "Voting: It is too early!");
+    modifier onlyProposers() {
+        _checkProposer(msg.sender);
         _;
     }
 
     /**
-     * @dev Throws an error if time for voting has ended.
+     * @dev Throws an error if function is not called by the same contract address, that is
+     * by voting (see {_checkVoted}). It is used by versions of the contract for functions
+     * that change their settings.
      */
-    modifier timeNotPassed() {
-        require(block.timestamp < proposalTime + timeForVoting, "Voting: It is too late!");
+    modifier votedOnly() {
+        _checkVoted();
         _;
     }
 
@@ -121,147 +571,1588 @@ contract VotingForTransaction {
     }
     
     /**
-     * @notice Returns properties of transaction that is currently on voting.
-     * Requirements: time for voting must not expire.
+     * @notice Returns period of time (in seconds) between queueing of the proposal and
+     * beginning of its execution.
      */
-    function seeCurrentProposal() external view timeNotPassed returns(address, string memory, bytes memory, uint256, uint256) {
-        return (targetAddress, functionSignature, dataToSend, valueToSend, proposalTime);
+    function seeExecutionDelay() external view returns(uint256) {
+        return executionDelay;
     }
 
     /**
-     * @notice Returns true if (50% + 1) of voters agree on the current proposal and
-     * false if not.
-     * Requirements: time for voting must not expire.
+     * @notice Returns period of time (in seconds) after execution delay during which
+     * it is possible to make a proposed transaction.
      */
-    function seeAreAgreementsEnough() external view timeNotPassed returns(bool) {
-        return _areAgreementsEnough();
+    function seeGracePeriod() external view returns(uint256) {
+        return gracePeriod;
     }
 
     /**
-     * @notice Votes for current proposal. Be careful! This cannot be undone. 
-     * Requirements: caller must be one of the voters and time for voting must not expire.
+     * @notice Returns amount of votes "for" needed to pass a proposal.
      */
-    function voteForProposal() external timeNotPassed onlyForVoters {
-        voterStatus[msg.sender] = VoterStatus.VotesFor;
+    function seeApprovalThreshold() external view returns(Threshold memory) {
+        return approvalThreshold;
     }
 
     /**
-     * @notice Creates a proposal that will be sent on voting.
-     * Requirements: caller must be one of the voters and time for voting must expire.
-     * 
-     * @param targetAddress_ is eth address where transaction should go to.
-     * @param functionSignature_ is signature of function that will be called (must have strict,
-     * canonical form - it is hashed and pruned to 4 bytes later in function {makeTransaction}).
-     * Leave it as an empty string if it is only needed to send ether.
-     * @param dataToSend_ is function arguments that will be sent with transaction. They must be
-     * ABI encoded (!): converted into bytes32 layout (left- or right-padded with zero-bytes to 
-     * a length of 32 bytes) and concatenated to one 'bytes' variable by yourself.
-     * Leave it as an empty 'bytes' variable if it is not needed to send args with function.
-     * @param valueToSend_ is value (in wei) that will be sent. Leave it equal to zero if it is
-     * not needed to send any ether.
+     * @notice Returns amount of all votes (including abstentions) needed to pass a proposal.
      */
-    function createProposal(
-                            address targetAddress_, 
-                            string calldata functionSignature_, 
-                            bytes calldata dataToSend_,
-                            uint256 valueToSend_
-                            ) external 
-                            timePassed 
-                            onlyForVoters
-                            virtual {
-        // Clearing votes for previous proposal
-        _clearVotes();
-
-        // Set properties of new transaction
-        targetAddress = targetAddress_;
-        functionSignature = functionSignature_;
-        valueToSend = valueToSend_;
-
-        // Set data (arguments of function) if it was sent
-        if (bytes(functionSignature_).length == 0) {
-            require(dataToSend_.length == 0, "Voting: You cannot send any args with empty function name!");
-        }
-        require(dataToSend_.length % 32 == 0, "Voting: Wrong data (function args) encoding!");
-        dataToSend = dataToSend_;
+    function seeQuorum() external view returns(Threshold memory) {
+        return quorum;
+    }
 
-        // Set time of transaction proposal
-        proposalTime = block.timestamp;
-        emit VotingStarted(targetAddress_, functionSignature_, dataToSend_, valueToSend_);
+    /**
+     * @notice Returns addresses of guardians.
+     */
+    function seeGuardians() external view returns(address[] memory) {
+        return guardians;
     }
 
     /**
-     * @notice Makes the transaction that was sent on voting.
-     * Requirements: caller must be one of the voters, time for voting (therefore,
-     * making of transaction) must not expire, there must be enough votes for proposal.
-     * NOTE: If the proposed transaction is reverted, caller will not have second chance
-     * during the same voting - `proposalTime` will be changed and time for voting will
-     * pass.
+     * @notice Returns true if voting is paused by a guardian.
      */
-    function makeTransaction() external timeNotPassed onlyForVoters {
-        require(_areAgreementsEnough(), "Voting: Not enough votes for current proposal!");
+    function isPaused() external view returns(bool) {
+        return paused;
+    }
 
-        // Set time of last proposal to almost zero to prevent making same multiple 
-        // transactions in a row and doing a reentrancy attack and also to instantly 
-        // get ability to make new proposals after current transaction making
-        uint256 proposalTime_ = proposalTime;
-        proposalTime = 1;
+    /**
+     * @notice Returns amount of proposals that were ever made (it is also ID of the last one).
+     */
+    function seeProposalsAmount() external view returns(uint256) {
+        return proposalsAmount;
+    }
 
-        // Making of transaction
-        bool success;
-        bytes memory result;
-        if (bytes(functionSignature).length == 0) {
-            // If there is no function signature (and, therefore, no arguments)
-            (success, result) = targetAddress.call{value: valueToSend}("");
-        } else {
-            // If there is only function signature or signature and arguments both
-            (success, result) = targetAddress.call{value: valueToSend}(bytes.concat(abi.encodeWithSignature(functionSignature), dataToSend));
-        }
-        emit TransactionMade(success, result, targetAddress, functionSignature, dataToSend, valueToSend, proposalTime_);
+    /**
+     * @notice Returns calls of transaction that is on voting (or queued) under `proposalId`
+     * and time of its proposal.
+     * Requirements: proposal must be active or queued.
+     */
+    function seeCurrentProposal(uint256 proposalId) external view proposalExists(proposalId) returns(Call[] memory, uint256) {
+        ProposalStatus status = _proposalStatus(proposalId);
+        require(status == ProposalStatus.Active || status == ProposalStatus.Queued, "Voting: It is too late!");
+        Proposal storage proposal = proposals[proposalId];
+        return (proposal.calls, proposal.proposalTime);
     }
 
     /**
-     * @notice Receives some ether.
+     * @notice Returns everything about the proposal: its calls, proposer, title and hash of
+     * description, times, status, amounts of votes and result of the transaction. It works
+     * for finished proposals too.
+     * Requirements: proposal must exist.
      */
-    function replenishFunds() external payable {
-        require(msg.value > 0, "Voting: You did not send any Ether!");
-        emit FundsReplenished(msg.sender, msg.value);
+    function seeProposal(uint256 proposalId) external view proposalExists(proposalId) returns(ProposalInfo memory) {
+        return _proposalInfo(proposalId);
+    }
+
+    /**
+     * @notice Returns up to `amount` proposals starting from `fromId` (see {seeProposal}).
+     * Returns an empty array if there are no proposals starting from `fromId`.
+     * Requirements: `fromId` must not be zero.
+     */
+    function seeProposals(uint256 fromId, uint256 amount) external view returns(ProposalInfo[] memory page) {
+        require(fromId != 0, "Voting: There is no such proposal!");
+        if (fromId > proposalsAmount) { return page; }
+        uint256 lastId = proposalsAmount - fromId < amount ? proposalsAmount : fromId + amount - 1;
+
+        page = new ProposalInfo[](lastId - fromId + 1);
+        for (uint256 i; i < page.length;) {
+            page[i] = _proposalInfo(fromId + i);
+            unchecked { ++i; }
+        }
     }
 
     /**
-     * @dev Returns true if (50% + 1) of voters agree on the current proposal and
-     * false if not.
+     * @notice Returns amount of voters who have ever voted on the proposal (see {seeBallots}).
+     * Requirements: proposal must exist.
      */
-    function _areAgreementsEnough() internal view returns(bool) {
-        return _countAgreements() >= (voters.length / 2 + 1);
+    function seeBallotsAmount(uint256 proposalId) external view proposalExists(proposalId) returns(uint256) {
+        return ballotVoters[proposalId].length;
     }
 
     /**
-     * @dev Returns amount of agreements.
+     * @notice Returns up to `amount` voters who voted on the proposal starting from index
+     * `offset` and their votes ({Vote.None} if vote was withdrawn).
+     * Requirements: proposal must exist.
      */
-    function _countAgreements() internal view returns(uint256) {
-        uint256 agreementsAmount;
+    function seeBallots(uint256 proposalId, uint256 offset, uint256 amount) 
+        external 
+        view 
+        proposalExists(proposalId) 
+        returns(address[] memory voters_, Vote[] memory votes_) 
+    {
+        address[] storage ballotVoters_ = ballotVoters[proposalId];
+        uint256 length = ballotVoters_.length;
+        if (offset >= length) { return (voters_, votes_); }
+        if (length - offset < amount) { amount = length - offset; }
 
-        uint256 votersAmount = voters.length;
-        for (uint256 i; i < votersAmount;) {
-            if (voterStatus[voters[i]] == VoterStatus.VotesFor) {
-                unchecked { ++agreementsAmount; }
-            }
+        voters_ = new address[](amount);
+        votes_ = new Vote[](amount);
+        for (uint256 i; i < amount;) {
+            voters_[i] = ballotVoters_[offset + i];
+            votes_[i] = votes[proposalId][voters_[i]];
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @notice Returns 4-byte selectors of functions that are called by the proposal (zero
+     * selector for calls that only send ether).
+     * Requirements: proposal must exist.
+     */
+    function seeSelectors(uint256 proposalId) external view proposalExists(proposalId) returns(bytes4[] memory selectors) {
+        Call[] storage calls = proposals[proposalId].calls;
+        uint256 length = calls.length;
+        selectors = new bytes4[](length);
+        for (uint256 i; i < length;) {
+            selectors[i] = _selectorOf(calls[i]);
             unchecked { ++i; }
         }
+    }
+
+    /**
+     * @notice Returns status of proposal: active, queued, executed, cancelled or expired.
+     * Requirements: proposal must exist.
+     */
+    function seeProposalStatus(uint256 proposalId) external view proposalExists(proposalId) returns(ProposalStatus) {
+        return _proposalStatus(proposalId);
+    }
 
-        return agreementsAmount;
+    /**
+     * @notice Returns address of the voter who made the proposal.
+     * Requirements: proposal must exist.
+     */
+    function seeProposer(uint256 proposalId) external view proposalExists(proposalId) returns(address) {
+        return proposals[proposalId].proposer;
     }
 
     /**
-     * @dev Clear all votes for (expired) proposal.
+     * @notice Returns what happens when a call of the proposal fails and how many times
+     * its transaction was made (including failed attempts of retryable proposal).
+     * Requirements: proposal must exist.
      */
-    function _clearVotes() internal {
-        uint256 votersAmount = voters.length;
-        for (uint256 i; i < votersAmount;) {
-            if (voterStatus[voters[i]] == VoterStatus.VotesFor) {
-                voterStatus[voters[i]] = VoterStatus.IsVoter;
-            }
+    function seeFailurePolicy(uint256 proposalId) 
+                              external 
+                              view 
+                              proposalExists(proposalId) 
+                              returns(FailurePolicy policy, uint256 attempts) {
+        Proposal storage proposal = proposals[proposalId];
+        return (proposal.failurePolicy, proposal.attempts);
+    }
+
+    /**
+     * @notice Returns time since which transaction of the queued proposal can be made
+     * (zero if proposal was not queued).
+     * Requirements: proposal must exist.
+     */
+    function seeExecutionTime(uint256 proposalId) external view proposalExists(proposalId) returns(uint256) {
+        return proposals[proposalId].executionTime;
+    }
+
+    /**
+     * @notice Returns key of the policy that applies to the proposal (see {setPolicy}) and
+     * approval threshold and time for voting that are used for it. Zero key means that the
+     * proposal changes the policy table and is voted by its strictest rules.
+     * Requirements: proposal must exist.
+     */
+    function seeAppliedPolicy(uint256 proposalId) 
+        external 
+        view 
+        proposalExists(proposalId) 
+        returns(bool applied, PolicyKey memory key, Threshold memory threshold, uint256 time) {
+        Proposal storage proposal = proposals[proposalId];
+        return (proposal.hasPolicy, proposal.policyKey, _approvalThresholdOf(proposalId), _timeForVotingOf(proposalId));
+    }
+
+    /**
+     * @notice Returns amounts of votes "for", "against" and "abstain" on the proposal.
+     * Requirements: proposal must exist.
+     */
+    function seeVotes(uint256 proposalId) external view proposalExists(proposalId) returns(uint256 forVotes, uint256 againstVotes, uint256 abstainVotes) {
+        return _countVotes(proposalId);
+    }
+
+    /**
+     * @notice Returns vote of `voter` on the proposal ({Vote.None} if he/she did not vote).
+     * Requirements: proposal must exist.
+     */
+    function seeVoteOf(uint256 proposalId, address voter) external view proposalExists(proposalId) returns(Vote) {
+        return votes[proposalId][voter];
+    }
+
+    /**
+     * @notice Returns delegate who cast the vote of `voter` on the proposal on behalf of him/her
+     * or zero address if the voter voted him/herself or has not voted.
+     */
+    function seeVoteCaster(uint256 proposalId, address voter) external view proposalExists(proposalId) returns(address) {
+        return votes[proposalId][voter] == Vote.None ? address(0) : voteCasters[proposalId][voter];
+    }
+
+    /**
+     * @notice Returns voter to whom `voter` delegated his/her vote (zero address if there
+     * is no delegation).
+     */
+    function seeDelegate(address voter) external view returns(address) {
+        return delegates[voter];
+    }
+
+    /**
+     * @notice Returns voters who delegated their votes to `voter`.
+     */
+    function seeDelegators(address voter) external view returns(address[] memory) {
+        return delegators[voter];
+    }
+
+    /**
+     * @notice Votes for, against or abstains on the proposal. Calling it again
+     * changes previous vote. Proposal is queued as soon as it gets enough votes, after
+     * that its result cannot be changed by votes (they are still recorded) - use 
+     * {cancelProposal} instead. The same vote is cast on behalf of voters who delegated
+     * their votes to the caller and have not voted on the proposal themselves.
+     * Requirements: caller must be one of the voters, time for voting must not expire
+     * and `vote_` must not be {Vote.None} (use {revokeVote} instead).
+     */
+    function voteForProposal(uint256 proposalId, Vote vote_) external timeNotPassed(proposalId) onlyForVoters {
+        _vote(proposalId, msg.sender, vote_);
+    }
+
+    /**
+     * @notice Withdraws caller's vote on the proposal.
+     * Requirements: caller must be one of the voters, time for voting must not expire
+     * and caller must have voted.
+     */
+    function revokeVote(uint256 proposalId) external timeNotPassed(proposalId) onlyForVoters {
+        require(votes[proposalId][msg.sender] != Vote.None, "Voting: You have not voted!");
+        _castVote(proposalId, msg.sender, Vote.None);
+    }
+
+    /**
+     * @notice Delegates caller's vote to `delegatee`: from now on every vote of `delegatee`
+     * (and its withdrawal) is cast on behalf of the caller too, unless the caller votes on
+     * the proposal him/herself - own vote always takes priority. Votes that `delegatee` has
+     * already cast are not copied. Calling it again changes the delegate.
+     * Requirements: caller and `delegatee` must be voters, caller cannot delegate to
+     * him/herself or to his/her current delegate, `delegatee` must have less than 10
+     * delegators.
+     */
+    function delegate(address) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Revokes delegation of caller's vote. Votes that were already cast on behalf
+     * of the caller are kept (caller can change them as usual).
+     * Requirements: caller must be a voter who has delegated his/her vote.
+     */
+    function undelegate() external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Returns nonce that must be used in the next signed ballot of `voter`.
+     */
+    function seeNonce(address voter) external view returns(uint256) {
+        return nonces[voter];
+    }
+
+    /**
+     * @notice Returns EIP-712 domain separator that is used in signed ballots.
+     */
+    function seeDomainSeparator() external view returns(bytes32) {
+        return _domainSeparator();
+    }
+
+    /**
+     * @notice Votes on behalf of voter who signed the ballot (EIP-712 typed data 
+     * `Ballot(uint256 proposalId,uint8 vote,uint256 nonce)` with domain name 
+     * "VotingForTransaction", version "1", current chain ID and address of this contract).
+     * Can be called by anyone.
+     * Requirements: signer must be one of the voters, `nonce` must be equal to his/her
+     * current nonce, time for voting must not expire and `vote_` must not be {Vote.None}.
+     */
+    function voteBySig(uint256 proposalId, Vote vote_, uint256 nonce, uint8 v, bytes32 r, bytes32 s) external {
+        _voteBySig(SignedBallot(proposalId, vote_, nonce, v, r, s));
+    }
+
+    /**
+     * @notice Votes on behalf of several voters at once, see {voteBySig}. If any of
+     * the ballots is wrong, all of them are reverted.
+     */
+    function voteBySigBatch(SignedBallot[] calldata ballots) external {
+        uint256 length = ballots.length;
+        for (uint256 i; i < length;) {
+            _voteBySig(ballots[i]);
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @notice Creates a proposal that will be sent on voting and returns its ID.
+     * Requirements: caller must be allowed to make proposals (one of the voters, see
+     * {_checkProposer}).
+     * 
+     * @param targetAddress_ is eth address where transaction should go to.
+     * @param functionSignature_ is signature of function that will be called (must have strict,
+     * canonical form - it is hashed and pruned to 4 bytes later in function {makeTransaction}).
+     * Leave it as an empty string if it is only needed to send ether.
+     * @param dataToSend_ is function arguments that will be sent with transaction. They must be
+     * ABI encoded (!): converted into bytes32 layout (left- or right-padded with zero-bytes to 
+     * a length of 32 bytes) and concatenated to one 'bytes' variable by yourself.
+     * Leave it as an empty 'bytes' variable if it is not needed to send args with function.
+     * @param valueToSend_ is value (in wei) that will be sent. Leave it equal to zero if it is
+     * not needed to send any ether.
+     * @param title_ is short title of the proposal (can be empty).
+     * @param contentHash_ is hash of off-chain description of the proposal, e.g. IPFS CID
+     * (can be zero).
+     */
+    function createProposal(
+                            address targetAddress_, 
+                            string calldata functionSignature_, 
+                            bytes calldata dataToSend_,
+                            uint256 valueToSend_,
+                            string calldata title_,
+                            bytes32 contentHash_
+                            ) external 
+                            payable
+                            onlyProposers
+                            returns(uint256) {
+        uint256 proposalId = ++proposalsAmount;
+        _addCall(proposalId, targetAddress_, functionSignature_, dataToSend_, valueToSend_);
+        _setMetadata(proposalId, title_, contentHash_);
+        _startVoting(proposalId);
+        return proposalId;
+    }
+
+    /**
+     * @notice Creates a proposal of a call with already encoded calldata (e.g. exported from
+     * another wallet or for a function whose selector is not derived from its signature)
+     * and returns its ID. Selector of the called function can be seen with {seeSelectors}.
+     * Requirements: caller must be allowed to make proposals, calldata must contain at least
+     * a selector.
+     *
+     * @param targetAddress_ is eth address where transaction should go to.
+     * @param callData_ is complete calldata: 4-byte selector of the function and its arguments.
+     * @param valueToSend_ is value (in wei) that will be sent.
+     * @param title_ is short title of the proposal, see {createProposal}.
+     * @param contentHash_ is hash of off-chain description of the proposal, see {createProposal}.
+     */
+    function createRawProposal(
+                               address targetAddress_, 
+                               bytes calldata callData_, 
+                               uint256 valueToSend_,
+                               string calldata title_,
+                               bytes32 contentHash_
+                               ) external 
+                               payable
+                               onlyProposers 
+                               returns(uint256) {
+        uint256 proposalId = ++proposalsAmount;
+        _addRawCall(proposalId, targetAddress_, callData_, valueToSend_);
+        _setMetadata(proposalId, title_, contentHash_);
+        _startVoting(proposalId);
+        return proposalId;
+    }
+
+    /**
+     * @notice Creates a proposal of several calls that will be made one by one in
+     * the same order and atomically: if any of them fails, all of them are reverted.
+     * Returns ID of the proposal.
+     * Requirements: caller must be allowed to make proposals and there must be at least one call.
+     *
+     * @param calls_ is an array of calls, properties of each call are the same as
+     * arguments of {createProposal}.
+     * @param title_ is short title of the proposal, see {createProposal}.
+     * @param contentHash_ is hash of off-chain description of the proposal, see {createProposal}.
+     */
+    function createBatchProposal(
+                                 Call[] calldata calls_,
+                                 string calldata title_,
+                                 bytes32 contentHash_
+                                 ) external 
+                                 payable 
+                                 onlyProposers 
+                                 returns(uint256) {
+        uint256 proposalId = _addCalls(calls_);
+        _setMetadata(proposalId, title_, contentHash_);
+        _startVoting(proposalId);
+        return proposalId;
+    }
+
+    /**
+     * @notice Makes the transaction that was sent on voting under `proposalId`.
+     * Requirements: caller must be one of the voters, proposal must be queued (got enough
+     * votes), execution delay must pass and grace period must not expire.
+     * NOTE: If the proposed transaction (any of its calls) is reverted, caller will not
+     * have second chance during the same voting - proposal will be marked as executed anyway,
+     * unless another failure policy is set for the proposal (see {setFailurePolicy}). A call
+     * that fails because it used up all gas given to it is not recorded: {makeTransaction}
+     * reverts with "Voting: Not enough gas to make transaction!" and can be called again
+     * with higher gas limit (so calls that always use up all gas cannot be executed at all).
+     */
+    function makeTransaction(uint256) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @dev Makes all calls of the proposal that is being executed by {makeTransaction}
+     * and returns their results. If any call fails, reverts with {CallFailed} error.
+     * Requirements: must be called from the same contract address during {makeTransaction}.
+     * It can be called only once per {makeTransaction} so a proposed call cannot make
+     * calls of any proposal again.
+     */
+    function executeProposalCalls() external returns(bytes[] memory) {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Sets what happens when a call of the proposal fails (see {FailurePolicy}).
+     * Requirements: caller must be the proposer, proposal must be active and nobody must
+     * have voted on it yet (so voters see the policy they approve).
+     */
+    function setFailurePolicy(uint256, FailurePolicy) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Cancels the proposal so its transaction cannot be made.
+     * Requirements: caller must be the proposer or this contract (so voters can cancel
+     * any proposal by another voting), proposal must be active or queued.
+     */
+    function cancelProposal(uint256) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Marks the proposal as expired. It is not necessary to do this (expired
+     * proposals cannot be executed anyway), but it emits {ProposalExpired} event.
+     * Can be called by anyone.
+     * Requirements: time for voting (or grace period if proposal was queued) must expire
+     * and proposal must not be marked as expired yet.
+     */
+    function expireProposal(uint256) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Vetoes the proposal so its transaction cannot be made.
+     * Requirements: caller must be a guardian, proposal must be active or queued and
+     * must not be a proposal that only revokes guardians including the caller (see {revokeGuardian}).
+     */
+    function vetoProposal(uint256) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Pauses voting: proposals cannot be made and executed until {unpause}, except
+     * proposals whose calls all are calls of {cancelProposal} or {revokeGuardian} of this
+     * contract. Voting on already made proposals continues.
+     * Requirements: caller must be a guardian, voting must not be paused.
+     */
+    function pause() external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Unpauses voting.
+     * Requirements: caller must be a guardian, voting must be paused.
+     */
+    function unpause() external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Revokes role of the guardian. If there are no guardians left, voting is unpaused.
+     * Requirements: must be called from the same contract address (by voting),
+     * `guardian` must be a guardian.
+     */
+    function revokeGuardian(address) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Sets policy of calls to `target` with function `selector` (zero selector is
+     * for calls that only send ether): they are denied or voted by approval threshold and
+     * time for voting of the policy and cannot send more than `maxValue` wei. Proposals that
+     * are already made keep their rules.
+     * Requirements: must be called from the same contract address (by voting), `target` must
+     * not be zero address (zero key marks the strictest rules, see {seeAppliedPolicy}),
+     * `policy.mode` must not be {PolicyMode.None} and approval threshold must be reachable
+     * (see {VotingForTransaction-constructor}).
+     */
+    function setPolicy(address, bytes4, Policy calldata) external virtual {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Removes policy of calls to `target` with function `selector`, such calls
+     * are voted by usual rules again (or denied in allow-list mode).
+     * Requirements: must be called from the same contract address (by voting), policy
+     * must exist.
+     */
+    function removePolicy(address, bytes4) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Sets whether calls without policy are voted by usual rules (deny-list mode)
+     * or cannot be proposed (allow-list mode). Changes of the policy table itself are
+     * always allowed.
+     * Requirements: must be called from the same contract address (by voting).
+     */
+    function setPolicyListMode(PolicyListMode) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Returns policy of calls to `target` with function `selector`.
+     */
+    function seePolicy(address target, bytes4 selector) external view returns(Policy memory) {
+        return policies[target][selector];
+    }
+
+    /**
+     * @notice Returns keys of all policies (see {seePolicy}) and mode of the policy table.
+     */
+    function seePolicies() external view returns(PolicyKey[] memory, PolicyListMode) {
+        return (policyKeys, policyListMode);
+    }
+
+    /**
+     * @notice Approves the message hash, so {isValidSignature} accepts it as signed by
+     * this contract until `expiry` (inclusive) or until it is revoked by {revokeHash}.
+     * Approving of already approved hash changes its expiry.
+     * Requirements: must be called from the same contract address (by voting), voting must
+     * not be paused, `expiry` must be in the future or zero (approval does not expire).
+     */
+    function approveHash(bytes32, uint256) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Revokes approval of the message hash (see {approveHash}).
+     * Requirements: must be called from the same contract address (by voting),
+     * `hash` must be approved.
+     */
+    function revokeHash(bytes32) external {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Returns whether the message hash is valid for {isValidSignature} now and
+     * its expiry time (zero if approval does not expire).
+     */
+    function seeHashApproval(bytes32 hash) external view returns(bool valid, uint256 expiry) {
+        expiry = hashApprovals[hash];
+        valid = !paused && block.timestamp <= expiry;
+        if (expiry == type(uint256).max) { expiry = 0; }
+    }
+
+    /**
+     * @notice Returns ERC-1271 magic value if the message hash is approved by voting
+     * (see {approveHash}) and approval has not expired, otherwise returns `0xffffffff`.
+     * The signature itself is not checked (the contract signs by voting), so it can be empty.
+     * No signature is valid while voting is paused.
+     */
+    function isValidSignature(bytes32 hash, bytes memory) external view override returns(bytes4) {
+        if (!paused && block.timestamp <= hashApprovals[hash]) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+
+    /**
+     * @notice Receives some ether.
+     */
+    function replenishFunds() external payable {
+        require(msg.value > 0, "Voting: You did not send any Ether!");
+        emit FundsReplenished(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Receives ether sent by plain transfer (same as {replenishFunds}). Plain calls
+     * without ether (e.g. calls of proposals that only send zero value to this contract)
+     * do nothing, they are not reverted but {FundsReplenished} is not emitted for them.
+     */
+    receive() external payable {
+        if (msg.value != 0) { emit FundsReplenished(msg.sender, msg.value); }
+    }
+
+    /**
+     * @notice Accepts ERC721 token sent by `safeTransferFrom`.
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external override returns(bytes4) {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Accepts ERC1155 tokens sent by `safeTransferFrom`.
+     */
+    function onERC1155Received(
+                               address, 
+                               address, 
+                               uint256, 
+                               uint256, 
+                               bytes calldata
+                               ) external override returns(bytes4) {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Accepts ERC1155 tokens sent by `safeBatchTransferFrom`, {ERC1155Received}
+     * event is emitted for every token ID.
+     */
+    function onERC1155BatchReceived(
+                                    address, 
+                                    address, 
+                                    uint256[] calldata, 
+                                    uint256[] calldata, 
+                                    bytes calldata
+                                    ) external override returns(bytes4) {
+        _delegateToModule();
+    }
+
+    /**
+     * @notice Returns true if the contract implements interface with `interfaceId` (ERC165).
+     */
+    function supportsInterface(bytes4 interfaceId) external pure override returns(bool) {
+        return interfaceId == type(IERC165).interfaceId ||
+               interfaceId == type(IERC721Receiver).interfaceId ||
+               interfaceId == type(IERC1155Receiver).interfaceId;
+    }
+
+    /**
+     * @notice Returns amount of ether (in wei) that the contract has.
+     */
+    function seeEtherBalance() external view returns(uint256) {
+        return address(this).balance;
+    }
+
+    /**
+     * @notice Returns amount of ERC20 tokens (or amount of ERC721 tokens) that the
+     * contract has.
+     */
+    function seeTokenBalance(address token) external view returns(uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @notice Returns amount of ERC1155 tokens with `id` that the contract has.
+     */
+    function seeERC1155Balance(address token, uint256 id) external view returns(uint256) {
+        return IERC1155(token).balanceOf(address(this), id);
+    }
+
+    /**
+     * @dev Sets voters, guardians, time periods and rules of counting votes,
+     * see {VotingForTransaction-constructor}.
+     */
+    function _initialize(
+                         address[] memory voters_, 
+                         uint256 timeForVoting_, 
+                         Threshold memory approvalThreshold_, 
+                         Threshold memory quorum_,
+                         uint256 executionDelay_,
+                         uint256 gracePeriod_,
+                         address[] memory guardians_
+                         ) internal {
+        require(!initialized, "Voting: Already initialized!");
+        initialized = true;
+
+        uint256 length = voters_.length;
+        address currVoter;
+        for (uint256 i; i < length;) {
+            currVoter = voters_[i];
+            // To make sure there is no repeating addresses (this would impact on vote count)
+            if (voterStatus[currVoter] != VoterStatus.NotVoter) { ++i; continue; }
+
+            voters.push(currVoter);
+            voterStatus[currVoter] = VoterStatus.IsVoter;
+            unchecked { ++i; }
+        }
+
+        timeForVoting = timeForVoting_;
+        _setApprovalThreshold(approvalThreshold_);
+        _setQuorum(quorum_);
+        executionDelay = executionDelay_;
+        _setGracePeriod(gracePeriod_);
+
+        length = guardians_.length;
+        for (uint256 i; i < length;) {
+            currVoter = guardians_[i];
+            if (!isGuardian[currVoter]) {
+                guardians.push(currVoter);
+                isGuardian[currVoter] = true;
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Saves all calls of the new proposal and returns its ID.
+     */
+    function _addCalls(Call[] calldata calls_) internal returns(uint256) {
+        uint256 length = calls_.length;
+        require(length != 0, "Voting: There are no calls in proposal!");
+
+        uint256 proposalId = ++proposalsAmount;
+        for (uint256 i; i < length;) {
+            _addCall(
+                proposalId, 
+                calls_[i].targetAddress, 
+                calls_[i].functionSignature, 
+                calls_[i].dataToSend, 
+                calls_[i].valueToSend
+            );
+            unchecked { ++i; }
+        }
+        return proposalId;
+    }
+
+    /**
+     * @dev Checks properties of the call and adds it to the proposal.
+     */
+    function _addCall(
+                      uint256 proposalId, 
+                      address targetAddress_, 
+                      string calldata functionSignature_, 
+                      bytes calldata dataToSend_,
+                      uint256 valueToSend_
+                      ) internal {
+        // Data (arguments of function) can be sent only with function signature
+        if (bytes(functionSignature_).length == 0) {
+            require(dataToSend_.length == 0, "Voting: You cannot send any args with empty function name!");
+        }
+        require(dataToSend_.length % 32 == 0, "Voting: Wrong data (function args) encoding!");
+
+        Call storage call_ = proposals[proposalId].calls.push();
+        call_.targetAddress = targetAddress_;
+        call_.functionSignature = functionSignature_;
+        call_.dataToSend = dataToSend_;
+        call_.valueToSend = valueToSend_;
+    }
+
+    /**
+     * @dev Checks calldata and adds the call to the proposal. Such calls are stored with
+     * empty function signature and calldata as `dataToSend` (calls made by {createProposal}
+     * cannot have data without signature).
+     */
+    function _addRawCall(
+                         uint256 proposalId, 
+                         address targetAddress_, 
+                         bytes calldata callData_, 
+                         uint256 valueToSend_
+                         ) internal {
+        require(callData_.length >= 4, "Voting: Wrong calldata!");
+
+        Call storage call_ = proposals[proposalId].calls.push();
+        call_.targetAddress = targetAddress_;
+        call_.dataToSend = callData_;
+        call_.valueToSend = valueToSend_;
+    }
+
+    /**
+     * @dev Sets time of proposal and starts voting for it.
+     */
+    function _startVoting(uint256 proposalId) internal virtual {
+        _checkNotPaused(proposalId);
+        _beforeVoting(proposalId);
+        Proposal storage proposal = proposals[proposalId];
+        proposal.proposer = msg.sender;
+        proposal.proposalTime = block.timestamp;
+        proposal.status = ProposalStatus.Active;
+        proposal.votersAmount = voters.length;
+        _applyPolicies(proposalId);
+        emit VotingStarted(proposalId, msg.sender, proposal.calls, proposal.title, proposal.contentHash);
+    }
+
+    /**
+     * @dev Checks calls of the proposal against the policy table (see {setPolicy}) and sets
+     * rules of its strictest call to the proposal: the one that needs the most votes "for"
+     * (and the longest time for voting among such calls). Calls that change the table are
+     * voted by the strictest rules of the whole table, key of the policy is zero for them.
+     */
+    function _applyPolicies(uint256 proposalId) internal {
+        Proposal storage proposal = proposals[proposalId];
+        Call[] storage calls = proposal.calls;
+        uint256 length = calls.length;
+        uint256 totalWeight = _totalWeight(proposalId);
+        uint256 maxRequiredVotes;
+        uint256 maxTime;
+        for (uint256 i; i < length;) {
+            Call storage call_ = calls[i];
+            address target = call_.targetAddress;
+            bytes4 selector = _selectorOf(call_);
+            Policy memory policy = policies[target][selector];
+
+            if (target == address(this) && (
+                selector == this.setPolicy.selector ||
+                selector == this.removePolicy.selector ||
+                selector == this.setPolicyListMode.selector
+            )) {
+                policy.mode = PolicyMode.Allowed;
+                (policy.approvalThreshold, policy.timeForVoting) = _strictestRules(totalWeight);
+                // There is no such policy in the table
+                target = address(0);
+                selector = bytes4(0);
+            } else if (policy.mode == PolicyMode.None) {
+                require(policyListMode == PolicyListMode.DenyList, "Voting: Call is not allowed by policies!");
+            } else {
+                require(policy.mode == PolicyMode.Allowed, "Voting: Call is denied by policy!");
+                require(call_.valueToSend <= policy.maxValue, "Voting: Value is more than policy allows!");
+            }
+
+            uint256 requiredVotes = _requiredVotes(
+                policy.approvalThreshold.value == 0 ? approvalThreshold : policy.approvalThreshold, totalWeight
+            );
+            uint256 time = policy.timeForVoting == 0 ? timeForVoting : policy.timeForVoting;
+            if (i == 0 || requiredVotes > maxRequiredVotes || (requiredVotes == maxRequiredVotes && time > maxTime)) {
+                maxRequiredVotes = requiredVotes;
+                maxTime = time;
+                // Usual rules are not fixed, they can be changed during voting
+                proposal.hasPolicy = policy.mode != PolicyMode.None;
+                proposal.policyKey = PolicyKey(target, selector);
+                proposal.approvalThreshold = policy.approvalThreshold;
+                proposal.timeForVoting = policy.timeForVoting;
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Returns approval threshold that needs the most votes and the longest time for
+     * voting among usual rules and all allowed policies.
+     */
+    function _strictestRules(uint256 totalWeight) internal view returns(Threshold memory threshold, uint256 time) {
+        threshold = approvalThreshold;
+        time = timeForVoting;
+        uint256 maxRequiredVotes = _requiredVotes(threshold, totalWeight);
+        uint256 length = policyKeys.length;
+        for (uint256 i; i < length;) {
+            Policy storage policy = policies[policyKeys[i].target][policyKeys[i].selector];
+            if (policy.mode == PolicyMode.Allowed) {
+                uint256 requiredVotes = _requiredVotes(policy.approvalThreshold, totalWeight);
+                if (requiredVotes > maxRequiredVotes) {
+                    maxRequiredVotes = requiredVotes;
+                    threshold = policy.approvalThreshold;
+                }
+                if (policy.timeForVoting > time) { time = policy.timeForVoting; }
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Sets title and hash of off-chain description of the proposal.
+     */
+    function _setMetadata(uint256 proposalId, string calldata title_, bytes32 contentHash_) internal {
+        Proposal storage proposal = proposals[proposalId];
+        proposal.title = title_;
+        proposal.contentHash = contentHash_;
+    }
+
+    /**
+     * @dev Validates the proposal and its proposer before voting for it starts (after its
+     * calls are added), ether sent with the proposal is not accepted here. It is overridden
+     * in version with proposal makers where they pay a bond.
+     */
+    function _beforeVoting(uint256) internal virtual {
+        require(msg.value == 0, "Voting: Bond is not needed!");
+    }
+
+    /**
+     * @dev Throws an error if `account` cannot make proposals. Only voters can do this here,
+     * it is overridden in version with proposal makers.
+     */
+    function _checkProposer(address account) internal view virtual {
+        _checkVoter(account);
+    }
+
+    /**
+     * @dev Throws an error if function is not called by the same contract address. (The only
+     * way to do this is to call {makeTransaction} with enough votes for this.) Versions of the
+     * contract override it to throw their own errors.
+     */
+    function _checkVoted() internal view virtual {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+    }
+
+    /**
+     * @dev Sets vote of `voter` on the proposal and queues the proposal if it got
+     * enough votes.
+     */
+    function _vote(uint256 proposalId, address voter, Vote vote_) internal {
+        require(vote_ != Vote.None, "Voting: Use `revokeVote` to withdraw your vote!");
+        _castVote(proposalId, voter, vote_);
+
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.status == ProposalStatus.Active && _areAgreementsEnough(proposalId)) {
+            proposal.status = ProposalStatus.Queued;
+            proposal.executionTime = block.timestamp + executionDelay;
+            emit ProposalQueued(proposalId, proposal.executionTime);
+        }
+    }
+
+    /**
+     * @dev Sets own vote of `voter` on the proposal and casts it on behalf of his/her
+     * delegators who have not voted themselves (see {delegate}).
+     */
+    function _castVote(uint256 proposalId, address voter, Vote vote_) internal {
+        _setBallot(proposalId, voter, vote_);
+        delete voteCasters[proposalId][voter];
+
+        address[] storage delegators_ = delegators[voter];
+        uint256 length = delegators_.length;
+        address delegator;
+        for (uint256 i; i < length;) {
+            delegator = delegators_[i];
+            if (!hasBallot[proposalId][delegator] || voteCasters[proposalId][delegator] != address(0)) {
+                voteCasters[proposalId][delegator] = voter;
+                _setBallot(proposalId, delegator, vote_);
+            }
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev Sets (or withdraws if `vote_` is {Vote.None}) vote of `voter` on the proposal
+     * and remembers that he/she has voted on it.
+     */
+    function _setBallot(uint256 proposalId, address voter, Vote vote_) internal {
+        if (!hasBallot[proposalId][voter]) {
+            hasBallot[proposalId][voter] = true;
+            ballotVoters[proposalId].push(voter);
+            _pruneVotedProposals(voter);
+            votedProposals[voter].push(proposalId);
+        }
+
+        Vote oldVote = votes[proposalId][voter];
+        if (oldVote != vote_) {
+            // Weight of the voter does not change during voting, see {_weightOf}
+            uint256 weight = _weightOf(proposalId, voter);
+            Tally storage tally = tallies[proposalId];
+            if (oldVote == Vote.For) { tally.forVotes -= weight; }
+            else if (oldVote == Vote.Against) { tally.againstVotes -= weight; }
+            else if (oldVote == Vote.Abstain) { tally.abstainVotes -= weight; }
+
+            if (vote_ == Vote.For) { tally.forVotes += weight; }
+            else if (vote_ == Vote.Against) { tally.againstVotes += weight; }
+            else if (vote_ == Vote.Abstain) { tally.abstainVotes += weight; }
+            votes[proposalId][voter] = vote_;
+        }
+        emit VoteCast(proposalId, voter, vote_);
+    }
+
+    /**
+     * @dev Removes up to two proposals that are not active or queued anymore from proposals
+     * that `voter` has voted on, going through them in a circle. It is done on every new
+     * ballot of the voter, so his/her list stays proportional to amount of proposals that
+     * can still be open and removal or replacement of the voter (see
+     * {VotingForTransaction_Changeable}) does not depend on his/her whole history.
+     */
+    function _pruneVotedProposals(address voter) internal {
+        uint256[] storage votedProposals_ = votedProposals[voter];
+        uint256 cursor = pruneCursors[voter];
+        for (uint256 i; i < 2;) {
+            uint256 length = votedProposals_.length;
+            if (length == 0) { break; }
+            if (cursor >= length) { cursor = 0; }
+
+            ProposalStatus status = _proposalStatus(votedProposals_[cursor]);
+            if (status == ProposalStatus.Active || status == ProposalStatus.Queued) {
+                ++cursor;
+            } else {
+                votedProposals_[cursor] = votedProposals_[length - 1];
+                votedProposals_.pop();
+            }
+            unchecked { ++i; }
+        }
+        pruneCursors[voter] = cursor;
+    }
+
+    /**
+     * @dev Returns everything about the proposal, see {seeProposal}.
+     */
+    function _proposalInfo(uint256 proposalId) internal view returns(ProposalInfo memory info) {
+        Proposal storage proposal = proposals[proposalId];
+        info.proposalId = proposalId;
+        info.calls = proposal.calls;
+        info.proposer = proposal.proposer;
+        info.title = proposal.title;
+        info.contentHash = proposal.contentHash;
+        info.proposalTime = proposal.proposalTime;
+        info.executionTime = proposal.executionTime;
+        info.status = _proposalStatus(proposalId);
+        (info.forVotes, info.againstVotes, info.abstainVotes) = _countVotes(proposalId);
+        info.success = proposal.success;
+        info.results = proposal.results;
+        info.failurePolicy = proposal.failurePolicy;
+        info.attempts = proposal.attempts;
+    }
+
+    /**
+     * @dev Checks signature of the ballot and votes on behalf of its signer.
+     */
+    function _voteBySig(SignedBallot memory ballot) internal {
+        _checkTimeNotPassed(ballot.proposalId);
+
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19\x01",
+            _domainSeparator(),
+            keccak256(abi.encode(BALLOT_TYPEHASH, ballot.proposalId, ballot.vote, ballot.nonce))
+        ));
+        address signer = _recoverSigner(digest, ballot.v, ballot.r, ballot.s);
+
+        require(voterStatus[signer] != VoterStatus.NotVoter, "Voting: Signer is not a voter!");
+        require(ballot.nonce == nonces[signer], "Voting: Wrong nonce!");
+        unchecked { ++nonces[signer]; }
+
+        _vote(ballot.proposalId, signer, ballot.vote);
+    }
+
+    /**
+     * @dev Returns EIP-712 domain separator. It is not cached because it depends
+     * on chain ID.
+     */
+    function _domainSeparator() internal view returns(bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("VotingForTransaction"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @dev Returns address that signed `digest`. Throws an error if signature is
+     * malformed (including malleable signatures with high `s`).
+     */
+    function _recoverSigner(bytes32 digest, uint8 v, bytes32 r, bytes32 s) internal pure returns(address) {
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0 && 
+            (v == 27 || v == 28), 
+            "Voting: Invalid signature!"
+        );
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Voting: Invalid signature!");
+        return signer;
+    }
+
+    /**
+     * @dev Returns true if there are enough agreements on the proposal and quorum
+     * is reached, false if not.
+     */
+    function _areAgreementsEnough(uint256 proposalId) internal view returns(bool) {
+        (uint256 forVotes, , ) = _countVotes(proposalId);
+        return forVotes >= _requiredVotes(_approvalThresholdOf(proposalId), _totalWeight(proposalId)) && 
+            _isQuorumReached(proposalId);
+    }
+
+    /**
+     * @dev Returns approval threshold of the proposal: the one of its policy or usual one.
+     */
+    function _approvalThresholdOf(uint256 proposalId) internal view returns(Threshold memory) {
+        Threshold memory threshold = proposals[proposalId].approvalThreshold;
+        return threshold.value == 0 ? approvalThreshold : threshold;
+    }
+
+    /**
+     * @dev Returns true if enough voters took part in voting for the proposal (votes
+     * "for", "against" and "abstain" are counted).
+     */
+    function _isQuorumReached(uint256 proposalId) internal view returns(bool) {
+        (uint256 forVotes, uint256 againstVotes, uint256 abstainVotes) = _countVotes(proposalId);
+        return forVotes + againstVotes + abstainVotes >= _requiredVotes(quorum, _totalWeight(proposalId));
+    }
+
+    /**
+     * @dev Returns amount of votes that satisfies `threshold` when there are
+     * `votersAmount` voters. It is never more than `votersAmount`: absolute thresholds of
+     * policies are checked only when they are set, so after removing of voters (see
+     * {VotingForTransaction_Changeable}) they can be more than amount of voters - then all
+     * voters are needed instead of locking such calls and changes of the policy table.
+     */
+    function _requiredVotes(Threshold memory threshold, uint256 votersAmount) internal pure returns(uint256) {
+        uint256 requiredVotes = threshold.thresholdType == ThresholdType.Absolute
+            ? threshold.value
+            : votersAmount * threshold.value / MAX_PERCENTAGE + 1;
+        return requiredVotes > votersAmount ? votersAmount : requiredVotes;
+    }
+
+    /**
+     * @dev Sets approval threshold. Throws an error if it is zero or cannot be
+     * reached with current voters.
+     */
+    function _setApprovalThreshold(Threshold memory newApprovalThreshold) internal {
+        require(
+            newApprovalThreshold.value != 0 && _isThresholdReachable(newApprovalThreshold),
+            "Voting: Wrong approval threshold!"
+        );
+        approvalThreshold = newApprovalThreshold;
+    }
+
+    /**
+     * @dev Sets grace period. Throws an error if it is zero.
+     */
+    function _setGracePeriod(uint256 newGracePeriod) internal {
+        require(newGracePeriod != 0, "Voting: Wrong grace period!");
+        gracePeriod = newGracePeriod;
+    }
+
+    /**
+     * @dev Sets quorum. Throws an error if it cannot be reached with current voters.
+     */
+    function _setQuorum(Threshold memory newQuorum) internal {
+        require(_isThresholdReachable(newQuorum), "Voting: Wrong quorum!");
+        quorum = newQuorum;
+    }
+
+    /**
+     * @dev Returns amounts of votes "for", "against" and "abstain" on the proposal
+     * (every vote is counted with weight of the voter, see {_weightOf}). Votes cannot
+     * be changed after voting ends so the result stays the same even if voters are changed.
+     */
+    function _countVotes(uint256 proposalId) internal view returns(uint256 forVotes, uint256 againstVotes, uint256 abstainVotes) {
+        Tally storage tally = tallies[proposalId];
+        return (tally.forVotes, tally.againstVotes, tally.abstainVotes);
+    }
+
+    /**
+     * @dev Returns weight of the vote of `voter` on the proposal. Every voter has
+     * weight of one vote here, it is overridden in weighted version of the contract.
+     * Weight of the voter must not change while the proposal is active or queued
+     * (it is used to update running tally of votes).
+     */
+    function _weightOf(uint256, address) internal view virtual returns(uint256) {
+        return 1;
+    }
+
+    /**
+     * @dev Returns weight of all voters on the proposal - thresholds of type
+     * {ThresholdType.Percentage} are calculated from it. It is amount of voters when
+     * the proposal was made here, so adding or removing of voters does not change rules
+     * of proposals that are already on voting.
+     */
+    function _totalWeight(uint256 proposalId) internal view virtual returns(uint256) {
+        return proposals[proposalId].votersAmount;
+    }
+
+    /**
+     * @dev Makes delegatecall to the module with calldata of the current call and returns
+     * (or reverts with) its result as is, so the function behaves as if it was implemented
+     * by this contract.
+     */
+    function _delegateToModule() internal {
+        address module_ = module;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), module_, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
+    }
+}
+
+/**
+ * @title Module of the voting for transaction.
+ * @dev Code of functions of {VotingForTransaction} that do not depend on its overridable
+ * functions (execution of proposals, guardians, delegation, policy table and signatures
+ * management, receiving of tokens). It is deployed once and its address is passed to the
+ * constructor of every voting, which forwards calls of these functions to it by delegatecall,
+ * so they work with storage of the voting - this keeps code of every version of the voting
+ * under the contract size limit. The module has no state of its own and is not used directly.
+ */
+contract VotingForTransactionModule is VotingForTransactionStorage {
+
+    /**
+     * @dev Throws an error if caller is not a guardian.
+     */
+    modifier onlyGuardian() {
+        require(isGuardian[msg.sender], "Voting: You are not a guardian!");
+        _;
+    }
+
+    /**
+     * @dev See {VotingForTransaction-makeTransaction}.
+     */
+    function makeTransaction(uint256 proposalId) external proposalExists(proposalId) onlyForVoters {
+        ProposalStatus status = _proposalStatus(proposalId);
+        require(status == ProposalStatus.Active || status == ProposalStatus.Queued, "Voting: It is too late!");
+        require(status == ProposalStatus.Queued, "Voting: Not enough votes for current proposal!");
+        Proposal storage proposal = proposals[proposalId];
+        require(block.timestamp >= proposal.executionTime, "Voting: It is too early!");
+        _checkNotPaused(proposalId);
+
+        // Mark proposal as executed before making of transaction to prevent making
+        // same multiple transactions in a row and doing a reentrancy attack
+        proposal.status = ProposalStatus.Executed;
+        ++proposal.attempts;
+        delete proposal.results;
+
+        // Calls are made inside of external call to this contract so that all of them
+        // can be reverted together if one fails
+        executingProposalId = proposalId;
+        bool success;
+        try this.executeProposalCalls() returns(bytes[] memory results) {
+            success = true;
+            uint256 length = results.length;
+            for (uint256 i; i < length;) {
+                _emitCallMade(proposalId, i, true, results[i]);
+                proposal.results.push(results[i]);
+                unchecked { ++i; }
+            }
+        } catch (bytes memory reason) {
+            executingProposalId = 0;
+            (uint256 callIndex, bytes memory result) = _decodeCallFailed(reason);
+            if (proposal.failurePolicy == FailurePolicy.Strict) {
+                // Revert reason of the failed call is bubbled up as is
+                assembly ("memory-safe") { revert(add(result, 32), mload(result)) }
+            }
+            _emitCallMade(proposalId, callIndex, false, result);
+            for (uint256 i; i < callIndex;) {
+                proposal.results.push();
+                unchecked { ++i; }
+            }
+            proposal.results.push(result);
+        }
+        proposal.success = success;
+        if (proposal.hasPolicy) {
+            emit PolicyApplied(proposalId, proposal.policyKey.target, proposal.policyKey.selector);
+        }
+        emit TransactionMade(proposalId, success, proposal.proposalTime);
+
+        if (!success && proposal.failurePolicy == FailurePolicy.Retryable) {
+            // Status is restored only after the calls, so they could not make this transaction again
+            proposal.status = ProposalStatus.Queued;
+            emit ExecutionAttemptFailed(proposalId, proposal.attempts);
+        }
+    }
+
+    /**
+     * @dev See {VotingForTransaction-executeProposalCalls}.
+     */
+    function executeProposalCalls() external returns(bytes[] memory results) {
+        uint256 proposalId = executingProposalId;
+        require(msg.sender == address(this) && proposalId != 0, "Voting: You cannot call this directly!");
+        executingProposalId = 0;
+
+        Call[] storage calls = proposals[proposalId].calls;
+        uint256 length = calls.length;
+        results = new bytes[](length);
+        for (uint256 i; i < length;) {
+            uint256 gasBefore = gasleft();
+            (bool success, bytes memory result) = _makeCall(calls[i]);
+            // The call could run out of gas because of gas limit of the transaction, so it
+            // must not be recorded as failed (call gets only 63/64 of the gas that is left)
+            require(success || gasleft() > gasBefore / 63, "Voting: Not enough gas to make transaction!");
+            if (success && address(this).balance < lockedBalance) {
+                success = false;
+                result = abi.encodeWithSignature("Error(string)", "Voting: Locked ether cannot be spent!");
+            }
+            if (!success) { revert CallFailed(i, result); }
+            results[i] = result;
+            unchecked { ++i; }
+        }
+    }
+
+    /**
+     * @dev See {VotingForTransaction-setFailurePolicy}.
+     */
+    function setFailurePolicy(uint256 proposalId, FailurePolicy policy) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+        require(msg.sender == proposal.proposer, "Voting: You are not the proposer!");
+        require(
+            _proposalStatus(proposalId) == ProposalStatus.Active && ballotVoters[proposalId].length == 0,
+            "Voting: Voting has already started!"
+        );
+        proposal.failurePolicy = policy;
+        emit FailurePolicySet(proposalId, policy);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-cancelProposal}.
+     */
+    function cancelProposal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+        require(
+            msg.sender == proposal.proposer || msg.sender == address(this), 
+            "Voting: You cannot cancel this proposal!"
+        );
+        ProposalStatus status = _proposalStatus(proposalId);
+        require(status == ProposalStatus.Active || status == ProposalStatus.Queued, "Voting: It is too late!");
+
+        proposal.status = ProposalStatus.Cancelled;
+        emit ProposalCancelled(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-expireProposal}.
+     */
+    function expireProposal(uint256 proposalId) external proposalExists(proposalId) {
+        Proposal storage proposal = proposals[proposalId];
+        require(
+            _proposalStatus(proposalId) == ProposalStatus.Expired && proposal.status != ProposalStatus.Expired, 
+            "Voting: Proposal cannot be expired!"
+        );
+
+        proposal.status = ProposalStatus.Expired;
+        emit ProposalExpired(proposalId);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-vetoProposal}.
+     */
+    function vetoProposal(uint256 proposalId) external proposalExists(proposalId) onlyGuardian {
+        ProposalStatus status = _proposalStatus(proposalId);
+        require(status == ProposalStatus.Active || status == ProposalStatus.Queued, "Voting: It is too late!");
+
+        // Otherwise guardians could not be revoked by voters, other guardians still can veto it
+        bytes4 revokeSelector = this.revokeGuardian.selector;
+        Call[] storage calls = proposals[proposalId].calls;
+        uint256 length = calls.length;
+        bool onlyRevokes = true;
+        bool revokesCaller;
+        for (uint256 i; i < length;) {
+            if (calls[i].targetAddress != address(this) || _selectorOf(calls[i]) != revokeSelector) {
+                onlyRevokes = false;
+                break;
+            }
+            if (_revokedGuardianOf(calls[i]) == uint256(uint160(msg.sender))) { revokesCaller = true; }
+            unchecked { ++i; }
+        }
+        require(!(onlyRevokes && revokesCaller), "Voting: Guardian cannot veto own revocation!");
+
+        proposals[proposalId].status = ProposalStatus.Vetoed;
+        emit ProposalVetoed(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Returns argument of the call of {VotingForTransaction-revokeGuardian} as a number
+     * (zero if there is no argument).
+     */
+    function _revokedGuardianOf(Call storage call_) private view returns(uint256 guardian) {
+        bytes memory data = call_.dataToSend;
+        // Arguments of raw calls go after the selector
+        uint256 offset = bytes(call_.functionSignature).length == 0 ? 4 : 0;
+        if (data.length >= offset + 32) {
+            assembly ("memory-safe") { guardian := mload(add(add(data, 32), offset)) }
+        }
+    }
+
+    /**
+     * @dev See {VotingForTransaction-pause}.
+     */
+    function pause() external onlyGuardian {
+        require(!paused, "Voting: Voting is already paused!");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-unpause}.
+     */
+    function unpause() external onlyGuardian {
+        require(paused, "Voting: Voting is not paused!");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-revokeGuardian}.
+     */
+    function revokeGuardian(address guardian) external {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+        require(isGuardian[guardian], "Voting: There is no such guardian!");
+
+        isGuardian[guardian] = false;
+        uint256 length = guardians.length;
+        for (uint256 i; i < length;) {
+            if (guardians[i] == guardian) {
+                guardians[i] = guardians[length - 1];
+                guardians.pop();
+                break;
+            }
+            unchecked { ++i; }
+        }
+        emit GuardianRevoked(guardian);
+
+        if (guardians.length == 0 && paused) {
+            paused = false;
+            emit Unpaused(guardian);
+        }
+    }
+
+    /**
+     * @dev See {VotingForTransaction-setPolicy}.
+     */
+    function setPolicy(address target, bytes4 selector, Policy calldata policy) external {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+        require(
+            target != address(0) && policy.mode != PolicyMode.None && _isThresholdReachable(policy.approvalThreshold),
+            "Voting: Wrong policy!"
+        );
+
+        Policy storage policy_ = policies[target][selector];
+        if (policy_.mode == PolicyMode.None) { policyKeys.push(PolicyKey(target, selector)); }
+        policies[target][selector] = policy;
+        emit PolicySet(target, selector, policy);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-removePolicy}.
+     */
+    function removePolicy(address target, bytes4 selector) external {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+        require(policies[target][selector].mode != PolicyMode.None, "Voting: There is no such policy!");
+
+        delete policies[target][selector];
+        uint256 last = policyKeys.length - 1;
+        uint256 index;
+        while (policyKeys[index].target != target || policyKeys[index].selector != selector) {
+            unchecked { ++index; }
+        }
+        policyKeys[index] = policyKeys[last];
+        policyKeys.pop();
+        emit PolicyRemoved(target, selector);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-setPolicyListMode}.
+     */
+    function setPolicyListMode(PolicyListMode mode) external {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+        policyListMode = mode;
+        emit PolicyListModeSet(mode);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-approveHash}.
+     */
+    function approveHash(bytes32 hash, uint256 expiry) external {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+        require(!paused, "Voting: Voting is paused!");
+        require(expiry == 0 || expiry >= block.timestamp, "Voting: Wrong expiry time!");
+
+        hashApprovals[hash] = expiry == 0 ? type(uint256).max : expiry;
+        emit HashApproved(hash, expiry);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-revokeHash}.
+     */
+    function revokeHash(bytes32 hash) external {
+        require(msg.sender == address(this), "Voting: You should use voting to do this!");
+        require(hashApprovals[hash] != 0, "Voting: Hash is not approved!");
+
+        delete hashApprovals[hash];
+        emit HashRevoked(hash);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-delegate}.
+     */
+    function delegate(address delegatee) external onlyForVoters {
+        require(voterStatus[delegatee] != VoterStatus.NotVoter, "Voting: Delegate is not a voter!");
+        require(delegatee != msg.sender && delegatee != delegates[msg.sender], "Voting: Wrong delegate!");
+        require(delegators[delegatee].length < MAX_DELEGATORS, "Voting: Delegate has too many delegators!");
+        _setDelegate(msg.sender, delegatee);
+    }
+
+    /**
+     * @dev See {VotingForTransaction-undelegate}.
+     */
+    function undelegate() external onlyForVoters {
+        require(delegates[msg.sender] != address(0), "Voting: You have not delegated your vote!");
+        _setDelegate(msg.sender, address(0));
+    }
+
+    /**
+     * @dev See {VotingForTransaction-onERC721Received}.
+     */
+    function onERC721Received(address, address from, uint256 tokenId, bytes calldata) external returns(bytes4) {
+        emit ERC721Received(msg.sender, from, tokenId);
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     * @dev See {VotingForTransaction-onERC1155Received}.
+     */
+    function onERC1155Received(
+                               address, 
+                               address from, 
+                               uint256 id, 
+                               uint256 amount, 
+                               bytes calldata
+                               ) external returns(bytes4) {
+        emit ERC1155Received(msg.sender, from, id, amount);
+        return this.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev See {VotingForTransaction-onERC1155BatchReceived}.
+     */
+    function onERC1155BatchReceived(
+                                    address, 
+                                    address from, 
+                                    uint256[] calldata ids, 
+                                    uint256[] calldata amounts, 
+                                    bytes calldata
+                                    ) external returns(bytes4) {
+        uint256 length = ids.length;
+        for (uint256 i; i < length;) {
+            emit ERC1155Received(msg.sender, from, ids[i], amounts[i]);
+            unchecked { ++i; }
+        }
+        return this.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @dev Makes the call and returns its success and result.
+     */
+    function _makeCall(Call storage call_) internal returns(bool, bytes memory) {
+        if (bytes(call_.functionSignature).length == 0) {
+            // If there is no function signature, data is either empty (only ether is sent)
+            // or complete calldata (see {createRawProposal})
+            return call_.targetAddress.call{value: call_.valueToSend}(call_.dataToSend);
+        }
+        // If there is only function signature or signature and arguments both
+        return call_.targetAddress.call{value: call_.valueToSend}(
+            bytes.concat(abi.encodeWithSignature(call_.functionSignature), call_.dataToSend)
+        );
+    }
+
+    /**
+     * @dev Emits {CallMade} event with properties of the call.
+     */
+    function _emitCallMade(uint256 proposalId, uint256 callIndex, bool success, bytes memory result) internal {
+        Call storage call_ = proposals[proposalId].calls[callIndex];
+        emit CallMade(
+            proposalId, 
+            callIndex, 
+            success, 
+            result, 
+            call_.targetAddress, 
+            call_.functionSignature, 
+            call_.dataToSend, 
+            call_.valueToSend
+        );
+    }
+
+    /**
+     * @dev Returns index and revert data of the failed call from {CallFailed} error.
+     * If {executeProposalCalls} was reverted by something else (e.g. there was not enough
+     * gas), reverts with the same data, so nothing is recorded.
+     */
+    function _decodeCallFailed(bytes memory reason) internal pure returns(uint256, bytes memory) {
+        if (reason.length < 4 || bytes4(reason) != CallFailed.selector) {
+            assembly ("memory-safe") { revert(add(reason, 32), mload(reason)) }
+        }
+        // Skip selector of the error
+        bytes memory encodedArgs = new bytes(reason.length - 4);
+        for (uint256 i; i < encodedArgs.length;) {
+            encodedArgs[i] = reason[i + 4];
             unchecked { ++i; }
         }
+        return abi.decode(encodedArgs, (uint256, bytes));
     }
 }
@@ -1,6 +1,26 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/VotingForTx.tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.16",
+  solidity: {
+    version: "0.8.16",
+    settings: {
+      // Without optimizer and IR-based code generator the contracts exceed 24 KB limit
+      // of deployed code size (IR also avoids "stack too deep" in initializers of clones)
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        // Lower than the default 200 to keep the changeable version with proposal makers
+        // under the limit too
+        runs: 100,
+      },
+      // Is checked by tests: the module works with storage of every version by delegatecall
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
+    },
+  },
 };
@@ -0,0 +1,432 @@
+const { constants, utils } = require("ethers");
+
+// Must be the same as enums in `VotingForTx.sol`
+const Vote = { None: 0, For: 1, Against: 2, Abstain: 3 };
+const ProposalStatus = ["NotExists", "Active", "Queued", "Executed", "Cancelled", "Expired", "Vetoed"];
+const FailurePolicy = ["Final", "Retryable", "Strict"];
+const PolicyMode = ["None", "Allowed", "Denied"];
+const PolicyListMode = ["DenyList", "AllowList"];
+
+const POLICY_FRAGMENT = "setPolicy(address target, bytes4 selector, " +
+    "tuple(uint8 mode, tuple(uint8 thresholdType, uint256 value) approvalThreshold, uint256 timeForVoting, uint256 maxValue) policy)";
+
+/**
+ * Returns ethers.js `FunctionFragment` from human-readable ABI fragment
+ * (e.g. "function transfer(address to, uint256 amount)", "function" can be omitted)
+ * or returns `null` for empty one.
+ */
+function toFragment(fragment) {
+    if (!fragment) { return null; }
+    if (typeof fragment === "string" && fragment.trim().startsWith("function ")) {
+        return utils.Fragment.from(fragment);
+    }
+    return utils.FunctionFragment.from(fragment);
+}
+
+/**
+ * Returns number of `Vote` enum from its name ("for", "against" or "abstain") or number.
+ */
+function toVote(vote) {
+    if (typeof vote === "string") {
+        const name = vote.charAt(0).toUpperCase() + vote.slice(1).toLowerCase();
+        if (Vote[name] === undefined || name === "None") {
+            throw new Error(`Unknown vote "${vote}", use "for", "against" or "abstain"`);
+        }
+        return Vote[name];
+    }
+    return vote;
+}
+
+/**
+ * Returns number of `FailurePolicy` enum from its name ("final", "retryable" or "strict") or number.
+ */
+function toFailurePolicy(policy) {
+    if (typeof policy === "string") {
+        const index = FailurePolicy.findIndex(name => name.toLowerCase() === policy.toLowerCase());
+        if (index === -1) {
+            throw new Error(`Unknown failure policy "${policy}", use "final", "retryable" or "strict"`);
+        }
+        return index;
+    }
+    return policy;
+}
+
+/**
+ * Returns number of `PolicyMode` enum from its name ("allowed" or "denied") or number.
+ */
+function toPolicyMode(mode) {
+    if (typeof mode === "string") {
+        const index = PolicyMode.findIndex(name => name.toLowerCase() === mode.toLowerCase());
+        if (index <= 0) {
+            throw new Error(`Unknown policy mode "${mode}", use "allowed" or "denied"`);
+        }
+        return index;
+    }
+    return mode;
+}
+
+/**
+ * Returns number of `PolicyListMode` enum from its name ("denylist" or "allowlist") or number.
+ */
+function toPolicyListMode(mode) {
+    if (typeof mode === "string") {
+        const index = PolicyListMode.findIndex(name => name.toLowerCase() === mode.toLowerCase());
+        if (index === -1) {
+            throw new Error(`Unknown policy list mode "${mode}", use "denylist" or "allowlist"`);
+        }
+        return index;
+    }
+    return mode;
+}
+
+/**
+ * Returns function selector that is used as a key of the policy table: 4-byte hex string is
+ * returned as is, empty fragment gives zero selector (calls that only send ether), otherwise
+ * selector of the human-readable ABI fragment.
+ */
+function toSelector(fragment) {
+    if (!fragment) { return "0x00000000"; }
+    if (utils.isHexString(fragment, 4)) { return fragment; }
+    return utils.id(toFragment(fragment).format(utils.FormatTypes.sighash)).slice(0, 10);
+}
+
+/**
+ * Builds a call in the form that is accepted by `createBatchProposal`: function signature
+ * is written in canonical form and arguments are ABI encoded.
+ * @param targetAddress is address that will be called.
+ * @param fragment is human-readable ABI fragment of the function, e.g.
+ * "function transfer(address to, uint256 amount)". Leave it empty to just send Ether.
+ * @param args is an array of plain arguments of the function (numbers, strings, arrays etc.).
+ * @param value is amount of wei that will be sent with the call.
+ */
+function encodeCall(targetAddress, fragment, args = [], value = 0) {
+    const functionFragment = toFragment(fragment);
+    if (functionFragment === null) {
+        if (args.length !== 0) { throw new Error("Arguments cannot be sent without function"); }
+        return { targetAddress, functionSignature: "", dataToSend: "0x", valueToSend: value };
+    }
+
+    return {
+        targetAddress,
+        functionSignature: functionFragment.format(utils.FormatTypes.sighash),
+        dataToSend: utils.defaultAbiCoder.encode(functionFragment.inputs, args),
+        valueToSend: value
+    };
+}
+
+/**
+ * Decodes arguments of the call back. Returns the call with `args` (ethers.js `Result`,
+ * arguments can be read both by index and by name) or with `args` equal to `null` if
+ * none of `fragments` matches function signature of the call. Calls with complete calldata
+ * (see `createRawProposal`) are matched by selector and get `functionSignature` of the fragment.
+ * @param call is a call returned by the contract (or by {encodeCall}).
+ * @param fragments is an array of human-readable ABI fragments of called functions.
+ */
+function decodeCall(call, fragments = []) {
+    const { targetAddress, functionSignature, dataToSend, valueToSend } = call;
+    const decoded = { targetAddress, functionSignature, dataToSend, valueToSend, args: null };
+    const isRaw = functionSignature === "" && utils.hexDataLength(dataToSend) !== 0;
+    if (functionSignature === "" && !isRaw) {
+        decoded.args = [];
+        return decoded;
+    }
+
+    for (const fragment of fragments) {
+        const signature = toFragment(fragment).format(utils.FormatTypes.sighash);
+        if (isRaw && utils.id(signature).slice(0, 10) === utils.hexDataSlice(dataToSend, 0, 4)) {
+            decoded.functionSignature = signature;
+            decoded.args = utils.defaultAbiCoder.decode(toFragment(fragment).inputs, utils.hexDataSlice(dataToSend, 4));
+            break;
+        }
+        if (signature === functionSignature) {
+            decoded.args = utils.defaultAbiCoder.decode(toFragment(fragment).inputs, dataToSend);
+            break;
+        }
+    }
+    return decoded;
+}
+
+/**
+ * Returns `contentHash` of the proposal from 32-byte hex string or IPFS CIDv0 ("Qm...",
+ * its SHA-256 digest is stored), empty content hash is zero.
+ */
+function toContentHash(content) {
+    if (content === undefined || content === "") { return constants.HashZero; }
+    if (utils.isHexString(content, 32)) { return content; }
+    const multihash = utils.base58.decode(content);
+    if (multihash.length !== 34 || multihash[0] !== 0x12 || multihash[1] !== 0x20) {
+        throw new Error(`Wrong content hash "${content}", use 32-byte hex string or IPFS CIDv0`);
+    }
+    return utils.hexlify(multihash.slice(2));
+}
+
+/**
+ * Returns IPFS CIDv0 of `contentHash` stored by {toContentHash} or null for zero hash.
+ */
+function toCid(contentHash) {
+    if (contentHash === constants.HashZero) { return null; }
+    return utils.base58.encode(utils.concat(["0x1220", contentHash]));
+}
+
+/**
+ * Returns hash that the voting contract approves for ERC-1271 signatures: 32-byte hex string
+ * is returned as is, other messages are hashed as `personal_sign` (EIP-191) messages.
+ */
+function toMessageHash(message) {
+    if (utils.isHexString(message, 32)) { return message; }
+    return utils.hashMessage(message);
+}
+
+/**
+ * Makes a proposal of one call (see {encodeCall}) and returns its ID.
+ * @param voting is ethers.js `Contract` attached to any version of `VotingForTransaction`
+ * and connected to the signer who makes the proposal.
+ * @param overrides are ethers.js overrides of the transaction, e.g. `{ value: bond }` if
+ * proposal makers have to pay a bond (the same for functions below).
+ * @param metadata is `{ title, contentHash }` of the proposal, content hash is 32-byte hex
+ * string or IPFS CIDv0 of its description (see {toContentHash}).
+ */
+async function propose(voting, targetAddress, fragment, args = [], value = 0, overrides = {}, { title = "", contentHash } = {}) {
+    const { functionSignature, dataToSend, valueToSend } = encodeCall(targetAddress, fragment, args, value);
+    const tx = await voting.createProposal(
+        targetAddress, functionSignature, dataToSend, valueToSend, title, toContentHash(contentHash), overrides
+    );
+    return proposalIdFrom(await tx.wait());
+}
+
+/**
+ * Makes a proposal of a call with complete calldata (e.g. exported from another wallet)
+ * and returns its ID. Metadata is the same as in {propose}.
+ */
+async function proposeRaw(voting, targetAddress, callData, value = 0, overrides = {}, { title = "", contentHash } = {}) {
+    const tx = await voting.createRawProposal(targetAddress, callData, value, title, toContentHash(contentHash), overrides);
+    return proposalIdFrom(await tx.wait());
+}
+
+/**
+ * Makes a proposal of several calls and returns its ID. Metadata is the same as in {propose}.
+ * @param calls is an array of `{ targetAddress, fragment, args, value }` objects.
+ */
+async function proposeBatch(voting, calls, overrides = {}, { title = "", contentHash } = {}) {
+    const encodedCalls = calls.map(({ targetAddress, fragment, args, value }) =>
+        encodeCall(targetAddress, fragment, args, value)
+    );
+    const tx = await voting.createBatchProposal(encodedCalls, title, toContentHash(contentHash), overrides);
+    return proposalIdFrom(await tx.wait());
+}
+
+/**
+ * Makes a proposal to approve the message for ERC-1271 signatures of the voting contract
+ * (see {toMessageHash}) and returns its ID.
+ * @param expiry is time (in seconds) until which the signature is valid, zero if it does not expire.
+ */
+async function proposeHashApproval(voting, message, expiry = 0, overrides = {}, metadata = {}) {
+    return propose(
+        voting, voting.address, "approveHash(bytes32 hash, uint256 expiry)",
+        [toMessageHash(message), expiry], 0, overrides, metadata
+    );
+}
+
+/**
+ * Makes a proposal to revoke approval of the message (see {proposeHashApproval}) and returns its ID.
+ */
+async function proposeHashRevocation(voting, message, overrides = {}, metadata = {}) {
+    return propose(voting, voting.address, "revokeHash(bytes32 hash)", [toMessageHash(message)], 0, overrides, metadata);
+}
+
+/**
+ * Returns `{ valid, expiry }` of the message approval (expiry is zero if it does not expire).
+ */
+async function getHashApproval(voting, message) {
+    const { valid, expiry } = await voting.seeHashApproval(toMessageHash(message));
+    return { valid, expiry: expiry.toNumber() };
+}
+
+/**
+ * Makes a proposal to set policy of calls to `target` with function `selector` (see {toSelector})
+ * and returns its ID. Such proposals are voted by the strictest rules of the policy table.
+ * @param policy is `{ mode, approvalThreshold, timeForVoting, maxValue }`: mode is "allowed" or
+ * "denied", zero (omitted) threshold and time for voting mean usual ones, omitted `maxValue` - zero.
+ */
+async function proposePolicy(voting, target, selector, policy, overrides = {}, metadata = {}) {
+    const { mode = "allowed", approvalThreshold = { thresholdType: 0, value: 0 }, timeForVoting = 0, maxValue = 0 } = policy;
+    return propose(
+        voting, voting.address, POLICY_FRAGMENT,
+        [target, toSelector(selector), [toPolicyMode(mode), approvalThreshold, timeForVoting, maxValue]],
+        0, overrides, metadata
+    );
+}
+
+/**
+ * Makes a proposal to remove policy of calls to `target` with function `selector` and returns its ID.
+ */
+async function proposePolicyRemoval(voting, target, selector, overrides = {}, metadata = {}) {
+    return propose(
+        voting, voting.address, "removePolicy(address target, bytes4 selector)",
+        [target, toSelector(selector)], 0, overrides, metadata
+    );
+}
+
+/**
+ * Makes a proposal to change mode of the policy table and returns its ID.
+ * @param mode is "denylist" (calls without policy are voted by usual rules), "allowlist"
+ * (they cannot be proposed) or number of `PolicyListMode` enum.
+ */
+async function proposePolicyListMode(voting, mode, overrides = {}, metadata = {}) {
+    return propose(
+        voting, voting.address, "setPolicyListMode(uint8 mode)",
+        [toPolicyListMode(mode)], 0, overrides, metadata
+    );
+}
+
+/**
+ * Returns `{ listMode, policies }` of the policy table, every policy is
+ * `{ target, selector, mode, approvalThreshold, timeForVoting, maxValue }` with names of enums.
+ */
+async function getPolicies(voting) {
+    const [keys, listMode] = await voting.seePolicies();
+    const policies = [];
+    for (const { target, selector } of keys) {
+        const policy = await voting.seePolicy(target, selector);
+        policies.push({
+            target,
+            selector,
+            mode: PolicyMode[policy.mode],
+            approvalThreshold: { thresholdType: policy.approvalThreshold.thresholdType, value: policy.approvalThreshold.value.toNumber() },
+            timeForVoting: policy.timeForVoting.toNumber(),
+            maxValue: policy.maxValue
+        });
+    }
+    return { listMode: PolicyListMode[listMode], policies };
+}
+
+/**
+ * Returns the proposal (see `seeProposal`) with decoded calls (see {decodeCall}), name
+ * of its status and `policy` - `{ target, selector }` of the policy whose rules are used
+ * for the proposal (zero address and selector for the strictest rules of the policy table
+ * that are used for changes of the table) or null if it is voted by usual rules.
+ */
+async function getProposal(voting, proposalId, fragments = []) {
+    const proposal = await voting.seeProposal(proposalId);
+    const { applied, key } = await voting.seeAppliedPolicy(proposalId);
+    return {
+        proposalId: proposal.proposalId.toNumber(),
+        calls: proposal.calls.map(call => decodeCall(call, fragments)),
+        proposer: proposal.proposer,
+        title: proposal.title,
+        contentHash: proposal.contentHash,
+        proposalTime: proposal.proposalTime.toNumber(),
+        executionTime: proposal.executionTime.toNumber(),
+        status: ProposalStatus[proposal.status],
+        votes: {
+            for: proposal.forVotes,
+            against: proposal.againstVotes,
+            abstain: proposal.abstainVotes
+        },
+        success: proposal.success,
+        results: proposal.results,
+        failurePolicy: FailurePolicy[proposal.failurePolicy],
+        attempts: proposal.attempts.toNumber(),
+        policy: applied ? { target: key.target, selector: key.selector } : null
+    };
+}
+
+/**
+ * Sets what happens when a call of the proposal fails, it can be done only by the proposer
+ * before anybody votes.
+ * @param policy is "final", "retryable", "strict" or number of `FailurePolicy` enum.
+ */
+async function setFailurePolicy(voting, proposalId, policy) {
+    await (await voting.setFailurePolicy(proposalId, toFailurePolicy(policy))).wait();
+}
+
+/**
+ * Returns name of the proposal status: "Active", "Queued", "Executed", "Cancelled", "Expired" or "Vetoed".
+ */
+async function getStatus(voting, proposalId) {
+    return ProposalStatus[await voting.seeProposalStatus(proposalId)];
+}
+
+/**
+ * Votes on the proposal and returns true if the proposal was queued by this vote.
+ * @param vote_ is "for", "against", "abstain" or number of `Vote` enum.
+ */
+async function vote(voting, proposalId, vote_) {
+    const receipt = await (await voting.voteForProposal(proposalId, toVote(vote_))).wait();
+    return receipt.events.some(event => event.event === "ProposalQueued");
+}
+
+/**
+ * Delegates vote of the signer to another voter (his/her votes are then cast on behalf
+ * of the signer unless the signer votes him/herself), zero address revokes delegation.
+ */
+async function delegate(voting, delegatee) {
+    const tx = delegatee === constants.AddressZero ? voting.undelegate() : voting.delegate(delegatee);
+    await (await tx).wait();
+}
+
+/**
+ * Returns `{ delegate, delegators }` of the voter: to whom he/she delegated the vote
+ * (zero address if nobody) and who delegated votes to him/her.
+ */
+async function getDelegation(voting, voter) {
+    return { delegate: await voting.seeDelegate(voter), delegators: await voting.seeDelegators(voter) };
+}
+
+/**
+ * Makes the transaction of the proposal and returns its overall success, results of calls
+ * (from `CallMade` events) and whether the proposal can be executed again (failed attempt
+ * of retryable proposal) and `{ target, selector }` of the applied policy (null if there was none).
+ * Strict proposals throw an error with revert reason of the failed call.
+ */
+async function execute(voting, proposalId) {
+    const receipt = await (await voting.makeTransaction(proposalId)).wait();
+    const transactionMade = receipt.events.find(event => event.event === "TransactionMade");
+    const calls = receipt.events
+        .filter(event => event.event === "CallMade")
+        .map(({ args }) => ({ callIndex: args.callIndex.toNumber(), success: args.success, result: args.result }));
+    const retryable = receipt.events.some(event => event.event === "ExecutionAttemptFailed");
+    const policyApplied = receipt.events.find(event => event.event === "PolicyApplied");
+    const policy = policyApplied ? { target: policyApplied.args.target, selector: policyApplied.args.selector } : null;
+
+    return { success: transactionMade.args.success, calls, retryable, policy };
+}
+
+function proposalIdFrom(receipt) {
+    return receipt.events.find(event => event.event === "VotingStarted").args.proposalId.toNumber();
+}
+
+module.exports = {
+    Vote,
+    ProposalStatus,
+    FailurePolicy,
+    PolicyMode,
+    PolicyListMode,
+    toVote,
+    toFailurePolicy,
+    toPolicyMode,
+    toPolicyListMode,
+    toSelector,
+    encodeCall,
+    decodeCall,
+    toContentHash,
+    toCid,
+    toMessageHash,
+    propose,
+    proposeRaw,
+    proposeBatch,
+    proposeHashApproval,
+    proposeHashRevocation,
+    getHashApproval,
+    proposePolicy,
+    proposePolicyRemoval,
+    proposePolicyListMode,
+    getPolicies,
+    getProposal,
+    getStatus,
+    setFailurePolicy,
+    vote,
+    delegate,
+    getDelegation,
+    execute
+};
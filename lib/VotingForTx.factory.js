@@ -0,0 +1,123 @@
+const { constants } = require("ethers");
+
+// Versions of the contract: names of contracts, numbers of `Variant` enum in
+// `VotingForTx-Factory.sol` and functions of the factory that create their clones
+const VARIANTS = {
+    "base": { contractName: "VotingForTransaction", variant: 0, create: "createVoting" },
+    "changeable": { contractName: "VotingForTransaction_Changeable", variant: 1, create: "createChangeableVoting" },
+    "proposal-makers": { contractName: "VotingForTransaction_ProposalMakers", variant: 2, create: "createProposalMakersVoting" },
+    "weighted": { contractName: "VotingForTransaction_Weighted", variant: 3, create: "createWeightedVoting" },
+    "changeable-proposal-makers": {
+        contractName: "VotingForTransaction_ChangeableProposalMakers",
+        variant: 4,
+        create: "createChangeableProposalMakersVoting"
+    }
+};
+
+// State of implementations is never used, only their code
+const IMPLEMENTATION_PARAMS = {
+    voters: ["0x000000000000000000000000000000000000dEaD"],
+    timeForVoting: 1,
+    gracePeriod: 1,
+    weights: [1]
+};
+
+/**
+ * Returns `VARIANTS` entry of the version or throws an error if there is no such version.
+ */
+function getVariant(name) {
+    const variant = VARIANTS[name];
+    if (variant === undefined) {
+        throw new Error(`Unknown variant "${name}", use one of: ${Object.keys(VARIANTS).join(", ")}`);
+    }
+    return variant;
+}
+
+/**
+ * Returns arguments of `initialize` or create function of the factory of the version in the
+ * right order (the constructor takes address of the module before them, see `deployModule`).
+ * @param name is "base", "changeable", "proposal-makers", "weighted" or "changeable-proposal-makers".
+ * @param params is an object with `voters`, `proposalMakers` (versions with proposal makers),
+ * `weights` and `token` (weighted version), `timeForVoting`, `approvalThreshold`, `quorum`,
+ * `executionDelay`, `gracePeriod` (in seconds) and `guardians`. Thresholds are
+ * `{ thresholdType, value }` objects, by default approval threshold is simple majority
+ * and there is no quorum.
+ */
+function buildArgs(name, {
+    voters,
+    proposalMakers = [],
+    weights = [],
+    token = constants.AddressZero,
+    timeForVoting,
+    approvalThreshold = { thresholdType: 0, value: 5000 },
+    quorum = { thresholdType: 1, value: 0 },
+    executionDelay = 0,
+    gracePeriod,
+    guardians = []
+}) {
+    getVariant(name);
+    const commonArgs = [timeForVoting, approvalThreshold, quorum, executionDelay, gracePeriod, guardians];
+    if (name === "proposal-makers" || name === "changeable-proposal-makers") { return [voters, proposalMakers, ...commonArgs]; }
+    if (name === "weighted") { return [voters, weights, token, ...commonArgs]; }
+    return [voters, ...commonArgs];
+}
+
+/**
+ * Deploys `VotingForTransactionModule` that is shared by all votings of the network (its
+ * address is the first argument of constructors of all versions). Returns the module contract.
+ * @param ethers is ethers.js object of Hardhat Runtime Environment (`hre.ethers`).
+ */
+async function deployModule(ethers) {
+    const moduleFactory = await ethers.getContractFactory("VotingForTransactionModule");
+    const module_ = await moduleFactory.deploy();
+    await module_.deployed();
+    return module_;
+}
+
+/**
+ * Deploys implementations of all versions and the factory that clones them.
+ * Returns the factory contract.
+ * @param ethers is ethers.js object of Hardhat Runtime Environment (`hre.ethers`).
+ * @param moduleAddress is address of deployed module, a new module is deployed if it is not set.
+ */
+async function deployFactory(ethers, moduleAddress) {
+    if (moduleAddress === undefined) {
+        moduleAddress = (await deployModule(ethers)).address;
+    }
+
+    const implementations = [];
+    for (const name of Object.keys(VARIANTS)) {
+        const implementationFactory = await ethers.getContractFactory(VARIANTS[name].contractName);
+        const implementation = await implementationFactory.deploy(moduleAddress, ...buildArgs(name, IMPLEMENTATION_PARAMS));
+        await implementation.deployed();
+        implementations.push(implementation.address);
+    }
+
+    const factoryFactory = await ethers.getContractFactory("VotingForTransactionFactory");
+    const factory = await factoryFactory.deploy(...implementations);
+    await factory.deployed();
+    return factory;
+}
+
+/**
+ * Creates a clone of the version by the factory and returns it as contract of this version
+ * (connected to the same signer as the factory).
+ * @param ethers is ethers.js object of Hardhat Runtime Environment (`hre.ethers`).
+ * @param name is "base", "changeable", "proposal-makers", "weighted" or "changeable-proposal-makers".
+ * @param params are the same as in `buildArgs`.
+ */
+async function createVoting(ethers, factory, name, params) {
+    const { contractName, create } = getVariant(name);
+    const receipt = await (await factory[create](...buildArgs(name, params))).wait();
+    const address = receipt.events.find(event => event.event === "VotingCreated").args.voting;
+    return ethers.getContractAt(contractName, address, factory.signer);
+}
+
+module.exports = {
+    VARIANTS,
+    getVariant,
+    buildArgs,
+    deployModule,
+    deployFactory,
+    createVoting
+};
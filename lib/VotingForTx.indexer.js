@@ -0,0 +1,314 @@
+const fs = require("fs");
+const http = require("http");
+const { Contract, utils } = require("ethers");
+
+// Must be the same as events in `VotingForTx.sol`
+const EVENTS = new utils.Interface([
+    "event VotingStarted(uint256 indexed proposalId, address indexed proposer, " +
+        "tuple(address targetAddress, string functionSignature, bytes dataToSend, uint256 valueToSend)[] calls, " +
+        "string title, bytes32 contentHash)",
+    "event VoteCast(uint256 indexed proposalId, address indexed voter, uint8 vote)",
+    "event ProposalQueued(uint256 indexed proposalId, uint256 executionTime)",
+    "event ProposalCancelled(uint256 indexed proposalId, address indexed canceller)",
+    "event ProposalExpired(uint256 indexed proposalId)",
+    "event ProposalVetoed(uint256 indexed proposalId, address indexed guardian)",
+    "event FailurePolicySet(uint256 indexed proposalId, uint8 policy)",
+    "event ExecutionAttemptFailed(uint256 indexed proposalId, uint256 attempt)",
+    "event TransactionMade(uint256 indexed proposalId, bool success, uint256 proposalTime)",
+    "event PolicyApplied(uint256 indexed proposalId, address indexed target, bytes4 indexed selector)",
+    "event CallMade(uint256 indexed proposalId, uint256 callIndex, bool success, bytes result, " +
+        "address indexed targetAddress, string functionSignature, bytes dataToSend, uint256 valueToSend)"
+]);
+
+// Tallies are read from the contract because votes are weighted in weighted version
+const VIEWS = [
+    "function seeVotes(uint256 proposalId) view returns(uint256 forVotes, uint256 againstVotes, uint256 abstainVotes)"
+];
+
+const VOTES = ["None", "For", "Against", "Abstain"];
+const FAILURE_POLICIES = ["Final", "Retryable", "Strict"];
+
+/**
+ * Reads events of a deployed `VotingForTransaction` (any version) and rebuilds history
+ * of its proposals and votes. Everything is kept in memory and, if `storeFile` is set,
+ * in JSON file so the next start continues from the last indexed block.
+ *
+ * `tally` of the proposal is read by `seeVotes` of the contract at the latest block of
+ * every sync (so it is counted with weights of voters in weighted version), amounts of
+ * votes are decimal strings.
+ *
+ * NOTE: proposals whose time has passed keep status "Active" or "Queued" until somebody
+ * calls `expireProposal` (there is no event before it).
+ */
+class VotingIndexer {
+    /**
+     * @param provider is ethers.js provider of JSON-RPC node.
+     * @param address is address of the voting contract.
+     * @param options.fromBlock is block where the contract was deployed (default: 0).
+     * @param options.blockStep is maximum amount of blocks in one `eth_getLogs` request.
+     * @param options.storeFile is JSON file where indexed history is saved.
+     */
+    constructor(provider, address, { fromBlock = 0, blockStep = 2000, storeFile } = {}) {
+        this.provider = provider;
+        this.address = utils.getAddress(address);
+        this.blockStep = blockStep;
+        this.storeFile = storeFile;
+        this.voting = new Contract(this.address, VIEWS, provider);
+        this.store = { address: this.address, lastBlock: fromBlock - 1, proposals: {}, votes: [] };
+
+        if (storeFile !== undefined && fs.existsSync(storeFile)) {
+            const saved = JSON.parse(fs.readFileSync(storeFile, "utf8"));
+            if (saved.address !== this.address) {
+                throw new Error(`Store file ${storeFile} belongs to another contract (${saved.address})`);
+            }
+            this.store = saved;
+        }
+    }
+
+    /**
+     * Reads all new events up to the latest block. Returns number of the last indexed block.
+     */
+    async sync() {
+        // Several requests of the server can ask for sync at the same time
+        if (this.syncing === undefined) {
+            this.syncing = this._sync().finally(() => { this.syncing = undefined; });
+        }
+        return this.syncing;
+    }
+
+    async _sync() {
+        const latestBlock = await this.provider.getBlockNumber();
+        while (this.store.lastBlock < latestBlock) {
+            const fromBlock = this.store.lastBlock + 1;
+            const toBlock = Math.min(fromBlock + this.blockStep - 1, latestBlock);
+            const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+            // Everything is read before the store is changed, so a failed request can be repeated
+            const tallies = await this._readTallies(logs, latestBlock);
+            for (const log of logs) {
+                this._apply(log);
+            }
+            for (const [proposalId, tally] of tallies) {
+                // Proposals made before `fromBlock` are not indexed
+                const proposal = this.store.proposals[proposalId];
+                if (proposal !== undefined) { proposal.tally = tally; }
+            }
+            this.store.lastBlock = toBlock;
+        }
+
+        if (this.storeFile !== undefined) {
+            fs.writeFileSync(this.storeFile, JSON.stringify(this.store));
+        }
+        return this.store.lastBlock;
+    }
+
+    /**
+     * Returns tallies of proposals that got votes in `logs`, read at block `blockTag`.
+     */
+    async _readTallies(logs, blockTag) {
+        const voteCastTopic = EVENTS.getEventTopic("VoteCast");
+        const proposalIds = new Set(logs
+            .filter(log => log.topics[0] === voteCastTopic)
+            .map(log => EVENTS.parseLog(log).args.proposalId.toNumber())
+        );
+
+        const tallies = new Map();
+        for (const proposalId of proposalIds) {
+            const [forVotes, againstVotes, abstainVotes] = await this.voting.seeVotes(proposalId, { blockTag });
+            tallies.set(proposalId, {
+                for: forVotes.toString(),
+                against: againstVotes.toString(),
+                abstain: abstainVotes.toString()
+            });
+        }
+        return tallies;
+    }
+
+    _apply(log) {
+        let event;
+        try {
+            event = EVENTS.parseLog(log);
+        } catch {
+            // Other events (e.g. about received funds) are not indexed
+            return;
+        }
+        const { args } = event;
+        const proposalId = args.proposalId.toNumber();
+        const proposals = this.store.proposals;
+        const location = { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+
+        if (event.name === "VotingStarted") {
+            proposals[proposalId] = {
+                proposalId,
+                proposer: args.proposer,
+                title: args.title,
+                contentHash: args.contentHash,
+                calls: args.calls.map(call => ({
+                    targetAddress: call.targetAddress,
+                    functionSignature: call.functionSignature,
+                    dataToSend: call.dataToSend,
+                    valueToSend: call.valueToSend.toString()
+                })),
+                status: "Active",
+                createdAt: location,
+                executionTime: null,
+                votes: {},
+                tally: { for: "0", against: "0", abstain: "0" },
+                success: null,
+                results: [],
+                cancelledBy: null,
+                vetoedBy: null,
+                failurePolicy: "Final",
+                policy: null,
+                failedAttempts: []
+            };
+            return;
+        }
+
+        const proposal = proposals[proposalId];
+        if (proposal === undefined) { return; }
+
+        switch (event.name) {
+            case "VoteCast": {
+                const vote = VOTES[args.vote];
+                if (vote === "None") {
+                    delete proposal.votes[args.voter];
+                } else {
+                    proposal.votes[args.voter] = vote;
+                }
+                this.store.votes.push({ proposalId, voter: args.voter, vote, ...location });
+                break;
+            }
+            case "ProposalQueued":
+                proposal.status = "Queued";
+                proposal.executionTime = args.executionTime.toNumber();
+                break;
+            case "ProposalCancelled":
+                proposal.status = "Cancelled";
+                proposal.cancelledBy = args.canceller;
+                break;
+            case "ProposalExpired":
+                proposal.status = "Expired";
+                break;
+            case "ProposalVetoed":
+                proposal.status = "Vetoed";
+                proposal.vetoedBy = args.guardian;
+                break;
+            case "FailurePolicySet":
+                proposal.failurePolicy = FAILURE_POLICIES[args.policy];
+                break;
+            case "PolicyApplied":
+                // It is known only after execution (see `seeAppliedPolicy` of the contract),
+                // zero key means the strictest rules of the policy table
+                proposal.policy = { target: args.target, selector: args.selector };
+                break;
+            case "TransactionMade":
+                proposal.status = "Executed";
+                proposal.success = args.success;
+                proposal.executedAt = location;
+                break;
+            case "ExecutionAttemptFailed":
+                // Retryable proposal stays queued, results of the next attempt are collected anew
+                proposal.status = "Queued";
+                proposal.failedAttempts.push({ attempt: args.attempt.toNumber(), results: proposal.results, ...location });
+                proposal.results = [];
+                delete proposal.executedAt;
+                break;
+            case "CallMade":
+                proposal.results.push({ callIndex: args.callIndex.toNumber(), success: args.success, result: args.result });
+                break;
+        }
+    }
+
+    /**
+     * Returns proposals that match all set filters.
+     * @param filters.status is "Active", "Queued", "Executed", "Cancelled", "Expired" or "Vetoed".
+     * @param filters.proposer is address of the proposer.
+     * @param filters.target is address that is called by any call of the proposal.
+     * @param filters.voter is address of the voter who has a vote on the proposal.
+     */
+    getProposals({ status, proposer, target, voter } = {}) {
+        return Object.values(this.store.proposals).filter(proposal =>
+            (status === undefined || proposal.status.toLowerCase() === status.toLowerCase()) &&
+            (proposer === undefined || sameAddress(proposal.proposer, proposer)) &&
+            (target === undefined || proposal.calls.some(call => sameAddress(call.targetAddress, target))) &&
+            (voter === undefined || Object.keys(proposal.votes).some(address => sameAddress(address, voter)))
+        );
+    }
+
+    /**
+     * Returns the proposal or `undefined` if there is no such proposal.
+     */
+    getProposal(proposalId) {
+        return this.store.proposals[proposalId];
+    }
+
+    /**
+     * Returns history of votes (every change and withdrawal) that match all set filters.
+     */
+    getVotes({ proposalId, voter } = {}) {
+        return this.store.votes.filter(vote =>
+            (proposalId === undefined || vote.proposalId === Number(proposalId)) &&
+            (voter === undefined || sameAddress(vote.voter, voter))
+        );
+    }
+}
+
+function sameAddress(a, b) {
+    return utils.isAddress(b) && utils.getAddress(a) === utils.getAddress(b);
+}
+
+/**
+ * Returns HTTP server (not started yet, call `listen`) that syncs the indexer on every
+ * request and answers with JSON:
+ * - GET /status - address of the contract and the last indexed block;
+ * - GET /proposals?status=&proposer=&target=&voter= - proposals (see `getProposals`);
+ * - GET /proposals/:id - one proposal;
+ * - GET /proposals/:id/votes - history of votes on the proposal;
+ * - GET /votes?voter=&proposalId= - history of votes (see `getVotes`).
+ */
+function createServer(indexer) {
+    return http.createServer(async (request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, { "Content-Type": "application/json" });
+            response.end(JSON.stringify(body));
+        };
+
+        if (request.method !== "GET") {
+            return send(405, { error: "Only GET requests are supported" });
+        }
+
+        try {
+            await indexer.sync();
+        } catch (error) {
+            return send(502, { error: `Cannot read events: ${error.message}` });
+        }
+
+        const url = new URL(request.url, "http://localhost");
+        const query = Object.fromEntries(url.searchParams);
+        const path = url.pathname.split("/").filter(part => part !== "");
+
+        if (path.length === 1 && path[0] === "status") {
+            return send(200, { address: indexer.store.address, lastBlock: indexer.store.lastBlock });
+        }
+        if (path.length === 1 && path[0] === "proposals") {
+            return send(200, indexer.getProposals(query));
+        }
+        if (path.length >= 2 && path.length <= 3 && path[0] === "proposals") {
+            const proposal = indexer.getProposal(path[1]);
+            if (proposal === undefined) {
+                return send(404, { error: `There is no proposal ${path[1]}` });
+            }
+            if (path.length === 2) { return send(200, proposal); }
+            if (path[2] === "votes") { return send(200, indexer.getVotes({ proposalId: path[1] })); }
+        }
+        if (path.length === 1 && path[0] === "votes") {
+            return send(200, indexer.getVotes(query));
+        }
+        return send(404, { error: "Not found" });
+    });
+}
+
+module.exports = {
+    VotingIndexer,
+    createServer
+};
@@ -0,0 +1,69 @@
+const { utils } = require("ethers");
+
+// Must be the same as EIP-712 domain and `BALLOT_TYPEHASH` in `VotingForTx.sol`
+const DOMAIN_NAME = "VotingForTransaction";
+const DOMAIN_VERSION = "1";
+
+const BALLOT_TYPES = {
+    Ballot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "vote", type: "uint8" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+/**
+ * Returns EIP-712 domain of signed ballots for deployed voting contract.
+ * @param voting is ethers.js `Contract` attached to any version of `VotingForTransaction`.
+ */
+async function buildBallotDomain(voting) {
+    const { chainId } = await voting.provider.getNetwork();
+
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId,
+        verifyingContract: voting.address
+    };
+}
+
+/**
+ * Signs a ballot and returns it in the form that is accepted by `voteBySig`
+ * (as separate arguments) and `voteBySigBatch` (as an array element).
+ * @param voting is ethers.js `Contract` attached to any version of `VotingForTransaction`.
+ * @param signer is ethers.js `Signer` of the voter (must support `_signTypedData`).
+ * @param proposalId is ID of the proposal.
+ * @param vote is number of `Vote` enum: 1 - for, 2 - against, 3 - abstain.
+ * @param nonce is nonce of the voter. If it is not set, current nonce is read from
+ * the contract - set it by yourself if you sign several ballots before sending them.
+ */
+async function signBallot(voting, signer, proposalId, vote, nonce) {
+    if (nonce === undefined) {
+        nonce = await voting.seeNonce(await signer.getAddress());
+    }
+
+    const domain = await buildBallotDomain(voting);
+    const ballot = { proposalId, vote, nonce };
+    const signature = await signer._signTypedData(domain, BALLOT_TYPES, ballot);
+    const { v, r, s } = utils.splitSignature(signature);
+
+    return { ...ballot, v, r, s };
+}
+
+/**
+ * Returns address of the voter who signed the ballot (useful for checking
+ * ballots before relaying them).
+ */
+async function recoverBallotSigner(voting, ballot) {
+    const domain = await buildBallotDomain(voting);
+    const { proposalId, vote, nonce, v, r, s } = ballot;
+
+    return utils.verifyTypedData(domain, BALLOT_TYPES, { proposalId, vote, nonce }, { v, r, s });
+}
+
+module.exports = {
+    BALLOT_TYPES,
+    buildBallotDomain,
+    signBallot,
+    recoverBallotSigner
+};
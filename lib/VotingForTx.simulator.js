@@ -0,0 +1,293 @@
+const { BigNumber, Contract, providers, utils } = require("ethers");
+const { ProposalStatus } = require("./VotingForTx.client");
+
+// Events of tokens that are decoded even without ABI of called contracts
+const STANDARD_FRAGMENTS = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+const ERC20_FRAGMENTS = ["function balanceOf(address account) view returns (uint256)"];
+
+// Ether given to impersonated voters to pay for gas
+const VOTER_BALANCE = utils.hexValue(utils.parseEther("10"));
+
+/**
+ * Forks state of the chain from JSON-RPC node into in-process Hardhat Network of `hre`
+ * (its previous state is lost, see {resetFork}). Returns ethers.js provider of the network and number of
+ * the forked block. Without `url` the network is not reset, then its current state and
+ * the latest block are returned (e.g. when forking is set in the Hardhat config).
+ * @param hre is Hardhat Runtime Environment, its network must be `hardhat`.
+ * @param url is URL of JSON-RPC node of the chain.
+ * @param blockNumber is number of the forked block (default: the latest one).
+ */
+async function createFork(hre, url, blockNumber) {
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`Proposals are simulated in Hardhat Network, not in "${hre.network.name}"`);
+    }
+    const provider = new providers.Web3Provider(hre.network.provider);
+    if (url === undefined) {
+        return { provider, blockNumber: await provider.getBlockNumber() };
+    }
+
+    // Otherwise Hardhat forks unknown chains some blocks behind the latest one
+    if (blockNumber === undefined) {
+        blockNumber = await new providers.StaticJsonRpcProvider(url).getBlockNumber();
+    }
+    await provider.send("hardhat_reset", [{ forking: { jsonRpcUrl: url, blockNumber } }]);
+    return { provider, blockNumber };
+}
+
+/**
+ * Resets in-process Hardhat Network of `hre` after {createFork} with URL back to its config:
+ * to the chain forked in the config (`networks.hardhat.forking`) or to an empty chain.
+ * @param hre is Hardhat Runtime Environment, its network must be `hardhat`.
+ */
+async function resetFork(hre) {
+    const { forking } = hre.config.networks.hardhat;
+    const params = forking !== undefined && forking.enabled ?
+        [{ forking: { jsonRpcUrl: forking.url, blockNumber: forking.blockNumber } }] :
+        [];
+    await hre.network.provider.send("hardhat_reset", params);
+}
+
+/**
+ * Simulates execution of the proposal as if it was approved: in Hardhat Network (forked
+ * from the chain if `forkUrl` is passed, see {createFork}) missing votes "for" are sent
+ * on behalf of voters, time goes to the execution time and `makeTransaction` is called.
+ * Everything is reverted after that (by `evm_snapshot` and `evm_revert`, and the network
+ * is reset back to its config by {resetFork} if it was forked from `forkUrl`), nothing is
+ * sent to the real chain.
+ *
+ * Returns a report: `success` of the transaction (or `error` if `makeTransaction` itself
+ * reverts, e.g. when voting is paused), `calls` with their results (return values are
+ * decoded if ABI of the function is known, revert reasons - always when possible),
+ * `balanceChanges` of the voting contract, called addresses and `accounts` in Ether and
+ * `tokens` (gas of `makeTransaction` is not counted, even if its sender - the first voter -
+ * is watched), and all emitted `events`.
+ *
+ * @param hre is Hardhat Runtime Environment.
+ * @param votingAddress is address of the voting contract (any version).
+ * @param proposalId is ID of an active or queued proposal.
+ * @param options.forkUrl is URL of JSON-RPC node of the chain where the voting is deployed
+ * (default: the voting is simulated in the current state of Hardhat Network).
+ * @param options.blockNumber is number of the forked block (default: the latest one).
+ * @param options.abi is ABI of called contracts (JSON ABI or human-readable fragments).
+ * @param options.tokens is an array of addresses of ERC20 tokens whose balances are compared.
+ * @param options.accounts is an array of other addresses whose balances are compared.
+ */
+async function simulateProposal(hre, votingAddress, proposalId, {
+    forkUrl,
+    blockNumber,
+    abi = [],
+    tokens = [],
+    accounts = []
+} = {}) {
+    const { provider, blockNumber: forkBlock } = await createFork(hre, forkUrl, blockNumber);
+    const snapshot = await provider.send("evm_snapshot", []);
+    try {
+        return await simulate(hre, provider, forkBlock, votingAddress, proposalId, { abi, tokens, accounts });
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+        if (forkUrl !== undefined) { await resetFork(hre); }
+    }
+}
+
+/**
+ * Makes the simulation in the prepared network, see {simulateProposal}.
+ */
+async function simulate(hre, provider, forkBlock, votingAddress, proposalId, { abi, tokens, accounts }) {
+    const { abi: votingAbi } = await hre.artifacts.readArtifact("VotingForTransaction");
+    const voting = new Contract(votingAddress, votingAbi, provider);
+    const calledInterface = buildInterface(abi);
+
+    const status = ProposalStatus[await voting.seeProposalStatus(proposalId)];
+    if (status !== "Active" && status !== "Queued") {
+        throw new Error(`Proposal #${proposalId} is ${status}, it cannot be executed`);
+    }
+
+    const voters = await voting.seeVoters();
+    const signers = {};
+    const getSigner = async address => {
+        if (signers[address] === undefined) {
+            await provider.send("hardhat_impersonateAccount", [address]);
+            await provider.send("hardhat_setBalance", [address, VOTER_BALANCE]);
+            signers[address] = provider.getSigner(address);
+        }
+        return signers[address];
+    };
+
+    const votesAdded = [];
+    for (const voter of voters) {
+        if (ProposalStatus[await voting.seeProposalStatus(proposalId)] === "Queued") { break; }
+        if (await voting.seeVoteOf(proposalId, voter) === 1) { continue; }
+        await (await voting.connect(await getSigner(voter)).voteForProposal(proposalId, 1)).wait();
+        votesAdded.push(voter);
+    }
+    if (ProposalStatus[await voting.seeProposalStatus(proposalId)] !== "Queued") {
+        throw new Error(`Proposal #${proposalId} cannot get enough votes`);
+    }
+
+    const executionTime = (await voting.seeExecutionTime(proposalId)).toNumber();
+    if ((await provider.getBlock("latest")).timestamp < executionTime) {
+        // Mined block lets `callStatic` below see the execution time too
+        await provider.send("evm_mine", [executionTime]);
+    }
+
+    // Balance of the executor is set before balances are read
+    const executor = voting.connect(await getSigner(voters[0]));
+    const [calls] = await voting.seeCurrentProposal(proposalId);
+    const watched = unique([votingAddress, ...calls.map(call => call.targetAddress), ...accounts.map(utils.getAddress)]);
+    const balancesBefore = await readBalances(provider, watched, tokens);
+
+    const report = {
+        proposalId: Number(proposalId),
+        forkBlock,
+        votesAdded,
+        success: false,
+        error: null,
+        calls: [],
+        balanceChanges: [],
+        events: [],
+        gasUsed: null
+    };
+
+    try {
+        await executor.callStatic.makeTransaction(proposalId);
+    } catch (error) {
+        report.error = revertReasonOf(error);
+        return report;
+    }
+    const receipt = await (await executor.makeTransaction(proposalId)).wait();
+    report.gasUsed = receipt.gasUsed.toString();
+
+    for (const log of receipt.logs) {
+        const event = parseLog(voting.interface, calledInterface, log, votingAddress);
+        report.events.push(event);
+        if (event.name === "TransactionMade") { report.success = event.args.success; }
+        if (event.name === "CallMade") {
+            const call = calls[event.args.callIndex];
+            const result = event.args.result;
+            report.calls.push({
+                callIndex: Number(event.args.callIndex),
+                targetAddress: call.targetAddress,
+                functionSignature: call.functionSignature,
+                success: event.args.success,
+                result,
+                returnValues: event.args.success ? decodeReturnValues(calledInterface, call, result) : null,
+                revertReason: event.args.success ? null : decodeRevertReason(calledInterface, result)
+            });
+        }
+    }
+
+    const balancesAfter = await readBalances(provider, watched, tokens);
+    // Only changes made by the proposal are reported, not gas paid by the executor
+    const executorKey = `${voters[0]}/ETH`;
+    if (balancesAfter[executorKey] !== undefined) {
+        balancesAfter[executorKey] = balancesAfter[executorKey].add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+    }
+    for (const key of Object.keys(balancesBefore)) {
+        const change = balancesAfter[key].sub(balancesBefore[key]);
+        if (!change.isZero()) {
+            const [account, asset] = key.split("/");
+            report.balanceChanges.push({ account, asset, change: change.toString() });
+        }
+    }
+    return report;
+}
+
+function buildInterface(abi) {
+    const fragments = new utils.Interface(abi).format(utils.FormatTypes.full);
+    return new utils.Interface(unique([...fragments, ...STANDARD_FRAGMENTS]));
+}
+
+function unique(items) {
+    return [...new Set(items)];
+}
+
+/**
+ * Returns balances as `{ "<account>/ETH": BigNumber, "<account>/<token>": BigNumber }`.
+ */
+async function readBalances(provider, accounts, tokens) {
+    const balances = {};
+    for (const account of accounts) {
+        balances[`${account}/ETH`] = await provider.getBalance(account);
+        for (const token of tokens) {
+            const tokenContract = new Contract(token, ERC20_FRAGMENTS, provider);
+            balances[`${account}/${token}`] = await tokenContract.balanceOf(account);
+        }
+    }
+    return balances;
+}
+
+function parseLog(votingInterface, calledInterface, log, votingAddress) {
+    const iface = log.address === votingAddress ? votingInterface : calledInterface;
+    try {
+        const parsed = iface.parseLog(log);
+        return { address: log.address, name: parsed.name, args: toPlain(parsed.args) };
+    } catch {
+        return { address: log.address, name: null, args: null, topics: log.topics, data: log.data };
+    }
+}
+
+/**
+ * Converts ethers.js `Result` (arguments by name) and big numbers into plain JSON values.
+ */
+function toPlain(value) {
+    if (BigNumber.isBigNumber(value)) { return value.toString(); }
+    if (Array.isArray(value)) {
+        const names = Object.keys(value).filter(key => isNaN(Number(key)));
+        if (names.length === 0 || names.length !== value.length) { return value.map(toPlain); }
+        return Object.fromEntries(names.map(name => [name, toPlain(value[name])]));
+    }
+    return value;
+}
+
+function findFunction(iface, call) {
+    try {
+        if (call.functionSignature !== "") { return iface.getFunction(call.functionSignature); }
+        if (utils.hexDataLength(call.dataToSend) >= 4) { return iface.getFunction(utils.hexDataSlice(call.dataToSend, 0, 4)); }
+    } catch {
+        // ABI of the function is unknown
+    }
+    return null;
+}
+
+function decodeReturnValues(iface, call, result) {
+    const fragment = findFunction(iface, call);
+    if (fragment === null || fragment.outputs === undefined) { return null; }
+    return toPlain(iface.decodeFunctionResult(fragment, result));
+}
+
+/**
+ * Returns readable revert reason: message of `Error(string)`, code of `Panic(uint256)`,
+ * custom error from ABI or raw data if it is unknown.
+ */
+function decodeRevertReason(iface, data) {
+    const selector = utils.hexDataSlice(data, 0, Math.min(4, utils.hexDataLength(data)));
+    if (selector === utils.id("Error(string)").slice(0, 10)) {
+        return utils.defaultAbiCoder.decode(["string"], utils.hexDataSlice(data, 4))[0];
+    }
+    if (selector === utils.id("Panic(uint256)").slice(0, 10)) {
+        return `Panic(${utils.defaultAbiCoder.decode(["uint256"], utils.hexDataSlice(data, 4))[0].toHexString()})`;
+    }
+    try {
+        const error = iface.parseError(data);
+        return `${error.name}(${error.args.map(arg => toPlain(arg)).join(", ")})`;
+    } catch {
+        return data === "0x" ? "reverted without reason" : data;
+    }
+}
+
+function revertReasonOf(error) {
+    const message = error.reason || (error.error && error.error.message) || error.message;
+    const match = /reverted with reason string '(.*)'/.exec(message);
+    return match === null ? message : match[1];
+}
+
+module.exports = {
+    createFork,
+    resetFork,
+    simulateProposal,
+    decodeRevertReason
+};
@@ -1,13 +1,32 @@
 const { ethers } = require("hardhat");
+const { deployModule } = require("../lib/VotingForTx.factory");
 
 async function main() {
-    const [acc1, acc2, acc3, acc4, acc5] = ethers.getSigners();
+    const [acc1, acc2, acc3] = await ethers.getSigners();
 
     const voters_ = [acc1.address, acc2.address, acc3.address];
     const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
+    const approvalThreshold_ = { thresholdType: 0, value: 5000 }; // == 50% + 1 of voters
+    const quorum_ = { thresholdType: 1, value: 0 }; // == no quorum
+    const executionDelay_ = 60 * 60; // == 1 hour in seconds
+    const gracePeriod_ = 60 * 60 * 24; // == 1 day in seconds
+    const guardians_ = []; // == no guardians
+
+    // One module can be used by all votings of the network, pass its address if it is deployed
+    const votingModule = await deployModule(ethers);
+    console.log("Module is deployed to", votingModule.address);
 
     const votingFactory = await ethers.getContractFactory("VotingForTransaction");
-    const voting = await votingFactory.deploy(voters_, timeForVoting_);
+    const voting = await votingFactory.deploy(
+        votingModule.address,
+        voters_, 
+        timeForVoting_, 
+        approvalThreshold_, 
+        quorum_, 
+        executionDelay_, 
+        gracePeriod_,
+        guardians_
+    );
 
     await voting.deployed();
 
@@ -0,0 +1,616 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { constants, utils } = require("ethers");
+const client = require("../lib/VotingForTx.client");
+const { VotingIndexer, createServer } = require("../lib/VotingForTx.indexer");
+const { VARIANTS, getVariant, buildArgs, deployModule, deployFactory, createVoting } = require("../lib/VotingForTx.factory");
+const { simulateProposal } = require("../lib/VotingForTx.simulator");
+
+const DEPLOY_DEFAULTS = {
+    variant: "base",
+    voters: [],
+    proposalMakers: [],
+    weights: [],
+    token: constants.AddressZero,
+    timeForVoting: "1d",
+    approvalThreshold: "50%",
+    quorum: "0",
+    executionDelay: "0",
+    gracePeriod: "1d",
+    guardians: []
+};
+
+const ThresholdType = ["Percentage", "Absolute"];
+
+/**
+ * Converts duration like "90", "90s", "30m", "12h" or "7d" into seconds.
+ */
+function parseDuration(duration) {
+    const match = /^(\d+)([smhd]?)$/.exec(String(duration).trim());
+    if (match === null) {
+        throw new Error(`Wrong duration "${duration}", use seconds or suffixes s, m, h, d (e.g. "12h")`);
+    }
+    const multipliers = { "": 1, s: 1, m: 60, h: 60 * 60, d: 60 * 60 * 24 };
+    return Number(match[1]) * multipliers[match[2]];
+}
+
+/**
+ * Converts threshold like "50%" (more than 50% of voters) or "3" (at least 3 voters)
+ * into `Threshold` struct.
+ */
+function parseThreshold(threshold) {
+    const value = String(threshold).trim();
+    const percentage = /^(\d+(\.\d{1,2})?)%$/.exec(value);
+    if (percentage !== null) {
+        return { thresholdType: 0, value: Math.round(Number(percentage[1]) * 100) };
+    }
+    if (/^\d+$/.test(value)) {
+        return { thresholdType: 1, value: Number(value) };
+    }
+    throw new Error(`Wrong threshold "${threshold}", use percentage (e.g. "50%") or amount of voters (e.g. "3")`);
+}
+
+function formatThreshold({ thresholdType, value }) {
+    if (ThresholdType[thresholdType] === "Percentage") { return `more than ${value / 100}%`; }
+    return value == 0 ? "none" : `at least ${value}`;
+}
+
+/**
+ * Splits comma-separated list (arrays from JSON file are returned as is).
+ */
+function parseList(list) {
+    if (Array.isArray(list)) { return list; }
+    return list.split(",").map(item => item.trim()).filter(item => item !== "");
+}
+
+/**
+ * Returns human-readable ABI fragments from JSON file with ABI or Hardhat artifact.
+ */
+function readAbi(abiFile) {
+    if (abiFile === undefined) { return []; }
+    const json = JSON.parse(fs.readFileSync(abiFile, "utf8"));
+    const abi = Array.isArray(json) ? json : json.abi;
+    return new utils.Interface(abi).format(utils.FormatTypes.full);
+}
+
+/**
+ * Returns human-readable fragments of functions from JSON file with ABI or Hardhat artifact.
+ */
+function readFragments(abiFile) {
+    return readAbi(abiFile).filter(fragment => fragment.startsWith("function "));
+}
+
+/**
+ * Returns revert reason if `data` is encoded `Error(string)`, otherwise `data` itself.
+ */
+function describeResult(data) {
+    if (data.startsWith(utils.id("Error(string)").slice(0, 10))) {
+        return `"${utils.defaultAbiCoder.decode(["string"], utils.hexDataSlice(data, 4))[0]}"`;
+    }
+    return data;
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) { return `[${value.map(formatValue).join(", ")}]`; }
+    if (value !== null && value.constructor === Object) {
+        return `{${Object.entries(value).map(([name, item]) => `${name}: ${formatValue(item)}`).join(", ")}}`;
+    }
+    return value.toString();
+}
+
+function printEvents(receipt) {
+    for (const event of receipt.events) {
+        if (event.event === undefined) { continue; }
+        // Arguments of events can be read both by index and by name, only names are printed
+        const names = Object.keys(event.args).filter(key => isNaN(Number(key)));
+        const args = names.map(name => `${name}=${formatValue(event.args[name])}`);
+        console.log(`  event ${event.event}(${args.join(", ")})`);
+    }
+}
+
+/**
+ * Describes `{ target, selector }` of the applied policy, zero key means the strictest rules.
+ */
+function describePolicy({ target, selector }) {
+    return target === constants.AddressZero ? "strictest rules of the policy table" : `policy of ${target} ${selector}`;
+}
+
+function printCall(call, index) {
+    let target = call.functionSignature;
+    if (target === "") { target = call.dataToSend === "0x" ? "(send Ether)" : "(calldata)"; }
+    console.log(`  call #${index}: ${call.targetAddress} ${target}, value ${utils.formatEther(call.valueToSend)} ETH`);
+    if (call.args === null) {
+        console.log(`    data: ${call.dataToSend} (pass --abi to decode it)`);
+    } else if (call.functionSignature !== "") {
+        console.log(`    args: ${call.args.map(formatValue).join(", ")}`);
+    }
+}
+
+async function getSigner(hre, from) {
+    if (from === undefined) { return (await hre.ethers.getSigners())[0]; }
+    return hre.ethers.getSigner(from);
+}
+
+async function getVoting(hre, address, from) {
+    // Common functions have the same ABI in all versions of the contract
+    return hre.ethers.getContractAt("VotingForTransaction", address, await getSigner(hre, from));
+}
+
+task("deploy", "Deploys one of the versions of the voting contract")
+    .addOptionalParam("variant", `Version of the contract: ${Object.keys(VARIANTS).join(", ")}`)
+    .addOptionalParam("params", "JSON file with any of these parameters (arguments override it)", undefined, types.inputFile)
+    .addOptionalParam("voters", "Comma-separated addresses of voters")
+    .addOptionalParam("proposalMakers", "Comma-separated addresses of proposal makers (versions with proposal makers)")
+    .addOptionalParam("weights", "Comma-separated weights of voters (weighted version without token)")
+    .addOptionalParam("token", "Address of ERC20Votes token (weighted version without weights)")
+    .addOptionalParam("timeForVoting", "Time for voting, e.g. 3600, 30m, 12h or 1d (default: 1d)")
+    .addOptionalParam("approvalThreshold", "More than N% of voters (e.g. 50%) or at least N voters (e.g. 3) (default: 50%)")
+    .addOptionalParam("quorum", "Same as approval threshold, 0 means no quorum (default: 0)")
+    .addOptionalParam("executionDelay", "Delay between queueing and execution (default: 0)")
+    .addOptionalParam("gracePeriod", "Time after execution delay to make transaction (default: 1d)")
+    .addOptionalParam("guardians", "Comma-separated addresses of guardians who can veto proposals and pause voting")
+    .addOptionalParam("factory", "Address of the factory: a cheap clone is created instead of a full contract")
+    .addOptionalParam("module", "Address of deployed VotingForTransactionModule (a new one is deployed if it is not set)")
+    .setAction(async (taskArgs, hre) => {
+        const fileParams = taskArgs.params === undefined ? {} : JSON.parse(fs.readFileSync(taskArgs.params, "utf8"));
+        const params = { ...DEPLOY_DEFAULTS, ...fileParams };
+        for (const name of Object.keys(DEPLOY_DEFAULTS)) {
+            if (taskArgs[name] !== undefined) { params[name] = taskArgs[name]; }
+        }
+
+        const { contractName } = getVariant(params.variant);
+        const voters = parseList(params.voters).map(voter => utils.getAddress(voter));
+        if (voters.length === 0) { throw new Error("There are no voters, set them with --voters"); }
+
+        const timeForVoting = parseDuration(params.timeForVoting);
+        const approvalThreshold = parseThreshold(params.approvalThreshold);
+        const quorum = parseThreshold(params.quorum);
+        const executionDelay = parseDuration(params.executionDelay);
+        const gracePeriod = parseDuration(params.gracePeriod);
+        const guardians = parseList(params.guardians).map(guardian => utils.getAddress(guardian));
+        const votingParams = {
+            voters,
+            proposalMakers: parseList(params.proposalMakers).map(maker => utils.getAddress(maker)),
+            weights: parseList(params.weights).map(weight => hre.ethers.BigNumber.from(weight)),
+            token: utils.getAddress(params.token),
+            timeForVoting,
+            approvalThreshold,
+            quorum,
+            executionDelay,
+            gracePeriod,
+            guardians
+        };
+
+        let voting;
+        if (taskArgs.factory !== undefined) {
+            const factory = await hre.ethers.getContractAt("VotingForTransactionFactory", taskArgs.factory);
+            voting = await createVoting(hre.ethers, factory, params.variant, votingParams);
+            console.log(`Clone of ${contractName} is created at ${voting.address}`);
+        } else {
+            let moduleAddress = taskArgs.module;
+            if (moduleAddress === undefined) {
+                moduleAddress = (await deployModule(hre.ethers)).address;
+                console.log(`VotingForTransactionModule is deployed to ${moduleAddress}`);
+            }
+            const votingFactory = await hre.ethers.getContractFactory(contractName);
+            voting = await votingFactory.deploy(utils.getAddress(moduleAddress), ...buildArgs(params.variant, votingParams));
+            await voting.deployed();
+            console.log(`${contractName} is deployed to ${voting.address}`);
+        }
+        console.log(`  voters: ${voters.join(", ")}`);
+        console.log(`  time for voting: ${timeForVoting}s, execution delay: ${executionDelay}s, grace period: ${gracePeriod}s`);
+        console.log(`  approval threshold: ${formatThreshold(approvalThreshold)}, quorum: ${formatThreshold(quorum)}`);
+        if (guardians.length !== 0) {
+            console.log(`  guardians: ${guardians.join(", ")}`);
+        }
+        return voting;
+    });
+
+task("deploy-factory", "Deploys implementations of all versions and the factory of their clones")
+    .addOptionalParam("module", "Address of deployed VotingForTransactionModule (a new one is deployed if it is not set)")
+    .setAction(async (taskArgs, hre) => {
+        const factory = await deployFactory(hre.ethers, taskArgs.module && utils.getAddress(taskArgs.module));
+
+        console.log(`VotingForTransactionFactory is deployed to ${factory.address}`);
+        for (const [name, { variant }] of Object.entries(VARIANTS)) {
+            console.log(`  ${name}: ${await factory.seeImplementation(variant)}`);
+        }
+        return factory;
+    });
+
+task("propose", "Makes a proposal of transaction")
+    .addParam("voting", "Address of the voting contract")
+    .addOptionalParam("target", "Address that will be called")
+    .addOptionalParam("function", 'Called function, e.g. "transfer(address to, uint256 amount)" (empty to send Ether)', "")
+    .addOptionalParam("args", "JSON array of function arguments", "[]")
+    .addOptionalParam("data", "Complete calldata (selector and arguments) instead of --function and --args")
+    .addOptionalParam("value", "Ether that will be sent with the call", "0")
+    .addOptionalParam("calls", "JSON file with array of { targetAddress, fragment, args, value } calls for batch proposal", undefined, types.inputFile)
+    .addOptionalParam("bond", "Ether that is paid as a bond (versions with proposal makers)", "0")
+    .addOptionalParam("title", "Title of the proposal", "")
+    .addOptionalParam("contentHash", "32-byte hash or IPFS CIDv0 of description of the proposal")
+    .addOptionalParam("failurePolicy", "What happens when a call fails: final, retryable or strict", "final")
+    .addOptionalParam("from", "Address of the proposer (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+        const overrides = { value: utils.parseEther(taskArgs.bond) };
+        const failurePolicy = client.toFailurePolicy(taskArgs.failurePolicy);
+        const contentHash = client.toContentHash(taskArgs.contentHash);
+
+        let tx;
+        if (taskArgs.calls !== undefined) {
+            const calls = JSON.parse(fs.readFileSync(taskArgs.calls, "utf8")).map(call => client.encodeCall(
+                call.targetAddress, call.fragment, call.args, utils.parseEther(String(call.value || "0"))
+            ));
+            tx = await voting.createBatchProposal(calls, taskArgs.title, contentHash, overrides);
+        } else if (taskArgs.target === undefined) {
+            throw new Error("Set --target or --calls");
+        } else if (taskArgs.data !== undefined) {
+            tx = await voting.createRawProposal(
+                taskArgs.target, taskArgs.data, utils.parseEther(taskArgs.value), taskArgs.title, contentHash, overrides
+            );
+        } else {
+            const call = client.encodeCall(
+                taskArgs.target, taskArgs.function, JSON.parse(taskArgs.args), utils.parseEther(taskArgs.value)
+            );
+            tx = await voting.createProposal(
+                call.targetAddress, call.functionSignature, call.dataToSend, call.valueToSend,
+                taskArgs.title, contentHash, overrides
+            );
+        }
+        const receipt = await tx.wait();
+        const proposalId = receipt.events.find(event => event.event === "VotingStarted").args.proposalId.toNumber();
+
+        console.log(`Proposal #${proposalId} is made`);
+        printEvents(receipt);
+        if (failurePolicy !== 0) {
+            // Policy can be set only before voting, so it is done right after the proposal
+            printEvents(await (await voting.setFailurePolicy(proposalId, failurePolicy)).wait());
+        }
+        return proposalId;
+    });
+
+task("vote", "Votes on the proposal")
+    .addParam("voting", "Address of the voting contract")
+    .addParam("id", "ID of the proposal", undefined, types.int)
+    .addOptionalParam("vote", "for, against or abstain", "for")
+    .addOptionalParam("from", "Address of the voter (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        const tx = await voting.voteForProposal(taskArgs.id, client.toVote(taskArgs.vote));
+        const receipt = await tx.wait();
+        const { forVotes, againstVotes, abstainVotes } = await voting.seeVotes(taskArgs.id);
+
+        console.log(`Voted "${taskArgs.vote}" on proposal #${taskArgs.id}: ${forVotes} for, ${againstVotes} against, ${abstainVotes} abstain`);
+        printEvents(receipt);
+        return receipt.events.some(event => event.event === "ProposalQueued");
+    });
+
+task("execute", "Makes the transaction of the queued proposal")
+    .addParam("voting", "Address of the voting contract")
+    .addParam("id", "ID of the proposal", undefined, types.int)
+    .addOptionalParam("from", "Address of the voter (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        const receipt = await (await voting.makeTransaction(taskArgs.id)).wait();
+        const success = receipt.events.find(event => event.event === "TransactionMade").args.success;
+
+        console.log(`Transaction of proposal #${taskArgs.id} ${success ? "succeeded" : "failed"}`);
+        if (receipt.events.some(event => event.event === "ExecutionAttemptFailed")) {
+            console.log("The proposal stays queued, its transaction can be made again until grace period ends");
+        }
+        const policyApplied = receipt.events.find(event => event.event === "PolicyApplied");
+        if (policyApplied !== undefined) {
+            console.log(`Voted by ${describePolicy(policyApplied.args)}`);
+        }
+        printEvents(receipt);
+        for (const { args } of receipt.events.filter(event => event.event === "CallMade")) {
+            console.log(`  call #${args.callIndex} ${args.success ? "returned" : "reverted with"} ${describeResult(args.result)}`);
+        }
+        return success;
+    });
+
+task("status", "Prints settings of the voting contract or state of the proposal")
+    .addParam("voting", "Address of the voting contract")
+    .addOptionalParam("id", "ID of the proposal", undefined, types.int)
+    .addOptionalParam("abi", "JSON file with ABI (or Hardhat artifact) of called contracts to decode arguments", undefined, types.inputFile)
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting);
+
+        if (taskArgs.id === undefined) {
+            const summary = {
+                voters: await voting.seeVoters(),
+                proposalsAmount: (await voting.seeProposalsAmount()).toNumber(),
+                balance: await hre.ethers.provider.getBalance(voting.address),
+                guardians: await voting.seeGuardians(),
+                paused: await voting.isPaused()
+            };
+            console.log(`Voting ${voting.address}`);
+            console.log(`  voters: ${summary.voters.length}, proposals: ${summary.proposalsAmount}, balance: ${utils.formatEther(summary.balance)} ETH`);
+            console.log(`  time for voting: ${await voting.seeTimeForVoting()}s, execution delay: ${await voting.seeExecutionDelay()}s, grace period: ${await voting.seeGracePeriod()}s`);
+            console.log(`  approval threshold: ${formatThreshold(await voting.seeApprovalThreshold())}, quorum: ${formatThreshold(await voting.seeQuorum())}`);
+            console.log(`  guardians: ${summary.guardians.length === 0 ? "none" : summary.guardians.join(", ")}${summary.paused ? " (voting is paused)" : ""}`);
+            return summary;
+        }
+
+        const proposal = await client.getProposal(voting, taskArgs.id, readFragments(taskArgs.abi));
+        console.log(`Proposal #${proposal.proposalId}: ${proposal.status}`);
+        if (proposal.title !== "") {
+            console.log(`  title: ${proposal.title}`);
+        }
+        if (proposal.contentHash !== constants.HashZero) {
+            console.log(`  description: ${proposal.contentHash} (IPFS ${client.toCid(proposal.contentHash)})`);
+        }
+        console.log(`  proposer: ${proposal.proposer}, proposed at ${proposal.proposalTime}`);
+        if (proposal.executionTime !== 0) {
+            console.log(`  can be executed since ${proposal.executionTime}`);
+        }
+        console.log(`  votes: ${proposal.votes.for} for, ${proposal.votes.against} against, ${proposal.votes.abstain} abstain`);
+        proposal.calls.forEach(printCall);
+        if (proposal.policy !== null) {
+            console.log(`  voted by ${describePolicy(proposal.policy)}`);
+        }
+        if (proposal.failurePolicy !== "Final" || proposal.attempts > 1) {
+            console.log(`  failure policy: ${proposal.failurePolicy}, attempts: ${proposal.attempts}`);
+        }
+        if (proposal.status === "Executed") {
+            console.log(`  transaction ${proposal.success ? "succeeded" : "failed"}`);
+            proposal.results.forEach((result, index) => console.log(`    result #${index}: ${describeResult(result)}`));
+        }
+        return proposal;
+    });
+
+task("voters", "Prints voters and their delegates (or their votes on the proposal)")
+    .addParam("voting", "Address of the voting contract")
+    .addOptionalParam("id", "ID of the proposal", undefined, types.int)
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting);
+
+        const voters = await voting.seeVoters();
+        for (const voter of voters) {
+            if (taskArgs.id === undefined) {
+                const delegate = await voting.seeDelegate(voter);
+                console.log(delegate === constants.AddressZero ? voter : `${voter} (delegated to ${delegate})`);
+            } else {
+                const vote = await voting.seeVoteOf(taskArgs.id, voter);
+                const caster = await voting.seeVoteCaster(taskArgs.id, voter);
+                const castBy = caster === constants.AddressZero ? "" : ` (cast by ${caster})`;
+                console.log(`${voter} ${Object.keys(client.Vote)[vote]}${castBy}`);
+            }
+        }
+        return voters;
+    });
+
+task("delegate", "Delegates vote to another voter (or revokes delegation)")
+    .addParam("voting", "Address of the voting contract")
+    .addOptionalParam("to", "Address of the delegate")
+    .addFlag("revoke", "Revoke delegation instead")
+    .addOptionalParam("from", "Address of the voter (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        if (!taskArgs.revoke && taskArgs.to === undefined) {
+            throw new Error("Set --to or --revoke");
+        }
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        const receipt = await (await (taskArgs.revoke ? voting.undelegate() : voting.delegate(taskArgs.to))).wait();
+
+        const { delegator, toDelegate } = receipt.events.find(event => event.event === "DelegateChanged").args;
+        console.log(taskArgs.revoke ? `Delegation of ${delegator} is revoked` : `Vote of ${delegator} is delegated to ${toDelegate}`);
+        printEvents(receipt);
+        return receipt;
+    });
+
+task("fund", "Sends Ether to the voting contract")
+    .addParam("voting", "Address of the voting contract")
+    .addParam("amount", "Amount of Ether, e.g. 0.5")
+    .addOptionalParam("from", "Address of the sender (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        const receipt = await (await voting.replenishFunds({ value: utils.parseEther(taskArgs.amount) })).wait();
+
+        console.log(`Voting ${voting.address} is funded`);
+        printEvents(receipt);
+        return receipt;
+    });
+
+task("veto", "Vetoes the proposal (by a guardian)")
+    .addParam("voting", "Address of the voting contract")
+    .addParam("id", "ID of the proposal", undefined, types.int)
+    .addOptionalParam("from", "Address of the guardian (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        const receipt = await (await voting.vetoProposal(taskArgs.id)).wait();
+
+        console.log(`Proposal #${taskArgs.id} is vetoed`);
+        printEvents(receipt);
+        return receipt;
+    });
+
+task("pause", "Pauses making and execution of proposals (by a guardian)")
+    .addParam("voting", "Address of the voting contract")
+    .addFlag("unpause", "Unpause instead")
+    .addOptionalParam("from", "Address of the guardian (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        const receipt = await (await (taskArgs.unpause ? voting.unpause() : voting.pause())).wait();
+
+        console.log(`Voting ${voting.address} is ${taskArgs.unpause ? "unpaused" : "paused"}`);
+        printEvents(receipt);
+        return receipt;
+    });
+
+task("sign-message", "Proposes to approve the message for ERC-1271 signatures of the voting contract (or to revoke it)")
+    .addParam("voting", "Address of the voting contract")
+    .addParam("message", "Text of the message (signed as personal_sign one) or its 32-byte hash")
+    .addOptionalParam("validFor", "How long the signature is valid after the proposal, e.g. \"7d\" (default: forever)")
+    .addOptionalParam("title", "Title of the proposal", "")
+    .addOptionalParam("contentHash", "32-byte hash or IPFS CIDv0 of description of the proposal")
+    .addFlag("revoke", "Propose to revoke approval instead")
+    .addFlag("check", "Only print whether the message is signed now")
+    .addOptionalParam("from", "Address of the proposer (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+        const hash = client.toMessageHash(taskArgs.message);
+
+        if (taskArgs.check) {
+            const approval = await client.getHashApproval(voting, hash);
+            const expiry = approval.expiry === 0 ? "" : ` until ${new Date(approval.expiry * 1000).toISOString()}`;
+            console.log(`Message ${hash} is ${approval.valid ? `signed${expiry}` : "not signed"}`);
+            return approval;
+        }
+
+        const metadata = { title: taskArgs.title, contentHash: taskArgs.contentHash };
+        let proposalId;
+        if (taskArgs.revoke) {
+            proposalId = await client.proposeHashRevocation(voting, hash, {}, metadata);
+        } else {
+            let expiry = 0;
+            if (taskArgs.validFor !== undefined) {
+                const { timestamp } = await hre.ethers.provider.getBlock("latest");
+                expiry = timestamp + parseDuration(taskArgs.validFor);
+            }
+            proposalId = await client.proposeHashApproval(voting, hash, expiry, {}, metadata);
+        }
+
+        console.log(`Proposal #${proposalId} is made to ${taskArgs.revoke ? "revoke" : "approve"} message ${hash}`);
+        return proposalId;
+    });
+
+task("policy", "Proposes to set or remove policy of calls to the target function (or prints the policy table)")
+    .addParam("voting", "Address of the voting contract")
+    .addOptionalParam("target", "Address whose calls are governed by the policy")
+    .addOptionalParam("function", 'Called function, e.g. "transfer(address to, uint256 amount)", or its selector (empty for sending Ether)', "")
+    .addOptionalParam("mode", "allowed or denied", "allowed")
+    .addOptionalParam("approvalThreshold", "Approval threshold of such proposals, e.g. 66% or 3 (default: usual one)")
+    .addOptionalParam("timeForVoting", "Time for voting for such proposals, e.g. 3d (default: usual one)")
+    .addOptionalParam("maxValue", "Maximal Ether that can be sent with such calls", "0")
+    .addFlag("remove", "Propose to remove the policy instead")
+    .addOptionalParam("listMode", "Propose to change mode of the table instead: denylist or allowlist")
+    .addOptionalParam("title", "Title of the proposal", "")
+    .addOptionalParam("contentHash", "32-byte hash or IPFS CIDv0 of description of the proposal")
+    .addOptionalParam("from", "Address of the proposer (default: first account)")
+    .setAction(async (taskArgs, hre) => {
+        const voting = await getVoting(hre, taskArgs.voting, taskArgs.from);
+
+        if (taskArgs.target === undefined && taskArgs.listMode === undefined) {
+            const table = await client.getPolicies(voting);
+            console.log(`Policy table of ${voting.address} (${table.listMode} mode)`);
+            for (const policy of table.policies) {
+                let rules = policy.mode;
+                if (policy.mode === "Allowed") {
+                    const threshold = policy.approvalThreshold.value === 0 ? "usual" : formatThreshold(policy.approvalThreshold);
+                    const time = policy.timeForVoting === 0 ? "usual" : `${policy.timeForVoting}s`;
+                    rules += `, approval threshold: ${threshold}, time for voting: ${time}, max value ${utils.formatEther(policy.maxValue)} ETH`;
+                }
+                console.log(`  ${policy.target} ${policy.selector}: ${rules}`);
+            }
+            return table;
+        }
+
+        const metadata = { title: taskArgs.title, contentHash: taskArgs.contentHash };
+        let proposalId;
+        let action;
+        if (taskArgs.listMode !== undefined) {
+            proposalId = await client.proposePolicyListMode(voting, taskArgs.listMode, {}, metadata);
+            action = `switch policy table to ${taskArgs.listMode} mode`;
+        } else {
+            const selector = client.toSelector(taskArgs.function);
+            if (taskArgs.remove) {
+                proposalId = await client.proposePolicyRemoval(voting, taskArgs.target, selector, {}, metadata);
+            } else {
+                const policy = {
+                    mode: taskArgs.mode,
+                    maxValue: utils.parseEther(taskArgs.maxValue),
+                    timeForVoting: taskArgs.timeForVoting === undefined ? 0 : parseDuration(taskArgs.timeForVoting)
+                };
+                if (taskArgs.approvalThreshold !== undefined) {
+                    policy.approvalThreshold = parseThreshold(taskArgs.approvalThreshold);
+                }
+                proposalId = await client.proposePolicy(voting, taskArgs.target, selector, policy, {}, metadata);
+            }
+            action = `${taskArgs.remove ? "remove" : "set"} policy of ${taskArgs.target} ${selector}`;
+        }
+
+        console.log(`Proposal #${proposalId} is made to ${action}`);
+        return proposalId;
+    });
+
+task("simulate", "Simulates execution of the proposal as if it was approved in a fork of the chain")
+    .addParam("voting", "Address of the voting contract")
+    .addParam("id", "ID of the proposal", undefined, types.int)
+    .addOptionalParam("forkUrl", "URL of JSON-RPC node of the chain (default: forking of Hardhat Network from its config)")
+    .addOptionalParam("block", "Number of the forked block (default: the latest one)", undefined, types.int)
+    .addOptionalParam("abi", "JSON file with ABI (or Hardhat artifact) of called contracts to decode results and events", undefined, types.inputFile)
+    .addOptionalParam("tokens", "Comma-separated addresses of ERC20 tokens whose balances are compared")
+    .addOptionalParam("accounts", "Comma-separated addresses of other accounts whose balances are compared")
+    .setAction(async (taskArgs, hre) => {
+        const forking = hre.config.networks.hardhat.forking;
+        if (taskArgs.forkUrl === undefined && (forking === undefined || !forking.enabled)) {
+            throw new Error("There is no URL of the chain, set it with --fork-url or in forking of Hardhat Network");
+        }
+
+        const report = await simulateProposal(hre, taskArgs.voting, taskArgs.id, {
+            forkUrl: taskArgs.forkUrl,
+            blockNumber: taskArgs.block,
+            abi: readAbi(taskArgs.abi),
+            tokens: parseList(taskArgs.tokens || ""),
+            accounts: parseList(taskArgs.accounts || "")
+        });
+
+        console.log(`Simulation of proposal #${report.proposalId} at block ${report.forkBlock}`);
+        if (report.votesAdded.length > 0) {
+            console.log(`  votes "for" are added from: ${report.votesAdded.join(", ")}`);
+        }
+        if (report.error !== null) {
+            console.log(`  transaction reverts: "${report.error}"`);
+            return report;
+        }
+        console.log(`  transaction ${report.success ? "succeeds" : "fails"}, gas used: ${report.gasUsed}`);
+        for (const call of report.calls) {
+            const outcome = call.success ?
+                `returns ${call.returnValues === null ? call.result : formatValue(call.returnValues)}` :
+                `reverts with "${call.revertReason}"`;
+            console.log(`  call #${call.callIndex} ${outcome}`);
+        }
+        for (const { account, asset, change } of report.balanceChanges) {
+            const amount = asset === "ETH" ? `${utils.formatEther(change)} ETH` : `${change} of token ${asset}`;
+            console.log(`  balance of ${account}: ${change.startsWith("-") ? "" : "+"}${amount}`);
+        }
+        for (const event of report.events) {
+            if (event.name === null) {
+                console.log(`  unknown event from ${event.address} (pass --abi to decode it)`);
+                continue;
+            }
+            const args = Object.entries(event.args).map(([name, value]) => `${name}=${formatValue(value)}`);
+            console.log(`  event ${event.name}(${args.join(", ")}) from ${event.address}`);
+        }
+        return report;
+    });
+
+task("indexer", "Indexes events of the voting contract and serves them by HTTP/JSON API (until stopped)")
+    .addParam("voting", "Address of the voting contract")
+    .addOptionalParam("fromBlock", "Block where the contract was deployed", 0, types.int)
+    .addOptionalParam("port", "Port of HTTP server", 8080, types.int)
+    .addOptionalParam("store", "JSON file where indexed history is saved between restarts")
+    .setAction(async (taskArgs, hre) => {
+        const indexer = new VotingIndexer(hre.ethers.provider, taskArgs.voting, {
+            fromBlock: taskArgs.fromBlock,
+            storeFile: taskArgs.store
+        });
+        console.log(`Events are indexed up to block ${await indexer.sync()}`);
+
+        const server = createServer(indexer);
+        await new Promise(resolve => server.listen(taskArgs.port, resolve));
+        console.log(`API is served on http://localhost:${taskArgs.port} (/status, /proposals, /votes)`);
+        await new Promise(resolve => server.on("close", resolve));
+    });
+
+module.exports = {
+    parseDuration,
+    parseThreshold
+};
@@ -0,0 +1,316 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const client = require("../lib/VotingForTx.client");
+const { deployModule } = require("../lib/VotingForTx.factory");
+
+const majority = { thresholdType: 0, value: 5000 };
+const noQuorum = { thresholdType: 1, value: 0 };
+
+const someAddress = "0x000000000000000000000000000000000000dEaD";
+
+const testFragments = [
+    "function changeToWhatYouWant(uint256 newX)",
+    "function changeToWhatYouWantWithArray(uint256[] newX)",
+    "function x() view returns (uint256)"
+];
+
+describe("Voting client", function() {
+    async function deployVotingAndTest() {
+        [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+        const voters_ = [acc1.address, acc2.address, acc3.address];
+        const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
+
+        const votingFactory = await ethers.getContractFactory("VotingForTransaction_Changeable");
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(votingModule.address, voters_, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []);
+        await voting.deployed();
+
+        const testContrFactory = await ethers.getContractFactory("Test");
+        const testContr = await testContrFactory.deploy();
+        await testContr.deployed();
+
+        const voters = [acc1, acc2, acc3];
+        const nonVoters = [acc4];
+
+        return { voting, testContr, voters, nonVoters };
+    }
+
+    describe("Encoding and decoding of calls", function() {
+        it("Should write canonical function signature and encode arguments", async function() {
+            const call = client.encodeCall(someAddress, "function changeToWhatYouWantWithArray(uint256[] newX)", [[1, 2]]);
+
+            expect(call.functionSignature).to.equal("changeToWhatYouWantWithArray(uint256[])");
+            expect(call.dataToSend).to.equal(ethers.utils.defaultAbiCoder.encode(["uint256[]"], [[1, 2]]));
+            expect(call.valueToSend).to.equal(0);
+        });
+
+        it("Should accept fragments of functions with tuples and without `function` keyword", async function() {
+            const call = client.encodeCall(someAddress, "changeQuorum((uint8 thresholdType, uint256 value) newQuorum)", [[1, 2]]);
+
+            expect(call.functionSignature).to.equal("changeQuorum((uint8,uint256))");
+        });
+
+        it("Should build call that only sends Ether", async function() {
+            const call = client.encodeCall(someAddress, "", [], 100);
+
+            expect(call).to.deep.equal({ targetAddress: someAddress, functionSignature: "", dataToSend: "0x", valueToSend: 100 });
+            expect(() => client.encodeCall(someAddress, "", [1])).to.throw("Arguments cannot be sent without function");
+        });
+
+        it("Should decode arguments by name", async function() {
+            const call = client.encodeCall(someAddress, testFragments[0], [42]);
+            const decoded = client.decodeCall(call, testFragments);
+
+            expect(decoded.args.newX).to.equal(42);
+            expect(decoded.args[0]).to.equal(42);
+            expect(client.decodeCall(call, [testFragments[1]]).args).to.equal(null);
+        });
+
+        it("Should decode complete calldata by selector", async function() {
+            const callData = new ethers.utils.Interface(testFragments).encodeFunctionData("changeToWhatYouWant", [42]);
+            const call = { targetAddress: someAddress, functionSignature: "", dataToSend: callData, valueToSend: 0 };
+
+            const decoded = client.decodeCall(call, testFragments);
+            expect(decoded.functionSignature).to.equal("changeToWhatYouWant(uint256)");
+            expect(decoded.args.newX).to.equal(42);
+            expect(client.decodeCall(call, [testFragments[1]]).args).to.equal(null);
+        });
+    });
+
+    describe("Votes", function() {
+        it("Should convert names of votes", async function() {
+            expect(client.toVote("for")).to.equal(client.Vote.For);
+            expect(client.toVote("ABSTAIN")).to.equal(client.Vote.Abstain);
+            expect(client.toVote(client.Vote.Against)).to.equal(client.Vote.Against);
+        });
+
+        it("Should not accept unknown votes", async function() {
+            expect(() => client.toVote("maybe")).to.throw('Unknown vote "maybe", use "for", "against" or "abstain"');
+            expect(() => client.toVote("none")).to.throw('Unknown vote "none", use "for", "against" or "abstain"');
+        });
+    });
+
+    describe("Operating the contract", function() {
+        it("Should make proposal and return its ID", async function() {
+            const { voting, testContr } = await loadFixture(deployVotingAndTest);
+
+            expect(await client.propose(voting, testContr.address, testFragments[0], [42])).to.equal(1);
+            expect(await client.propose(voting, testContr.address, testFragments[0], [43])).to.equal(2);
+
+            const [calls] = await voting.seeCurrentProposal(2);
+            expect(calls[0].functionSignature).to.equal("changeToWhatYouWant(uint256)");
+        });
+
+        it("Should make proposal with title and IPFS CID of description", async function() {
+            const { voting, testContr } = await loadFixture(deployVotingAndTest);
+
+            const cid = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+            const proposalId = await client.propose(voting, testContr.address, testFragments[0], [42], 0, {}, {
+                title: "Set x to 42",
+                contentHash: cid
+            });
+            const proposal = await client.getProposal(voting, proposalId);
+
+            expect(proposal.title).to.equal("Set x to 42");
+            expect(proposal.contentHash).to.equal("0x9d6c2be50f706953479ab9df2ce3edca90b68053c00b3004b7f0accbe1e8eedf");
+            expect(client.toCid(proposal.contentHash)).to.equal(cid);
+        });
+
+        it("Should convert content hashes", async function() {
+            const hash = ethers.utils.id("description");
+            expect(client.toContentHash(hash)).to.equal(hash);
+            expect(client.toContentHash(undefined)).to.equal(ethers.constants.HashZero);
+            expect(client.toCid(ethers.constants.HashZero)).to.equal(null);
+            expect(() => client.toContentHash("Qm123")).to.throw('Wrong content hash "Qm123"');
+        });
+
+        it("Should return proposal with decoded calls", async function() {
+            const { voting, testContr, voters } = await loadFixture(deployVotingAndTest);
+
+            const proposalId = await client.proposeBatch(voting, [
+                { targetAddress: testContr.address, fragment: testFragments[1], args: [[1, 7]] },
+                { targetAddress: voters[1].address, value: 5 }
+            ]);
+            const proposal = await client.getProposal(voting, proposalId, testFragments);
+
+            expect(proposal.status).to.equal("Active");
+            expect(proposal.proposer).to.equal(voters[0].address);
+            expect(proposal.calls[0].args.newX.map(Number)).to.deep.equal([1, 7]);
+            expect(proposal.calls[1].args).to.deep.equal([]);
+            expect(proposal.calls[1].valueToSend).to.equal(5);
+        });
+
+        it("Should make proposal with complete calldata", async function() {
+            const { voting, testContr } = await loadFixture(deployVotingAndTest);
+
+            const callData = testContr.interface.encodeFunctionData("changeName", ["abc"]);
+            const contentHash = ethers.utils.id("Rename the contract");
+            const proposalId = await client.proposeRaw(voting, testContr.address, callData, 0, {}, { title: "Rename", contentHash });
+
+            const proposal = await client.getProposal(voting, proposalId, ["function changeName(string newName)"]);
+            expect(proposal.calls[0].functionSignature).to.equal("changeName(string)");
+            expect(proposal.calls[0].args.newName).to.equal("abc");
+            expect(proposal.title).to.equal("Rename");
+            expect(proposal.contentHash).to.equal(contentHash);
+        });
+
+        it("Should pay the bond with proposal", async function() {
+            const { voters, nonVoters } = await loadFixture(deployVotingAndTest);
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction_ProposalMakers");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(
+                votingModule.address, voters.map(v => v.address), [nonVoters[0].address], 60 * 60, majority, noQuorum, 0, 60 * 60, []
+            );
+            const makerVoting = voting.connect(nonVoters[0]);
+
+            const changeBond = voting.interface.encodeFunctionData("changeProposalBond", [100]);
+            await client.proposeRaw(makerVoting, voting.address, changeBond);
+            for (let eachVoter of voters) {
+                await client.vote(voting.connect(eachVoter), 1, "for");
+            }
+            await client.execute(voting, 1);
+
+            expect(await client.propose(makerVoting, someAddress, "", [], 0, { value: 100 })).to.equal(2);
+            expect(await client.proposeBatch(makerVoting, [{ targetAddress: someAddress }], { value: 100 })).to.equal(3);
+            expect(await voting.seeBond(3)).to.equal(100);
+        });
+
+        it("Should vote, execute and show status", async function() {
+            const { voting, testContr, voters } = await loadFixture(deployVotingAndTest);
+
+            const proposalId = await client.propose(voting, testContr.address, testFragments[0], [42]);
+
+            expect(await client.vote(voting, proposalId, "for")).to.equal(false);
+            expect(await client.vote(voting.connect(voters[1]), proposalId, "Against")).to.equal(false);
+            expect(await client.vote(voting.connect(voters[2]), proposalId, client.Vote.For)).to.equal(true);
+            expect(await client.getStatus(voting, proposalId)).to.equal("Queued");
+
+            const result = await client.execute(voting, proposalId);
+            expect(result.success).to.equal(true);
+            expect(result.calls).to.deep.equal([{ callIndex: 0, success: true, result: "0x" }]);
+
+            expect(await testContr.x()).to.equal(42);
+            expect(await client.getStatus(voting, proposalId)).to.equal("Executed");
+            const proposal = await client.getProposal(voting, proposalId);
+            expect([proposal.votes.for, proposal.votes.against].map(Number)).to.deep.equal([2, 1]);
+        });
+
+        it("Should execute retryable proposal again after failed attempt", async function() {
+            const { voting, voters } = await loadFixture(deployVotingAndTest);
+
+            const proposalId = await client.propose(voting, someAddress, "", [], 100);
+            await client.setFailurePolicy(voting, proposalId, "retryable");
+            expect(() => client.toFailurePolicy("maybe")).to.throw('Unknown failure policy "maybe"');
+            for (let eachVoter of voters) {
+                await client.vote(voting.connect(eachVoter), proposalId, "for");
+            }
+
+            let result = await client.execute(voting, proposalId);
+            expect(result.success).to.equal(false);
+            expect(result.retryable).to.equal(true);
+            expect(await client.getStatus(voting, proposalId)).to.equal("Queued");
+
+            await voting.replenishFunds({ value: 100 });
+            result = await client.execute(voting, proposalId);
+            expect(result.success).to.equal(true);
+            expect(result.retryable).to.equal(false);
+
+            const proposal = await client.getProposal(voting, proposalId);
+            expect(proposal.failurePolicy).to.equal("Retryable");
+            expect(proposal.attempts).to.equal(2);
+        });
+
+        it("Should delegate vote and revoke delegation", async function() {
+            const { voting, testContr, voters } = await loadFixture(deployVotingAndTest);
+
+            await client.delegate(voting, voters[1].address);
+            expect(await client.getDelegation(voting, voters[1].address))
+            .to.deep.equal({ delegate: ethers.constants.AddressZero, delegators: [voters[0].address] });
+
+            const proposalId = await client.propose(voting, testContr.address, testFragments[0], [42]);
+            expect(await client.vote(voting.connect(voters[1]), proposalId, "for")).to.equal(true);
+
+            await client.delegate(voting, ethers.constants.AddressZero);
+            expect((await client.getDelegation(voting, voters[0].address)).delegate).to.equal(ethers.constants.AddressZero);
+        });
+
+        it("Should make proposal to change the voting itself", async function() {
+            const { voting, voters } = await loadFixture(deployVotingAndTest);
+
+            const proposalId = await client.propose(
+                voting, voting.address, "function changeQuorum((uint8 thresholdType, uint256 value) newQuorum)", [[1, 2]]
+            );
+            for (let eachVoter of voters) {
+                await client.vote(voting.connect(eachVoter), proposalId, "for");
+            }
+
+            expect((await client.execute(voting, proposalId)).success).to.equal(true);
+            expect((await voting.seeQuorum()).value).to.equal(2);
+        });
+
+        it("Should approve and revoke message for signatures of the voting", async function() {
+            const { voting, voters } = await loadFixture(deployVotingAndTest);
+            const message = "Sign in to example.com";
+            const passProposal = async proposalId => {
+                for (let eachVoter of voters) {
+                    await client.vote(voting.connect(eachVoter), proposalId, "for");
+                }
+                return client.execute(voting, proposalId);
+            };
+
+            expect(client.toMessageHash(message)).to.equal(ethers.utils.hashMessage(message));
+            expect(client.toMessageHash(ethers.constants.HashZero)).to.equal(ethers.constants.HashZero);
+
+            const expiry = (await ethers.provider.getBlock("latest")).timestamp + 60 * 60 * 24 * 7;
+            expect((await passProposal(await client.proposeHashApproval(voting, message, expiry))).success).to.equal(true);
+            expect(await client.getHashApproval(voting, message)).to.deep.equal({ valid: true, expiry });
+            expect(await voting.isValidSignature(ethers.utils.hashMessage(message), "0x")).to.equal("0x1626ba7e");
+
+            expect((await passProposal(await client.proposeHashRevocation(voting, message))).success).to.equal(true);
+            expect(await client.getHashApproval(voting, message)).to.deep.equal({ valid: false, expiry: 0 });
+        });
+
+        it("Should set policies and report the applied one", async function() {
+            const { voting, testContr, voters } = await loadFixture(deployVotingAndTest);
+            const passProposal = async proposalId => {
+                for (let eachVoter of voters) {
+                    await client.vote(voting.connect(eachVoter), proposalId, "for");
+                }
+                return client.execute(voting, proposalId);
+            };
+            const selector = client.toSelector("function changeToWhatYouWant(uint256 newX)");
+            const unanimity = { thresholdType: 0, value: 10000 };
+
+            expect(selector).to.equal(testContr.interface.getSighash("changeToWhatYouWant"));
+            expect(client.toSelector("")).to.equal("0x00000000");
+            expect(client.toSelector(selector)).to.equal(selector);
+            expect(() => client.toPolicyMode("none")).to.throw('Unknown policy mode "none"');
+
+            const policy = { approvalThreshold: unanimity, maxValue: 10 };
+            const result = await passProposal(await client.proposePolicy(voting, testContr.address, selector, policy));
+            expect(result.success).to.equal(true);
+            // Changes of the table are voted by its strictest rules
+            expect(result.policy).to.deep.equal({ target: ethers.constants.AddressZero, selector: "0x00000000" });
+
+            const { listMode, policies } = await client.getPolicies(voting);
+            expect(listMode).to.equal("DenyList");
+            expect(policies).to.have.lengthOf(1);
+            expect(policies[0]).to.include({ target: testContr.address, selector, mode: "Allowed", timeForVoting: 0 });
+            expect(policies[0].approvalThreshold).to.deep.equal(unanimity);
+            expect(policies[0].maxValue).to.equal(10);
+
+            const proposalId = await client.propose(voting, testContr.address, testFragments[0], [7]);
+            expect((await client.getProposal(voting, proposalId)).policy).to.deep.equal({ target: testContr.address, selector });
+            expect((await passProposal(proposalId)).policy).to.deep.equal({ target: testContr.address, selector });
+
+            await passProposal(await client.proposePolicyListMode(voting, "allowlist"));
+            expect((await client.getPolicies(voting)).listMode).to.equal("AllowList");
+            await passProposal(await client.proposePolicyRemoval(voting, testContr.address, selector));
+            expect((await client.getPolicies(voting)).policies).to.deep.equal([]);
+            expect((await client.getProposal(voting, 1)).policy).to.deep.equal({ target: ethers.constants.AddressZero, selector: "0x00000000" });
+        });
+    });
+});
@@ -0,0 +1,233 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VARIANTS, buildArgs, deployModule, deployFactory, createVoting } = require("../lib/VotingForTx.factory");
+const { signBallot } = require("../lib/VotingForTx.signatures");
+
+const Vote = { None: 0, For: 1, Against: 2, Abstain: 3 };
+
+describe("Factory of voting clones", function() {
+    async function deployFactoryAndTest() {
+        const [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+        const factory = await deployFactory(ethers);
+
+        const testContrFactory = await ethers.getContractFactory("Test");
+        const testContr = await testContrFactory.deploy();
+        await testContr.deployed();
+
+        const voters = [acc1, acc2, acc3];
+        const nonVoters = [acc4];
+        const params = { voters: voters.map(v => v.address), timeForVoting: 60 * 60, gracePeriod: 60 * 60 };
+
+        return { factory, testContr, voters, nonVoters, params };
+    }
+
+    async function passProposal(voting, voters, proposalId) {
+        for (let eachVoter of voters) {
+            await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+        }
+    }
+
+    describe("Deployment", function() {
+        it("Should set implementations of all versions", async function() {
+            const { factory } = await loadFixture(deployFactoryAndTest);
+
+            for (const { contractName, variant } of Object.values(VARIANTS)) {
+                const implementation = await ethers.getContractAt(contractName, await factory.seeImplementation(variant));
+                expect(await implementation.seeTimeForVoting()).to.equal(1);
+            }
+        });
+
+        it("Should not accept addresses without code as implementations", async function() {
+            const { factory, voters } = await loadFixture(deployFactoryAndTest);
+
+            const factoryFactory = await ethers.getContractFactory("VotingForTransactionFactory");
+            await expect(factoryFactory.deploy(factory.address, factory.address, factory.address, factory.address, voters[0].address))
+            .to.be.revertedWith("VotingFactory: Wrong implementation!");
+        });
+    });
+
+    describe("Creating and registry", function() {
+        it("Should create clones of every version", async function() {
+            const { factory, voters, params } = await loadFixture(deployFactoryAndTest);
+
+            for (const [name, { variant }] of Object.entries(VARIANTS)) {
+                const tx = factory[VARIANTS[name].create](...buildArgs(name, { ...params, weights: [1, 1, 1] }));
+                await expect(tx).to.emit(factory, "VotingCreated");
+
+                const receipt = await (await tx).wait();
+                const event = receipt.events.find(event => event.event === "VotingCreated");
+                expect(event.args.creator).to.equal(voters[0].address);
+                expect(event.args.variant).to.equal(variant);
+            }
+            expect(await factory.seeVotings()).to.have.lengthOf(Object.keys(VARIANTS).length);
+        });
+
+        it("Should keep votings by creator and by voter", async function() {
+            const { factory, voters, nonVoters, params } = await loadFixture(deployFactoryAndTest);
+
+            // Repeating voter is registered only once
+            const first = await createVoting(ethers, factory, "base", { ...params, voters: [...params.voters, voters[0].address] });
+            const second = await createVoting(ethers, factory.connect(voters[1]), "changeable", {
+                ...params, voters: [voters[0].address, nonVoters[0].address]
+            });
+
+            expect(await factory.seeVotingsByCreator(voters[0].address)).to.deep.equal([first.address]);
+            expect(await factory.seeVotingsByCreator(voters[1].address)).to.deep.equal([second.address]);
+            expect(await factory.seeVotingsByVoter(voters[0].address)).to.deep.equal([first.address, second.address]);
+            expect(await factory.seeVotingsByVoter(voters[1].address)).to.deep.equal([first.address]);
+            expect(await factory.seeVotingsByVoter(nonVoters[0].address)).to.deep.equal([second.address]);
+            expect(await factory.isVoting(first.address)).to.equal(true);
+            expect(await factory.isVoting(voters[0].address)).to.equal(false);
+        });
+
+        it("Should be cheaper than deployment of full contract", async function() {
+            const { factory, params } = await loadFixture(deployFactoryAndTest);
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, ...buildArgs("base", params));
+            const deploymentGas = (await voting.deployTransaction.wait()).gasUsed;
+
+            const cloningGas = (await (await factory.createVoting(...buildArgs("base", params))).wait()).gasUsed;
+            expect(cloningGas.mul(3)).to.be.lt(deploymentGas);
+        });
+    });
+
+    describe("Clones", function() {
+        it("Should behave the same as contracts deployed as usual", async function() {
+            const { factory, testContr, voters, params } = await loadFixture(deployFactoryAndTest);
+
+            const clone = await createVoting(ethers, factory, "base", params);
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, ...buildArgs("base", params));
+
+            for (const eachVoting of [voting, clone]) {
+                expect(await eachVoting.seeVoters()).to.deep.equal(params.voters);
+                expect(await eachVoting.seeTimeForVoting()).to.equal(params.timeForVoting);
+                expect((await eachVoting.seeApprovalThreshold()).value).to.equal(5000);
+
+                await voters[0].sendTransaction({ to: eachVoting.address, value: 100 });
+                await eachVoting.createBatchProposal([
+                    [testContr.address, "changeTo24()", "0x", 0],
+                    [voters[2].address, "", "0x", 100]
+                ], "", ethers.constants.HashZero);
+                await eachVoting.connect(voters[1]).voteForProposal(1, Vote.For);
+                // Signed ballots are bound to the address of the clone
+                await eachVoting.voteBySigBatch([await signBallot(eachVoting, voters[2], 1, Vote.For)]);
+                await eachVoting.makeTransaction(1);
+            }
+
+            const [cloneProposal, votingProposal] = [await clone.seeProposal(1), await voting.seeProposal(1)];
+            expect(cloneProposal.success).to.equal(votingProposal.success).and.to.equal(true);
+            expect(cloneProposal.results).to.deep.equal(votingProposal.results);
+            expect(await clone.seeVotes(1)).to.deep.equal(await voting.seeVotes(1));
+            expect(await clone.seeEtherBalance()).to.equal(0);
+        });
+
+        it("Should not be initialized twice", async function() {
+            const { factory, voters, params } = await loadFixture(deployFactoryAndTest);
+
+            const clone = await createVoting(ethers, factory, "changeable", params);
+            await expect(clone.initialize(...buildArgs("changeable", { ...params, voters: [voters[0].address] })))
+            .to.be.revertedWith("Voting: Already initialized!");
+
+            const implementation = await ethers.getContractAt(
+                "VotingForTransaction", await factory.seeImplementation(VARIANTS.base.variant)
+            );
+            await expect(implementation.initialize(...buildArgs("base", params)))
+            .to.be.revertedWith("Voting: Already initialized!");
+        });
+
+        it("Should not be initialized by initializer of the base contract", async function() {
+            const { factory, params } = await loadFixture(deployFactoryAndTest);
+
+            const initialize = "initialize(address[],uint256,(uint8,uint256),(uint8,uint256),uint256,uint256,address[])";
+            for (const [name, message] of [
+                ["proposal-makers", "Voting_PrMaker"],
+                ["weighted", "Voting_Weighted"],
+                ["changeable-proposal-makers", "Voting_PrMaker"]
+            ]) {
+                const implementation = await ethers.getContractAt(
+                    VARIANTS[name].contractName, await factory.seeImplementation(VARIANTS[name].variant)
+                );
+                await expect(implementation[initialize](...buildArgs("base", params)))
+                .to.be.revertedWith(`${message}: Wrong initializer!`);
+            }
+        });
+
+        it("Should change voters of changeable clone by voting", async function() {
+            const { factory, voters, nonVoters, params } = await loadFixture(deployFactoryAndTest);
+
+            const clone = await createVoting(ethers, factory, "changeable", params);
+            await expect(clone.addVoters([nonVoters[0].address]))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+
+            const data = ethers.utils.defaultAbiCoder.encode(["address[]"], [[nonVoters[0].address]]);
+            await clone.createProposal(clone.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero);
+            await passProposal(clone, voters, 1);
+            await clone.makeTransaction(1);
+
+            expect(await clone.seeVoters()).to.include(nonVoters[0].address);
+        });
+
+        it("Should let only proposal makers of the clone make proposals", async function() {
+            const { factory, voters, nonVoters, params } = await loadFixture(deployFactoryAndTest);
+
+            const clone = await createVoting(ethers, factory, "proposal-makers", {
+                ...params, proposalMakers: [nonVoters[0].address]
+            });
+
+            await expect(clone.createProposal(clone.address, "", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+            await clone.connect(nonVoters[0]).createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await clone.seeProposer(1)).to.equal(nonVoters[0].address);
+        });
+
+        it("Should change voters of changeable clone with proposal makers by voting", async function() {
+            const { factory, voters, nonVoters, params } = await loadFixture(deployFactoryAndTest);
+
+            const clone = await createVoting(ethers, factory, "changeable-proposal-makers", {
+                ...params, proposalMakers: [nonVoters[0].address]
+            });
+            expect(await clone.isProposalMaker(nonVoters[0].address)).to.equal(true);
+            await expect(clone.addVoters([nonVoters[0].address]))
+            .to.be.revertedWith("Voting: You should use voting to do this!");
+
+            const data = ethers.utils.defaultAbiCoder.encode(["address[]"], [[nonVoters[0].address]]);
+            await clone.connect(nonVoters[0]).createProposal(
+                clone.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero
+            );
+            await passProposal(clone, voters, 1);
+            await clone.makeTransaction(1);
+
+            expect(await clone.seeVoters()).to.include(nonVoters[0].address);
+            expect(await factory.seeVotingsByCreator(voters[0].address)).to.deep.equal([clone.address]);
+        });
+
+        it("Should count weights from token in weighted clone", async function() {
+            const { factory, voters, params } = await loadFixture(deployFactoryAndTest);
+
+            const tokenFactory = await ethers.getContractFactory("TestVotesToken");
+            const token = await tokenFactory.deploy();
+            await token.deployed();
+            await token.mint(voters[0].address, 60);
+            await token.mint(voters[1].address, 40);
+            for (let eachVoter of voters) {
+                await token.connect(eachVoter).delegate(eachVoter.address);
+            }
+
+            const clone = await createVoting(ethers, factory, "weighted", { ...params, token: token.address });
+            expect(await clone.seeToken()).to.equal(token.address);
+
+            await clone.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await clone.seeTotalWeight(1)).to.equal(100);
+
+            // 60 of 100 is enough
+            await clone.voteForProposal(1, Vote.For);
+            await expect(clone.makeTransaction(1)).to.emit(clone, "TransactionMade");
+        });
+    });
+});
@@ -0,0 +1,278 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VotingIndexer, createServer } = require("../lib/VotingForTx.indexer");
+const { deployModule } = require("../lib/VotingForTx.factory");
+
+const Vote = { None: 0, For: 1, Against: 2, Abstain: 3 };
+
+const majority = { thresholdType: 0, value: 5000 };
+const noQuorum = { thresholdType: 1, value: 0 };
+
+describe("Event indexer", function() {
+    async function deployVotingWithHistory() {
+        [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+        const voters_ = [acc1.address, acc2.address, acc3.address];
+        const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
+
+        const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(votingModule.address, voters_, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []);
+        await voting.deployed();
+        const fromBlock = voting.deployTransaction.blockNumber;
+
+        const testContrFactory = await ethers.getContractFactory("Test");
+        const testContr = await testContrFactory.deploy();
+        await testContr.deployed();
+
+        const voters = [acc1, acc2, acc3];
+
+        // #1 is executed, #2 is cancelled, #3 is active
+        await voting.createProposal(testContr.address, "changeTo24()", [], 0, "Change to 24", ethers.utils.id("24"));
+        await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+        await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+        await voting.connect(voters[2]).voteForProposal(1, Vote.For);
+        await voting.makeTransaction(1);
+
+        await voting.connect(voters[1]).createProposal(voters[2].address, "", [], 0, "", ethers.constants.HashZero);
+        await voting.connect(voters[1]).cancelProposal(2);
+
+        await voting.connect(voters[2]).createProposal(testContr.address, "x()", [], 0, "", ethers.constants.HashZero);
+        await voting.connect(voters[0]).voteForProposal(3, Vote.Abstain);
+        await voting.connect(voters[1]).voteForProposal(3, Vote.Against);
+        await voting.connect(voters[1]).revokeVote(3);
+
+        return { voting, testContr, voters, fromBlock };
+    }
+
+    describe("Indexing", function() {
+        it("Should rebuild proposals from events", async function() {
+            const { voting, testContr, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock });
+
+            expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+
+            const executed = indexer.getProposal(1);
+            expect(executed.proposer).to.equal(voters[0].address);
+            expect(executed.title).to.equal("Change to 24");
+            expect(executed.contentHash).to.equal(ethers.utils.id("24"));
+            expect(executed.calls).to.deep.equal([
+                { targetAddress: testContr.address, functionSignature: "changeTo24()", dataToSend: "0x", valueToSend: "0" }
+            ]);
+            expect(executed.status).to.equal("Executed");
+            expect(executed.success).to.equal(true);
+            expect(executed.results).to.deep.equal([{ callIndex: 0, success: true, result: "0x" }]);
+            expect(executed.votes).to.deep.equal({ [voters[1].address]: "For", [voters[2].address]: "For" });
+            expect(executed.tally).to.deep.equal({ for: "2", against: "0", abstain: "0" });
+            expect(executed.executionTime).not.to.equal(null);
+            expect(executed.policy).to.equal(null);
+
+            const cancelled = indexer.getProposal(2);
+            expect(cancelled.status).to.equal("Cancelled");
+            expect(cancelled.cancelledBy).to.equal(voters[1].address);
+
+            const active = indexer.getProposal(3);
+            expect(active.status).to.equal("Active");
+            expect(active.tally).to.deep.equal({ for: "0", against: "0", abstain: "1" });
+        });
+
+        it("Should mark vetoed proposals", async function() {
+            const { voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(
+                votingModule.address, voters.map(v => v.address), 60 * 60, majority, noQuorum, 0, 60 * 60, [acc4.address]
+            );
+            await voting.deployed();
+            await voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(acc4).vetoProposal(1);
+
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock });
+            await indexer.sync();
+
+            expect(indexer.getProposal(1).status).to.equal("Vetoed");
+            expect(indexer.getProposal(1).vetoedBy).to.equal(acc4.address);
+            expect(indexer.getProposals({ status: "vetoed" })).to.have.lengthOf(1);
+        });
+
+        it("Should keep failed attempts of retryable proposals", async function() {
+            const { voting, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+
+            // There is no ether to send at the first attempt
+            await voting.createProposal(voters[1].address, "", [], 100, "", ethers.constants.HashZero);
+            await voting.setFailurePolicy(4, 1);
+            await voting.connect(voters[1]).voteForProposal(4, Vote.For);
+            await voting.connect(voters[2]).voteForProposal(4, Vote.For);
+            await voting.makeTransaction(4);
+
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock });
+            await indexer.sync();
+            let proposal = indexer.getProposal(4);
+            expect(proposal.failurePolicy).to.equal("Retryable");
+            expect(proposal.status).to.equal("Queued");
+            expect(proposal.failedAttempts).to.have.lengthOf(1);
+            expect(proposal.failedAttempts[0].attempt).to.equal(1);
+            expect(proposal.failedAttempts[0].results).to.deep.equal([{ callIndex: 0, success: false, result: "0x" }]);
+
+            await voting.replenishFunds({ value: 100 });
+            await voting.makeTransaction(4);
+            await indexer.sync();
+            proposal = indexer.getProposal(4);
+            expect(proposal.status).to.equal("Executed");
+            expect(proposal.success).to.equal(true);
+            expect(proposal.results).to.deep.equal([{ callIndex: 0, success: true, result: "0x" }]);
+        });
+
+        it("Should keep the applied policy of executed proposals", async function() {
+            const { voting, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+
+            // Changes of the policy table are voted by rules of the table
+            const callData = voting.interface.encodeFunctionData("setPolicyListMode", [1]);
+            await voting.createRawProposal(voting.address, callData, 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[1]).voteForProposal(4, Vote.For);
+            await voting.connect(voters[2]).voteForProposal(4, Vote.For);
+            await voting.makeTransaction(4);
+
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock });
+            await indexer.sync();
+            expect(indexer.getProposal(4).policy).to.deep.equal({ target: ethers.constants.AddressZero, selector: "0x00000000" });
+        });
+
+        it("Should count votes with weights of voters", async function() {
+            const [acc1, acc2, acc3] = await ethers.getSigners();
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(
+                votingModule.address, [acc1.address, acc2.address, acc3.address], [50, 30, 20], ethers.constants.AddressZero, 60 * 60, majority, noQuorum, 0, 60 * 60, []
+            );
+            await voting.deployed();
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(acc2).voteForProposal(1, Vote.For);
+            await voting.connect(acc3).voteForProposal(1, Vote.Against);
+
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock: voting.deployTransaction.blockNumber });
+            await indexer.sync();
+            expect(indexer.getProposal(1).tally).to.deep.equal({ for: "30", against: "20", abstain: "0" });
+
+            await voting.connect(acc3).revokeVote(1);
+            await indexer.sync();
+            expect(indexer.getProposal(1).tally).to.deep.equal({ for: "30", against: "0", abstain: "0" });
+        });
+
+        it("Should keep history of votes", async function() {
+            const { voting, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock });
+            await indexer.sync();
+
+            const votes = indexer.getVotes({ voter: voters[1].address });
+            expect(votes.map(vote => [vote.proposalId, vote.vote])).to.deep.equal([
+                [1, "Against"], [1, "For"], [3, "Against"], [3, "None"]
+            ]);
+            expect(votes[0].transactionHash).to.be.a("string");
+            expect(indexer.getVotes({ proposalId: 3 })).to.have.lengthOf(3);
+        });
+
+        it("Should filter proposals", async function() {
+            const { voting, testContr, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock });
+            await indexer.sync();
+
+            const ids = proposals => proposals.map(proposal => proposal.proposalId);
+            expect(ids(indexer.getProposals())).to.deep.equal([1, 2, 3]);
+            expect(ids(indexer.getProposals({ target: testContr.address.toLowerCase() }))).to.deep.equal([1, 3]);
+            expect(ids(indexer.getProposals({ proposer: voters[1].address }))).to.deep.equal([2]);
+            expect(ids(indexer.getProposals({ status: "active" }))).to.deep.equal([3]);
+            expect(ids(indexer.getProposals({ voter: voters[2].address }))).to.deep.equal([1]);
+            expect(ids(indexer.getProposals({ target: "wrong" }))).to.deep.equal([]);
+        });
+
+        it("Should read new events in several requests and continue from store file", async function() {
+            const { voting, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+            const storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "store.json");
+
+            const indexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock, blockStep: 2, storeFile });
+            await indexer.sync();
+            expect(indexer.getProposals()).to.have.lengthOf(3);
+
+            await voting.connect(voters[2]).voteForProposal(3, Vote.For);
+
+            const restartedIndexer = new VotingIndexer(ethers.provider, voting.address, { fromBlock, storeFile });
+            expect(restartedIndexer.getProposal(3).tally.for).to.equal("0");
+            await restartedIndexer.sync();
+            expect(restartedIndexer.getProposal(3).tally.for).to.equal("1");
+            expect(restartedIndexer.getVotes({ proposalId: 3 })).to.have.lengthOf(4);
+
+            expect(() => new VotingIndexer(ethers.provider, voters[0].address, { storeFile }))
+            .to.throw("belongs to another contract");
+        });
+    });
+
+    describe("HTTP API", function() {
+        let server;
+        let baseUrl;
+
+        async function startServer() {
+            const { voting, testContr, voters, fromBlock } = await loadFixture(deployVotingWithHistory);
+            server = createServer(new VotingIndexer(ethers.provider, voting.address, { fromBlock }));
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+            return { voting, testContr, voters };
+        }
+
+        async function get(url) {
+            const response = await fetch(baseUrl + url);
+            return { status: response.status, body: await response.json() };
+        }
+
+        afterEach(async function() {
+            if (server !== undefined) {
+                await new Promise(resolve => server.close(resolve));
+                server = undefined;
+            }
+        });
+
+        it("Should answer queries about proposals", async function() {
+            const { testContr, voters } = await startServer();
+
+            let { status, body } = await get(`/proposals?target=${testContr.address}&status=Executed`);
+            expect(status).to.equal(200);
+            expect(body.map(proposal => proposal.proposalId)).to.deep.equal([1]);
+
+            ({ status, body } = await get("/proposals/2"));
+            expect(body.status).to.equal("Cancelled");
+
+            ({ status, body } = await get("/proposals/3/votes"));
+            expect(body.map(vote => vote.voter)).to.deep.equal([voters[0].address, voters[1].address, voters[1].address]);
+
+            ({ status, body } = await get(`/votes?voter=${voters[2].address}`));
+            expect(body).to.have.lengthOf(1);
+        });
+
+        it("Should show new events in the next request", async function() {
+            const { voting, voters } = await startServer();
+
+            expect((await get("/proposals")).body).to.have.lengthOf(3);
+            await voting.connect(voters[0]).createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+
+            expect((await get("/proposals")).body).to.have.lengthOf(4);
+            expect((await get("/status")).body.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+        });
+
+        it("Should answer with errors", async function() {
+            await startServer();
+
+            expect(await get("/proposals/10")).to.deep.equal({ status: 404, body: { error: "There is no proposal 10" } });
+            expect(await get("/unknown")).to.deep.equal({ status: 404, body: { error: "Not found" } });
+
+            const response = await fetch(baseUrl + "/proposals", { method: "POST" });
+            expect(response.status).to.equal(405);
+        });
+    });
+});
@@ -0,0 +1,254 @@
+const { spawn } = require("child_process");
+const http = require("http");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { simulateProposal, decodeRevertReason } = require("../lib/VotingForTx.simulator");
+const { deployModule } = require("../lib/VotingForTx.factory");
+
+const { ethers } = hre;
+
+const Vote = { None: 0, For: 1, Against: 2, Abstain: 3 };
+
+// Proposals are simulated in the current state of the network of the tests (without forking)
+describe("Simulation of proposals", function() {
+    async function deployVotingAndTest() {
+        const [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+        const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(
+            votingModule.address, [acc1.address, acc2.address, acc3.address], 60 * 60,
+            { thresholdType: 0, value: 5000 }, { thresholdType: 1, value: 0 }, 60, 60 * 60, [acc4.address]
+        );
+        await voting.deployed();
+
+        const testContrFactory = await ethers.getContractFactory("Test");
+        const testContr = await testContrFactory.deploy();
+        await testContr.deployed();
+
+        const tokenFactory = await ethers.getContractFactory("TestERC20");
+        const token = await tokenFactory.deploy();
+        await token.deployed();
+        await token.mint(voting.address, 1000);
+        await acc1.sendTransaction({ to: voting.address, value: 500 });
+
+        return { voting, testContr, token, voters: [acc1, acc2, acc3], guardian: acc4 };
+    }
+
+    function transferCall(token, to, amount) {
+        return [
+            token.address, "transfer(address,uint256)",
+            ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [to, amount]), 0
+        ];
+    }
+
+    it("Should report successful execution with return values, balance changes and events", async function() {
+        const { voting, testContr, token, voters } = await loadFixture(deployVotingAndTest);
+
+        await voting.createBatchProposal([
+            transferCall(token, voters[2].address, 300),
+            [voters[1].address, "", "0x", 200],
+            [testContr.address, "changeTo24()", "0x", 0]
+        ], "", ethers.constants.HashZero);
+        await voting.voteForProposal(1, Vote.For);
+
+        const report = await simulateProposal(hre, voting.address, 1, {
+            abi: token.interface.fragments, tokens: [token.address], accounts: [voters[2].address]
+        });
+
+        expect(report.success).to.equal(true);
+        expect(report.error).to.equal(null);
+        // The first voter has already voted, one more vote is enough
+        expect(report.votesAdded).to.deep.equal([voters[1].address]);
+        expect(report.calls).to.have.lengthOf(3);
+        expect(report.calls[0].returnValues).to.deep.equal([true]);
+        expect(report.calls[1].returnValues).to.equal(null);
+        expect(report.balanceChanges).to.have.deep.members([
+            { account: voting.address, asset: "ETH", change: "-200" },
+            { account: voting.address, asset: token.address, change: "-300" },
+            { account: voters[1].address, asset: "ETH", change: "200" },
+            { account: voters[2].address, asset: token.address, change: "300" }
+        ]);
+
+        const transfer = report.events.find(event => event.name === "Transfer");
+        expect(transfer.address).to.equal(token.address);
+        expect(transfer.args).to.deep.equal({ from: voting.address, to: voters[2].address, value: "300" });
+        expect(report.events.map(event => event.name)).to.include.members(["CallMade", "TransactionMade"]);
+
+        // Nothing has changed in the real chain
+        expect(await voting.seeProposalStatus(1)).to.equal(1);
+        expect(await voting.seeVoteOf(1, voters[1].address)).to.equal(Vote.None);
+        expect(await token.balanceOf(voting.address)).to.equal(1000);
+        expect(await testContr.x()).to.not.equal(24);
+    });
+
+    it("Should report failed call with decoded revert reason", async function() {
+        const { voting, testContr, token, voters } = await loadFixture(deployVotingAndTest);
+
+        await voting.createBatchProposal([
+            transferCall(token, voters[2].address, 300),
+            [testContr.address, "revertWithReason()", "0x", 0]
+        ], "", ethers.constants.HashZero);
+
+        const report = await simulateProposal(hre, voting.address, 1, { tokens: [token.address] });
+
+        expect(report.success).to.equal(false);
+        expect(report.calls).to.have.lengthOf(1);
+        expect(report.calls[0].callIndex).to.equal(1);
+        expect(report.calls[0].success).to.equal(false);
+        expect(report.calls[0].revertReason).to.equal("Test: Reverted!");
+        expect(report.balanceChanges).to.deep.equal([]);
+    });
+
+    it("Should report revert of the whole transaction", async function() {
+        const { voting, voters, guardian } = await loadFixture(deployVotingAndTest);
+
+        await voting.createProposal(voters[1].address, "", "0x", 100, "", ethers.constants.HashZero);
+        await voting.connect(guardian).pause();
+
+        const report = await simulateProposal(hre, voting.address, 1);
+        expect(report.success).to.equal(false);
+        expect(report.error).to.equal("Voting: Voting is paused!");
+        expect(report.calls).to.deep.equal([]);
+    });
+
+    it("Should not simulate proposals that cannot be executed", async function() {
+        const { voting, voters } = await loadFixture(deployVotingAndTest);
+
+        await voting.createProposal(voters[1].address, "", "0x", 100, "", ethers.constants.HashZero);
+        await time.increase(3 * 60 * 60);
+
+        let error;
+        try { await simulateProposal(hre, voting.address, 1); } catch (e) { error = e; }
+        expect(error.message).to.equal("Proposal #1 is Expired, it cannot be executed");
+    });
+
+    it("Should decode revert reasons", async function() {
+        const { utils } = ethers;
+        const iface = new utils.Interface(["error NotEnough(uint256 needed)"]);
+
+        const errorData = utils.hexConcat([
+            utils.id("Error(string)").slice(0, 10), utils.defaultAbiCoder.encode(["string"], ["Too bad"])
+        ]);
+        const panicData = utils.hexConcat([
+            utils.id("Panic(uint256)").slice(0, 10), utils.defaultAbiCoder.encode(["uint256"], [0x11])
+        ]);
+
+        expect(decodeRevertReason(iface, errorData)).to.equal("Too bad");
+        expect(decodeRevertReason(iface, panicData)).to.equal("Panic(0x11)");
+        expect(decodeRevertReason(iface, iface.encodeErrorResult("NotEnough", [5]))).to.equal("NotEnough(5)");
+        expect(decodeRevertReason(iface, "0x")).to.equal("reverted without reason");
+        expect(decodeRevertReason(iface, "0x12345678")).to.equal("0x12345678");
+    });
+});
+
+// Chain of a separate Hardhat node is forked into the network of the tests as a real chain would be,
+// these tests reset the network of the tests, so they go after others
+describe("Simulation of proposals in a fork", function() {
+    this.timeout(120000);
+
+    let node;
+    let proxy;
+    let url;
+
+    // Hardhat Network of this version asks the forked chain for storage slots without leading
+    // zeros, and Hardhat node rejects them, so requests to the node go through a proxy that pads them
+    function startProxy(nodeUrl) {
+        const pad = request => {
+            if (request.method === "eth_getStorageAt") {
+                request.params[1] = ethers.utils.hexZeroPad(request.params[1], 32);
+            }
+            return request;
+        };
+        proxy = http.createServer((request, response) => {
+            let body = "";
+            request.on("data", chunk => { body += chunk; });
+            request.on("end", async () => {
+                const payload = JSON.parse(body);
+                const result = await ethers.utils.fetchJson(
+                    nodeUrl, JSON.stringify(Array.isArray(payload) ? payload.map(pad) : pad(payload))
+                );
+                response.setHeader("Content-Type", "application/json");
+                response.end(JSON.stringify(result));
+            });
+        });
+        return new Promise(resolve => {
+            proxy.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${proxy.address().port}`));
+        });
+    }
+
+    before(async function() {
+        // Hardhat node with the same config as the network of the tests, on a free port
+        node = spawn(process.execPath, [
+            require.resolve("hardhat/internal/cli/cli.js"), "node", "--port", "0", "--config", hre.config.paths.configFile
+        ], { cwd: hre.config.paths.root, stdio: ["ignore", "pipe", "ignore"] });
+
+        const nodeUrl = await new Promise((resolve, reject) => {
+            let output = "";
+            const onData = data => {
+                output += data;
+                const match = /JSON-RPC server at (http:\/\/[^\s/]+)/.exec(output);
+                if (match !== null) {
+                    // Logs of the node are not needed anymore, they are just drained
+                    node.stdout.off("data", onData);
+                    node.stdout.resume();
+                    resolve(match[1]);
+                }
+            };
+            node.stdout.on("data", onData);
+            node.on("exit", code => reject(new Error(`Hardhat node exited with code ${code}`)));
+        });
+        url = await startProxy(nodeUrl);
+    });
+
+    after(async function() {
+        proxy.close();
+        node.kill();
+    });
+
+    it("Should simulate the proposal in the fork and reset the network back", async function() {
+        const nodeProvider = new ethers.providers.JsonRpcProvider(url);
+        const accounts = await nodeProvider.listAccounts();
+        const signer = nodeProvider.getSigner(accounts[0]);
+        const recipient = ethers.utils.getAddress("0x000000000000000000000000000000000000bEEF");
+
+        const votingModule = await (await ethers.getContractFactory("VotingForTransactionModule", signer)).deploy();
+        const voting = await (await ethers.getContractFactory("VotingForTransaction", signer)).deploy(
+            votingModule.address, accounts.slice(0, 3), 60 * 60,
+            { thresholdType: 0, value: 5000 }, { thresholdType: 1, value: 0 }, 60, 60 * 60, []
+        );
+        await voting.deployed();
+        const token = await (await ethers.getContractFactory("TestERC20", signer)).deploy();
+        await (await token.mint(voting.address, 1000)).wait();
+        await (await signer.sendTransaction({ to: voting.address, value: 500 })).wait();
+
+        await (await voting.createBatchProposal([
+            [token.address, "transfer(address,uint256)", ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [recipient, 300]), 0],
+            [recipient, "", "0x", 200]
+        ], "", ethers.constants.HashZero)).wait();
+        await (await voting.voteForProposal(1, Vote.For)).wait();
+        const forkBlock = await nodeProvider.getBlockNumber();
+
+        // The first voter sends `makeTransaction`, his/her gas is not counted
+        const report = await simulateProposal(hre, voting.address, 1, {
+            forkUrl: url, tokens: [token.address], accounts: [accounts[0]]
+        });
+
+        expect(report.forkBlock).to.equal(forkBlock);
+        expect(report.success).to.equal(true);
+        expect(report.votesAdded).to.deep.equal([accounts[1]]);
+        expect(report.balanceChanges).to.have.deep.members([
+            { account: voting.address, asset: "ETH", change: "-200" },
+            { account: voting.address, asset: token.address, change: "-300" },
+            { account: recipient, asset: "ETH", change: "200" },
+            { account: recipient, asset: token.address, change: "300" }
+        ]);
+
+        // Nothing has changed in the node, the network of the tests is not forked anymore
+        expect(await voting.seeProposalStatus(1)).to.equal(1);
+        expect(await token.balanceOf(voting.address)).to.equal(1000);
+        expect(await ethers.provider.getCode(voting.address)).to.equal("0x");
+        expect(await ethers.provider.getBlockNumber()).to.equal(0);
+    });
+});
@@ -0,0 +1,407 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseDuration, parseThreshold } = require("../tasks/VotingForTx.tasks");
+
+const { ethers } = hre;
+
+describe("Hardhat tasks", function() {
+    let output;
+    let consoleLog;
+
+    // Tasks print everything into console, here it is collected for checks
+    beforeEach(function() {
+        output = [];
+        consoleLog = console.log;
+        console.log = (...args) => output.push(args.join(" "));
+    });
+
+    afterEach(function() {
+        console.log = consoleLog;
+    });
+
+    async function deployByTask() {
+        const [acc1, acc2, acc3] = await ethers.getSigners();
+        const voting = await hre.run("deploy", {
+            variant: "changeable",
+            voters: [acc1.address, acc2.address, acc3.address].join(","),
+            timeForVoting: "1h"
+        });
+        return { voting, voters: [acc1, acc2, acc3] };
+    }
+
+    function writeTempFile(name, content) {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "voting-")), name);
+        fs.writeFileSync(file, JSON.stringify(content));
+        return file;
+    }
+
+    describe("Parsing of arguments", function() {
+        it("Should parse durations", async function() {
+            expect(parseDuration("90")).to.equal(90);
+            expect(parseDuration("30m")).to.equal(30 * 60);
+            expect(parseDuration("12h")).to.equal(12 * 60 * 60);
+            expect(parseDuration(2)).to.equal(2);
+            expect(() => parseDuration("1 week")).to.throw('Wrong duration "1 week"');
+        });
+
+        it("Should parse thresholds", async function() {
+            expect(parseThreshold("50%")).to.deep.equal({ thresholdType: 0, value: 5000 });
+            expect(parseThreshold("66.66%")).to.deep.equal({ thresholdType: 0, value: 6666 });
+            expect(parseThreshold("3")).to.deep.equal({ thresholdType: 1, value: 3 });
+            expect(() => parseThreshold("half")).to.throw('Wrong threshold "half"');
+        });
+    });
+
+    describe("Deploying", function() {
+        it("Should deploy the chosen version with parameters", async function() {
+            const { voting, voters } = await deployByTask();
+
+            expect(await voting.seeVoters()).to.deep.equal(voters.map(v => v.address));
+            expect(await voting.seeTimeForVoting()).to.equal(60 * 60);
+            expect(await voting.seeGracePeriod()).to.equal(60 * 60 * 24);
+            expect((await voting.seeApprovalThreshold()).value).to.equal(5000);
+            expect(output[0]).to.match(/^VotingForTransactionModule is deployed to 0x/);
+            expect(output[1]).to.equal(`VotingForTransaction_Changeable is deployed to ${voting.address}`);
+        });
+
+        it("Should deploy with the module that is already deployed", async function() {
+            const [acc1, acc2] = await ethers.getSigners();
+            const votingModule = await (await ethers.getContractFactory("VotingForTransactionModule")).deploy();
+
+            const voting = await hre.run("deploy", { voters: [acc1.address, acc2.address].join(","), module: votingModule.address });
+
+            expect(output[0]).to.equal(`VotingForTransaction is deployed to ${voting.address}`);
+            // Delegation is implemented by the module
+            await voting.delegate(acc2.address);
+            expect(await voting.seeDelegate(acc1.address)).to.equal(acc2.address);
+        });
+
+        it("Should deploy with parameters from JSON file", async function() {
+            const [acc1, acc2, acc3] = await ethers.getSigners();
+            const params = writeTempFile("params.json", {
+                variant: "proposal-makers",
+                voters: [acc1.address, acc2.address],
+                proposalMakers: [acc3.address],
+                approvalThreshold: "2",
+                executionDelay: "1h"
+            });
+
+            const voting = await hre.run("deploy", { params, executionDelay: "2h" });
+
+            const prMakersVoting = await ethers.getContractAt("VotingForTransaction_ProposalMakers", voting.address);
+            expect(await prMakersVoting.isProposalMaker(acc3.address)).to.equal(true);
+            expect((await voting.seeApprovalThreshold()).thresholdType).to.equal(1);
+            // Arguments override the file
+            expect(await voting.seeExecutionDelay()).to.equal(2 * 60 * 60);
+        });
+
+        it("Should create a clone by the factory", async function() {
+            const [acc1, acc2] = await ethers.getSigners();
+            const factory = await hre.run("deploy-factory");
+
+            const voting = await hre.run("deploy", {
+                variant: "weighted",
+                voters: [acc1.address, acc2.address].join(","),
+                weights: "2,1",
+                factory: factory.address
+            });
+
+            expect(await factory.seeVotingsByCreator(acc1.address)).to.deep.equal([voting.address]);
+            expect(await voting.seeVoters()).to.deep.equal([acc1.address, acc2.address]);
+            expect(output).to.include(`Clone of VotingForTransaction_Weighted is created at ${voting.address}`);
+        });
+
+        it("Should create a clone with proposal makers that can be changed", async function() {
+            const [acc1, acc2, acc3] = await ethers.getSigners();
+            const factory = await hre.run("deploy-factory");
+
+            const voting = await hre.run("deploy", {
+                variant: "changeable-proposal-makers",
+                voters: [acc1.address, acc2.address].join(","),
+                proposalMakers: acc3.address,
+                factory: factory.address
+            });
+
+            const clone = await ethers.getContractAt("VotingForTransaction_ChangeableProposalMakers", voting.address);
+            expect(await clone.isProposalMaker(acc3.address)).to.equal(true);
+            expect(output).to.include(
+                `Clone of VotingForTransaction_ChangeableProposalMakers is created at ${voting.address}`
+            );
+        });
+
+        it("Should not deploy unknown version or without voters", async function() {
+            const [acc1] = await ethers.getSigners();
+
+            let error;
+            try { await hre.run("deploy", { variant: "other", voters: acc1.address }); } catch (e) { error = e; }
+            expect(error.message).to.contain('Unknown variant "other"');
+
+            try { await hre.run("deploy", {}); } catch (e) { error = e; }
+            expect(error.message).to.equal("There are no voters, set them with --voters");
+        });
+    });
+
+    describe("Operating", function() {
+        it("Should make, vote on and execute a proposal", async function() {
+            const { voting, voters } = await deployByTask();
+            await hre.run("fund", { voting: voting.address, amount: "1" });
+
+            const proposalId = await hre.run("propose", {
+                voting: voting.address,
+                target: voters[2].address,
+                value: "0.5"
+            });
+            expect(proposalId).to.equal(1);
+
+            expect(await hre.run("vote", { voting: voting.address, id: 1 })).to.equal(false);
+            expect(await hre.run("vote", { voting: voting.address, id: 1, vote: "for", from: voters[1].address })).to.equal(true);
+            expect(output).to.include(`Voted "for" on proposal #1: 2 for, 0 against, 0 abstain`);
+
+            const balanceBefore = await ethers.provider.getBalance(voters[2].address);
+            expect(await hre.run("execute", { voting: voting.address, id: 1 })).to.equal(true);
+            expect(await ethers.provider.getBalance(voters[2].address))
+            .to.equal(balanceBefore.add(ethers.utils.parseEther("0.5")));
+            expect(output).to.include("Transaction of proposal #1 succeeded");
+
+            const proposal = await hre.run("status", { voting: voting.address, id: 1 });
+            expect(proposal.status).to.equal("Executed");
+            expect(output).to.include("Proposal #1: Executed");
+        });
+
+        it("Should make a proposal of function call and print its decoded arguments", async function() {
+            const { voting } = await deployByTask();
+            const abi = writeTempFile("abi.json", (await hre.artifacts.readArtifact("VotingForTransaction_Changeable")).abi);
+
+            await hre.run("propose", {
+                voting: voting.address,
+                target: voting.address,
+                function: "changeTimeForVoting(uint256 newTimeForVoting)",
+                args: "[7200]"
+            });
+            await hre.run("status", { voting: voting.address, id: 1, abi });
+
+            expect(output).to.include(`  call #0: ${voting.address} changeTimeForVoting(uint256), value 0.0 ETH`);
+            expect(output).to.include("    args: 7200");
+        });
+
+        it("Should make a proposal with title and description and print them", async function() {
+            const { voting, voters } = await deployByTask();
+
+            await hre.run("propose", {
+                voting: voting.address,
+                target: voters[2].address,
+                title: "Pay for the audit",
+                contentHash: "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG"
+            });
+            const proposal = await hre.run("status", { voting: voting.address, id: 1 });
+
+            expect(proposal.title).to.equal("Pay for the audit");
+            expect(output).to.include("  title: Pay for the audit");
+            expect(output).to.include(
+                "  description: 0x9d6c2be50f706953479ab9df2ce3edca90b68053c00b3004b7f0accbe1e8eedf " +
+                "(IPFS QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG)"
+            );
+        });
+
+        it("Should make a proposal with complete calldata", async function() {
+            const { voting } = await deployByTask();
+            const callData = voting.interface.encodeFunctionData("cancelProposal", [1]);
+
+            await hre.run("propose", { voting: voting.address, target: voting.address, data: callData });
+            await hre.run("status", { voting: voting.address, id: 1 });
+
+            expect(await voting.seeSelectors(1)).to.deep.equal([callData.slice(0, 10)]);
+            expect(output).to.include(`  call #0: ${voting.address} (calldata), value 0.0 ETH`);
+            expect(output).to.include(`    data: ${callData} (pass --abi to decode it)`);
+        });
+
+        it("Should make a batch proposal from JSON file", async function() {
+            const { voting, voters } = await deployByTask();
+            const calls = writeTempFile("calls.json", [
+                { targetAddress: voting.address, fragment: "changeExecutionDelay(uint256)", args: [60] },
+                { targetAddress: voters[1].address, value: "0.1" }
+            ]);
+
+            const proposalId = await hre.run("propose", { voting: voting.address, calls });
+
+            const [proposedCalls] = await voting.seeCurrentProposal(proposalId);
+            expect(proposedCalls).to.have.lengthOf(2);
+            expect(proposedCalls[1].valueToSend).to.equal(ethers.utils.parseEther("0.1"));
+        });
+
+        it("Should print failed calls with revert reason", async function() {
+            const { voting, voters } = await deployByTask();
+
+            await hre.run("propose", { voting: voting.address, target: voters[0].address });
+            await hre.run("propose", {
+                voting: voting.address,
+                target: voting.address,
+                function: "cancelProposal(uint256)",
+                args: "[1]"
+            });
+            await hre.run("vote", { voting: voting.address, id: 2 });
+            await hre.run("vote", { voting: voting.address, id: 2, from: voters[1].address });
+
+            expect(await hre.run("execute", { voting: voting.address, id: 2 })).to.equal(true);
+            // Proposal is already cancelled
+            await hre.run("propose", {
+                voting: voting.address,
+                target: voting.address,
+                function: "cancelProposal(uint256)",
+                args: "[1]"
+            });
+            await hre.run("vote", { voting: voting.address, id: 3 });
+            await hre.run("vote", { voting: voting.address, id: 3, from: voters[1].address });
+
+            expect(await hre.run("execute", { voting: voting.address, id: 3 })).to.equal(false);
+            expect(output).to.include("Transaction of proposal #3 failed");
+            expect(output).to.include('  call #0 reverted with "Voting: It is too late!"');
+        });
+
+        it("Should make retryable proposal and execute it again", async function() {
+            const { voting, voters } = await deployByTask();
+
+            await hre.run("propose", {
+                voting: voting.address,
+                target: voters[2].address,
+                value: "0.5",
+                failurePolicy: "retryable"
+            });
+            expect(output).to.include("  event FailurePolicySet(proposalId=1, policy=1)");
+            await hre.run("vote", { voting: voting.address, id: 1 });
+            await hre.run("vote", { voting: voting.address, id: 1, from: voters[1].address });
+
+            // There is no ether yet
+            expect(await hre.run("execute", { voting: voting.address, id: 1 })).to.equal(false);
+            expect(output).to.include("The proposal stays queued, its transaction can be made again until grace period ends");
+            await hre.run("status", { voting: voting.address, id: 1 });
+            expect(output).to.include("  failure policy: Retryable, attempts: 1");
+
+            await hre.run("fund", { voting: voting.address, amount: "1" });
+            expect(await hre.run("execute", { voting: voting.address, id: 1 })).to.equal(true);
+        });
+
+        it("Should veto proposals and pause voting by guardian", async function() {
+            const [acc1, acc2, guardian] = await ethers.getSigners();
+            const voting = await hre.run("deploy", {
+                voters: [acc1.address, acc2.address].join(","),
+                guardians: guardian.address
+            });
+            expect(output).to.include(`  guardians: ${guardian.address}`);
+
+            await hre.run("propose", { voting: voting.address, target: acc2.address });
+            await hre.run("veto", { voting: voting.address, id: 1, from: guardian.address });
+            expect(await voting.seeProposalStatus(1)).to.equal(6);
+
+            await hre.run("pause", { voting: voting.address, from: guardian.address });
+            const summary = await hre.run("status", { voting: voting.address });
+            expect(summary.paused).to.equal(true);
+            expect(output).to.include(`  guardians: ${guardian.address} (voting is paused)`);
+
+            await hre.run("pause", { voting: voting.address, unpause: true, from: guardian.address });
+            expect(await voting.isPaused()).to.equal(false);
+        });
+
+        it("Should propose to sign a message and check its signature", async function() {
+            const { voting, voters } = await deployByTask();
+            const message = "Sign in to example.com";
+            const hash = ethers.utils.hashMessage(message);
+
+            const proposalId = await hre.run("sign-message", { voting: voting.address, message, validFor: "7d" });
+            expect(output).to.include(`Proposal #1 is made to approve message ${hash}`);
+            await hre.run("vote", { voting: voting.address, id: proposalId });
+            await hre.run("vote", { voting: voting.address, id: proposalId, from: voters[1].address });
+            expect(await hre.run("execute", { voting: voting.address, id: proposalId })).to.equal(true);
+
+            const approval = await hre.run("sign-message", { voting: voting.address, message, check: true });
+            expect(approval.valid).to.equal(true);
+            expect(output).to.include(`Message ${hash} is signed until ${new Date(approval.expiry * 1000).toISOString()}`);
+
+            await hre.run("sign-message", { voting: voting.address, message: hash, revoke: true });
+            expect(output).to.include(`Proposal #2 is made to revoke message ${hash}`);
+            expect((await voting.seeCurrentProposal(2))[0][0].functionSignature).to.equal("revokeHash(bytes32)");
+        });
+
+        it("Should delegate vote and print delegations and delegated votes", async function() {
+            const { voting, voters } = await deployByTask();
+
+            await hre.run("delegate", { voting: voting.address, to: voters[1].address });
+            expect(output).to.include(`Vote of ${voters[0].address} is delegated to ${voters[1].address}`);
+            await hre.run("voters", { voting: voting.address });
+            expect(output).to.include(`${voters[0].address} (delegated to ${voters[1].address})`);
+
+            await hre.run("propose", { voting: voting.address, target: voters[2].address });
+            await hre.run("vote", { voting: voting.address, id: 1, vote: "against", from: voters[1].address });
+            await hre.run("voters", { voting: voting.address, id: 1 });
+            expect(output).to.include(`${voters[0].address} Against (cast by ${voters[1].address})`);
+
+            await hre.run("delegate", { voting: voting.address, revoke: true });
+            expect(output).to.include(`Delegation of ${voters[0].address} is revoked`);
+
+            let error;
+            try { await hre.run("delegate", { voting: voting.address }); } catch (e) { error = e; }
+            expect(error.message).to.equal("Set --to or --revoke");
+        });
+
+        it("Should propose policies and print the policy table", async function() {
+            const { voting, voters } = await deployByTask();
+            const passProposal = async proposalId => {
+                await hre.run("vote", { voting: voting.address, id: proposalId });
+                await hre.run("vote", { voting: voting.address, id: proposalId, from: voters[1].address });
+                return hre.run("execute", { voting: voting.address, id: proposalId });
+            };
+            const selector = ethers.utils.id("transfer(address,uint256)").slice(0, 10);
+
+            const proposalId = await hre.run("policy", {
+                voting: voting.address, target: voters[2].address, function: "transfer(address to, uint256 amount)", 
+                approvalThreshold: "2", timeForVoting: "2h", maxValue: "0.5"
+            });
+            expect(output).to.include(`Proposal #1 is made to set policy of ${voters[2].address} ${selector}`);
+            expect(await passProposal(proposalId)).to.equal(true);
+            expect(output).to.include("Voted by strictest rules of the policy table");
+
+            const table = await hre.run("policy", { voting: voting.address });
+            expect(table.policies).to.have.lengthOf(1);
+            expect(output).to.include(`Policy table of ${voting.address} (DenyList mode)`);
+            expect(output).to.include(
+                `  ${voters[2].address} ${selector}: Allowed, approval threshold: at least 2, time for voting: 7200s, max value 0.5 ETH`
+            );
+
+            await hre.run("policy", { voting: voting.address, listMode: "allowlist" });
+            expect(output).to.include("Proposal #2 is made to switch policy table to allowlist mode");
+            await hre.run("policy", { voting: voting.address, target: voters[2].address, function: selector, remove: true });
+            expect(output).to.include(`Proposal #3 is made to remove policy of ${voters[2].address} ${selector}`);
+
+            await hre.run("status", { voting: voting.address, id: 3 });
+            expect(output).to.include("  voted by strictest rules of the policy table");
+        });
+
+        it("Should not simulate a proposal without URL of the chain", async function() {
+            const { voting, voters } = await deployByTask();
+
+            await hre.run("propose", { voting: voting.address, target: voters[0].address });
+
+            let error;
+            try { await hre.run("simulate", { voting: voting.address, id: 1 }); } catch (e) { error = e; }
+            expect(error.message).to.equal("There is no URL of the chain, set it with --fork-url or in forking of Hardhat Network");
+        });
+
+        it("Should print voters, their votes and settings", async function() {
+            const { voting, voters } = await deployByTask();
+
+            await hre.run("propose", { voting: voting.address, target: voters[0].address });
+            await hre.run("vote", { voting: voting.address, id: 1, vote: "against", from: voters[1].address });
+
+            expect(await hre.run("voters", { voting: voting.address, id: 1 })).to.have.lengthOf(3);
+            expect(output).to.include(`${voters[1].address} Against`);
+            expect(output).to.include(`${voters[0].address} None`);
+
+            const summary = await hre.run("status", { voting: voting.address });
+            expect(summary.proposalsAmount).to.equal(1);
+            expect(output).to.include("  approval threshold: more than 50%, quorum: none");
+        });
+    });
+});
@@ -1,6 +1,17 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { artifacts, ethers } = require("hardhat");
+const { signBallot, buildBallotDomain, recoverBallotSigner } = require("../lib/VotingForTx.signatures");
+const { deployModule } = require("../lib/VotingForTx.factory");
+
+const Vote = { None: 0, For: 1, Against: 2, Abstain: 3 };
+const ProposalStatus = { NotExists: 0, Active: 1, Queued: 2, Executed: 3, Cancelled: 4, Expired: 5, Vetoed: 6 };
+const FailurePolicy = { Final: 0, Retryable: 1, Strict: 2 };
+const ThresholdType = { Percentage: 0, Absolute: 1 };
+
+const majority = { thresholdType: ThresholdType.Percentage, value: 5000 };
+const noQuorum = { thresholdType: ThresholdType.Absolute, value: 0 };
 
 describe("Voting for transaction", function() {
     async function deployUsualVoting() {
@@ -11,7 +22,8 @@ describe("Voting for transaction", function() {
         const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
 
         const votingFactory = await ethers.getContractFactory("VotingForTransaction");
-        const voting = await votingFactory.deploy(voters_, timeForVoting_);
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(votingModule.address, voters_, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []);
         await voting.deployed();
 
         const voters = [acc1, acc2, acc3];
@@ -44,58 +56,209 @@ describe("Voting for transaction", function() {
 
             expect(votersAddresses.length).to.equal(voters.length);
         });
+
+        it("Should set the right approval threshold and quorum", async function() {
+            const { voting } = await loadFixture(deployUsualVoting);
+
+            const approvalThreshold = await voting.seeApprovalThreshold();
+            expect(approvalThreshold.thresholdType).to.equal(majority.thresholdType);
+            expect(approvalThreshold.value).to.equal(majority.value);
+
+            const quorum = await voting.seeQuorum();
+            expect(quorum.thresholdType).to.equal(noQuorum.thresholdType);
+            expect(quorum.value).to.equal(noQuorum.value);
+        });
+
+        it("Should revert if approval threshold or quorum cannot be reached", async function() {
+            const [acc1, acc2] = await ethers.getSigners();
+            const voters_ = [acc1.address, acc2.address];
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, 100, { thresholdType: ThresholdType.Percentage, value: 10001 }, noQuorum, 0, 100, []))
+            .to.be.revertedWith("Voting: Wrong approval threshold!");
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, 100, { thresholdType: ThresholdType.Absolute, value: 3 }, noQuorum, 0, 100, []))
+            .to.be.revertedWith("Voting: Wrong approval threshold!");
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, 100, { thresholdType: ThresholdType.Absolute, value: 0 }, noQuorum, 0, 100, []))
+            .to.be.revertedWith("Voting: Wrong approval threshold!");
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, 100, majority, { thresholdType: ThresholdType.Absolute, value: 3 }, 0, 100, []))
+            .to.be.revertedWith("Voting: Wrong quorum!");
+        });
+
+        it("Should revert if there is no module at the address", async function() {
+            const [acc1, acc2] = await ethers.getSigners();
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+
+            await expect(votingFactory.deploy(acc2.address, [acc1.address], 100, majority, noQuorum, 0, 100, []))
+            .to.be.revertedWith("Voting: Wrong module!");
+        });
+
+        it("Should share one module between votings", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const anotherVoting = await votingFactory.deploy(
+                votingModule.address, voters.map(v => v.address), 100, majority, noQuorum, 0, 100, []
+            );
+            const sameModuleVoting = await votingFactory.deploy(
+                votingModule.address, voters.map(v => v.address), 100, majority, noQuorum, 0, 100, []
+            );
+
+            // Functions of the module work with storage of every voting
+            await anotherVoting.connect(voters[0]).delegate(voters[1].address);
+            expect(await anotherVoting.seeDelegate(voters[0].address)).to.equal(voters[1].address);
+            expect(await sameModuleVoting.seeDelegate(voters[0].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeDelegate(voters[0].address)).to.equal(ethers.constants.AddressZero);
+        });
+    });
+
+    describe("Approval threshold and quorum", function() {
+        async function deployWithRules(approvalThreshold, quorum) {
+            const signers = await ethers.getSigners();
+            const voters = signers.slice(0, 6);
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, voters.map(v => v.address), 60 * 60, approvalThreshold, quorum, 0, 60 * 60, []);
+            await voting.deployed();
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            return { voting, voters };
+        }
+
+        async function isPassedWith(voting, voters, ballots) {
+            for (let i = 0; i < ballots.length; i++) {
+                await voting.connect(voters[i]).voteForProposal(1, ballots[i]);
+            }
+            try {
+                await voting.callStatic.makeTransaction(1);
+                return true;
+            } catch (error) {
+                if (!error.message.includes("Voting: Not enough votes for current proposal!")) throw error;
+                return false;
+            }
+        }
+
+        it("Should require more than a half of voters for simple majority", async function() {
+            let { voting, voters } = await deployWithRules(majority, noQuorum);
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For, Vote.For])).to.equal(false);
+
+            ({ voting, voters } = await deployWithRules(majority, noQuorum));
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For, Vote.For, Vote.For])).to.equal(true);
+        });
+
+        it("Should require two thirds of voters", async function() {
+            const twoThirds = { thresholdType: ThresholdType.Percentage, value: 6666 };
+
+            let { voting, voters } = await deployWithRules(twoThirds, noQuorum);
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For, Vote.For])).to.equal(false);
+
+            ({ voting, voters } = await deployWithRules(twoThirds, noQuorum));
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For, Vote.For, Vote.For])).to.equal(true);
+        });
+
+        it("Should require all voters for unanimity", async function() {
+            const unanimity = { thresholdType: ThresholdType.Percentage, value: 10000 };
+
+            let { voting, voters } = await deployWithRules(unanimity, noQuorum);
+            expect(await isPassedWith(voting, voters, Array(5).fill(Vote.For))).to.equal(false);
+
+            ({ voting, voters } = await deployWithRules(unanimity, noQuorum));
+            expect(await isPassedWith(voting, voters, Array(6).fill(Vote.For))).to.equal(true);
+        });
+
+        it("Should require absolute amount of voters", async function() {
+            const twoOfSix = { thresholdType: ThresholdType.Absolute, value: 2 };
+
+            let { voting, voters } = await deployWithRules(twoOfSix, noQuorum);
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.Against])).to.equal(false);
+
+            ({ voting, voters } = await deployWithRules(twoOfSix, noQuorum));
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For])).to.equal(true);
+        });
+
+        it("Should count abstentions and votes against in quorum", async function() {
+            const twoOfSix = { thresholdType: ThresholdType.Absolute, value: 2 };
+            const halfOfVoters = { thresholdType: ThresholdType.Absolute, value: 3 };
+
+            let { voting, voters } = await deployWithRules(twoOfSix, halfOfVoters);
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For])).to.equal(false);
+
+            ({ voting, voters } = await deployWithRules(twoOfSix, halfOfVoters));
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.For, Vote.Abstain])).to.equal(true);
+
+            ({ voting, voters } = await deployWithRules(twoOfSix, halfOfVoters));
+            expect(await isPassedWith(voting, voters, [Vote.For, Vote.Against, Vote.Abstain])).to.equal(false);
+        });
     });
 
     describe("Proposal making", function() {
-        it("Should check that time has passed since the last proposal", async function() {
+        it("Should allow to make several proposals at the same time", async function() {
             const { voting } = await loadFixture(deployUsualVoting);
 
-            await expect(voting.createProposal(voting.address, "", [], 0))
-            .not.to.be.revertedWith("Voting: It is too early!");
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
 
-            await expect(voting.createProposal(voting.address, "", [], 0))
-            .to.be.revertedWith("Voting: It is too early!");
+            expect(await voting.seeProposalsAmount()).to.equal(2);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Active);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Active);
+        });
+
+        it("Should return ID of the new proposal", async function() {
+            const { voting } = await loadFixture(deployUsualVoting);
+
+            expect(await voting.callStatic.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero)).to.equal(1);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await voting.callStatic.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero)).to.equal(2);
         });
 
         it("Should check that proposal maker is one of the voters", async function() {
             const { voting, nonVoters } = await loadFixture(deployUsualVoting);
 
-            await expect(voting.connect(nonVoters[0]).createProposal(voting.address, "", [], 0))
+            await expect(voting.connect(nonVoters[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
             .to.be.revertedWith("Voting: You are not a voter!");
 
-            await expect(voting.createProposal(voting.address, "", [], 0))
+            await expect(voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
             .not.to.be.revertedWith("Voting: You are not a voter!");
         });
 
-        it("Should clear all votes from the previous proposal", async function() {
+        it("Should keep votes separately for each proposal", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
-            await voting.createProposal(voting.address, "", [], 0);
-            await voting.voteForProposal();
-            await voting.connect(voters[1]).voteForProposal();
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([2, 0, 0]);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
 
-            expect(await voting.seeAreAgreementsEnough()).to.equal(true);
+            expect((await voting.seeVotes(2)).map(Number)).to.deep.equal([0, 0, 0]);
 
-            await voting.makeTransaction();
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.makeTransaction(1);
 
-            expect(await voting.seeAreAgreementsEnough()).to.equal(false);
+            expect((await voting.seeVotes(2)).map(Number)).to.deep.equal([0, 0, 0]);
         });
 
         it("Should set the right properties of the proposed tx", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
-            let tx = await voting.createProposal(voting.address, "", [], 0);
+            let tx = await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
             let block = await ethers.provider.getBlock(tx.blockNumber);
 
-            expect(await voting.seeCurrentProposal())
+            let [calls, proposalTime] = await voting.seeCurrentProposal(1);
+            expect(calls).to.have.lengthOf(1);
+            expect(calls[0])
             .to.have.all.deep.members([
                 voting.address,
                 "",
                 ethers.utils.hexlify([]),
-                ethers.BigNumber.from(0),
-                ethers.BigNumber.from(block.timestamp)
+                ethers.BigNumber.from(0)
             ]);
+            expect(proposalTime).to.equal(block.timestamp);
 
             await loadFixture(deployUsualVoting);
 
@@ -103,18 +266,59 @@ describe("Voting for transaction", function() {
                 voters[0].address,
                 "transfer(address,uint256)",
                 ethers.utils.formatBytes32String("data that will be sent"),
-                100
+                100,
+                "",
+                ethers.constants.HashZero
             );
             block = await ethers.provider.getBlock(tx.blockNumber);
 
-            expect(await voting.seeCurrentProposal())
+            [calls, proposalTime] = await voting.seeCurrentProposal(1);
+            expect(calls).to.have.lengthOf(1);
+            expect(calls[0])
             .to.have.all.deep.members([
                 voters[0].address,
                 "transfer(address,uint256)",
                 ethers.utils.formatBytes32String("data that will be sent"),
-                ethers.BigNumber.from(100),
-                ethers.BigNumber.from(block.timestamp)
+                ethers.BigNumber.from(100)
             ]);
+            expect(proposalTime).to.equal(block.timestamp);
+        });
+
+        it("Should set the right calls of the proposed batch", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            const calls_ = [
+                [voters[0].address, "", "0x", 100],
+                [voting.address, "transfer(address,uint256)", ethers.utils.formatBytes32String("data"), 0]
+            ];
+            const tx = await voting.createBatchProposal(calls_, "", ethers.constants.HashZero);
+            const block = await ethers.provider.getBlock(tx.blockNumber);
+
+            const [calls, proposalTime] = await voting.seeCurrentProposal(1);
+            expect(calls).to.have.lengthOf(2);
+            for (let i = 0; i < calls_.length; i++) {
+                expect(calls[i].targetAddress).to.equal(calls_[i][0]);
+                expect(calls[i].functionSignature).to.equal(calls_[i][1]);
+                expect(calls[i].dataToSend).to.equal(calls_[i][2]);
+                expect(calls[i].valueToSend).to.equal(calls_[i][3]);
+            }
+            expect(proposalTime).to.equal(block.timestamp);
+        });
+
+        it("Should revert if batch is empty or one of its calls is wrong", async function() {
+            const { voting, nonVoters } = await loadFixture(deployUsualVoting);
+
+            await expect(voting.createBatchProposal([], "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: There are no calls in proposal!");
+
+            await expect(voting.createBatchProposal([
+                [voting.address, "", "0x", 0],
+                [voting.address, "", ethers.utils.formatBytes32String("data"), 0]
+            ], "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: You cannot send any args with empty function name!");
+
+            await expect(voting.connect(nonVoters[0]).createBatchProposal([[voting.address, "", "0x", 0]], "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: You are not a voter!");
         });
 
         it("Should revert if data was sent but function name is empty", async function() {
@@ -124,7 +328,9 @@ describe("Voting for transaction", function() {
                 voting.address,
                 "", 
                 ethers.utils.formatBytes32String("data that will be sent"), 
-                0
+                0, 
+                "", 
+                ethers.constants.HashZero
             ))
             .to.be.revertedWith("Voting: You cannot send any args with empty function name!");
         });
@@ -136,112 +342,527 @@ describe("Voting for transaction", function() {
                 voting.address,
                 "functionName()",
                 ethers.utils.formatBytes32String("wrong data") + "123456",
-                0
+                0,
+                "",
+                ethers.constants.HashZero
             ))
             .to.be.revertedWith("Voting: Wrong data (function args) encoding!");
         });
 
         it("Should emit `VotingStarted` event on accepting of proposal", async function() {
-            const { voting } = await loadFixture(deployUsualVoting);
+            const { voting, voters } = await loadFixture(deployUsualVoting);
 
             await expect(voting.createProposal(
                 voting.address,
                 "functionName()",
                 ethers.utils.formatBytes32String("data"),
-                0
+                0,
+                "",
+                ethers.constants.HashZero
             ))
             .to.emit(voting, "VotingStarted");
+
+            const [event] = await voting.queryFilter(voting.filters.VotingStarted());
+            expect(event.args.proposalId).to.equal(1);
+            expect(event.args.proposer).to.equal(voters[0].address);
+            expect(event.args.calls).to.have.lengthOf(1);
+            expect(event.args.calls[0])
+            .to.have.all.deep.members([
+                voting.address,
+                "functionName()",
+                ethers.utils.formatBytes32String("data"),
+                ethers.BigNumber.from(0)
+            ]);
+        });
+
+        it("Should keep title and hash of description of the proposal", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            const contentHash = ethers.utils.id("Full description of the proposal");
+            await voting.connect(voters[1]).createProposal(voters[2].address, "", [], 0, "Pay for the audit", contentHash);
+            await voting.createBatchProposal([[voters[2].address, "", "0x", 0]], "Pay in a batch", contentHash);
+            await voting.createRawProposal(voters[2].address, "0x12345678", 0, "Pay by calldata", contentHash);
+
+            const [first, second, third] = await voting.queryFilter(voting.filters.VotingStarted());
+            expect(first.args.title).to.equal("Pay for the audit");
+            expect(first.args.contentHash).to.equal(contentHash);
+            expect(second.args.title).to.equal("Pay in a batch");
+            expect(second.args.contentHash).to.equal(contentHash);
+            expect(third.args.title).to.equal("Pay by calldata");
+            expect(third.args.contentHash).to.equal(contentHash);
+            expect((await voting.seeProposal(3)).title).to.equal("Pay by calldata");
+
+            const proposal = await voting.seeProposal(1);
+            expect(proposal.proposer).to.equal(voters[1].address);
+            expect(proposal.title).to.equal("Pay for the audit");
+            expect(proposal.contentHash).to.equal(contentHash);
         });
     });
 
     describe("Voting for proposal", function() {
+        it("Should emit `VoteCast` event on every change of vote", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.connect(voters[1]).voteForProposal(1, Vote.Against))
+            .to.emit(voting, "VoteCast").withArgs(1, voters[1].address, Vote.Against);
+
+            await expect(voting.connect(voters[1]).revokeVote(1))
+            .to.emit(voting, "VoteCast").withArgs(1, voters[1].address, Vote.None);
+
+            const events = await voting.queryFilter(voting.filters.VoteCast(1, voters[1].address));
+            expect(events.map(event => event.args.vote)).to.deep.equal([Vote.Against, Vote.None]);
+        });
+
         it("Should make a vote for current proposal", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            expect(await voting.seeAreAgreementsEnough()).to.equal(true);
+            expect((await voting.seeVotes(1)).forVotes).to.equal(voters.length);
         });
 
-        it("Should revert if voting has not started at all", async function() {
+        it("Should count votes for, against and abstain separately", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Abstain);
+
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([1, 1, 1]);
+            expect(await voting.seeVoteOf(1, voters[1].address)).to.equal(Vote.Against);
+        });
+
+        it("Should change previous vote", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([1, 0, 0]);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.For);
+        });
+
+        it("Should withdraw vote", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.revokeVote(1))
+            .to.be.revertedWith("Voting: You have not voted!");
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[0]).revokeVote(1);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([1, 0, 0]);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.None);
+
+            await expect(voting.makeTransaction(1))
+            .to.be.revertedWith("Voting: Not enough votes for current proposal!");
+        });
+
+        it("Should revert if vote is empty", async function() {
             const { voting } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.voteForProposal(1, Vote.None))
+            .to.be.revertedWith("Voting: Use `revokeVote` to withdraw your vote!");
+        });
+
+        it("Should not allow to withdraw vote when time of voting has passed", async function() {
+            const { voting, timeForVoting_ } = await loadFixture(deployUsualVoting);
+            
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.voteForProposal(1, Vote.Against);
             
-            await expect(voting.voteForProposal())
+            await ethers.provider.send("evm_increaseTime", [timeForVoting_ + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(voting.revokeVote(1))
+            .to.be.revertedWith("Voting: It is too late!");
+            await expect(voting.voteForProposal(1, Vote.For))
             .to.be.revertedWith("Voting: It is too late!");
         });
 
+        it("Should revert if voting has not started at all", async function() {
+            const { voting } = await loadFixture(deployUsualVoting);
+            
+            await expect(voting.voteForProposal(1, Vote.For))
+            .to.be.revertedWith("Voting: There is no such proposal!");
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.voteForProposal(2, Vote.For))
+            .to.be.revertedWith("Voting: There is no such proposal!");
+        });
+
         it("Should revert if time of voting has passed", async function() {
             const { voting, timeForVoting_ } = await loadFixture(deployUsualVoting);
             
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
             
             await ethers.provider.send("evm_increaseTime", [timeForVoting_ + 1]);
             await ethers.provider.send("evm_mine");
 
-            await expect(voting.voteForProposal())
+            await expect(voting.voteForProposal(1, Vote.For))
             .to.be.revertedWith("Voting: It is too late!");
         });
 
         it("Should revert if proposed tx was already made", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
             
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
+            await voting.makeTransaction(1);
 
-            await expect(voting.voteForProposal())
+            await expect(voting.voteForProposal(1, Vote.For))
             .to.be.revertedWith("Voting: It is too late!");
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Executed);
         });
 
         it("Should revert if caller is not a voter", async function() {
             const { voting, nonVoters } = await loadFixture(deployUsualVoting);
 
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
 
             for(let eachNonVoter of nonVoters) {
-                await expect(voting.connect(eachNonVoter).voteForProposal())
+                await expect(voting.connect(eachNonVoter).voteForProposal(1, Vote.For))
                 .to.be.revertedWith("Voting: You are not a voter!");
             }
         });
     });
 
+    describe("Voting by signature", function() {
+        it("Should use the right EIP-712 domain", async function() {
+            const { voting } = await loadFixture(deployUsualVoting);
+
+            const domain = await buildBallotDomain(voting);
+
+            expect(await voting.seeDomainSeparator())
+            .to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+        });
+
+        it("Should vote on behalf of signer", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballot = await signBallot(voting, voters[1], 1, Vote.Against);
+            expect(await recoverBallotSigner(voting, ballot)).to.equal(voters[1].address);
+
+            await voting.connect(nonVoters[0]).voteBySig(
+                ballot.proposalId, ballot.vote, ballot.nonce, ballot.v, ballot.r, ballot.s
+            );
+
+            expect(await voting.seeVoteOf(1, voters[1].address)).to.equal(Vote.Against);
+            expect(await voting.seeNonce(voters[1].address)).to.equal(1);
+        });
+
+        it("Should vote on behalf of several signers at once", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballots = [];
+            for (let eachVoter of voters) {
+                ballots.push(await signBallot(voting, eachVoter, 1, Vote.For));
+            }
+
+            await voting.connect(nonVoters[0]).voteBySigBatch(ballots);
+
+            expect((await voting.seeVotes(1)).forVotes).to.equal(voters.length);
+            await expect(voting.makeTransaction(1)).to.emit(voting, "TransactionMade");
+        });
+
+        it("Should not allow to use the same signature twice", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballot = await signBallot(voting, voters[1], 1, Vote.For);
+            await voting.voteBySigBatch([ballot]);
+
+            await voting.connect(voters[1]).revokeVote(1);
+
+            await expect(voting.voteBySigBatch([ballot]))
+            .to.be.revertedWith("Voting: Wrong nonce!");
+            await expect(voting.voteBySig(
+                ballot.proposalId, ballot.vote, ballot.nonce, ballot.v, ballot.r, ballot.s
+            ))
+            .to.be.revertedWith("Voting: Wrong nonce!");
+        });
+
+        it("Should revert whole batch if one of the ballots is wrong", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballots = [
+                await signBallot(voting, voters[0], 1, Vote.For),
+                await signBallot(voting, voters[1], 1, Vote.For, 5)
+            ];
+
+            await expect(voting.voteBySigBatch(ballots))
+            .to.be.revertedWith("Voting: Wrong nonce!");
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.None);
+        });
+
+        it("Should revert if signer is not a voter", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballot = await signBallot(voting, nonVoters[0], 1, Vote.For);
+            await expect(voting.voteBySigBatch([ballot]))
+            .to.be.revertedWith("Voting: Signer is not a voter!");
+
+            // Changed ballot is signed by somebody else
+            const changedBallot = await signBallot(voting, voters[0], 1, Vote.Against);
+            changedBallot.vote = Vote.For;
+            await expect(voting.voteBySigBatch([changedBallot]))
+            .to.be.revertedWith("Voting: Signer is not a voter!");
+        });
+
+        it("Should revert if signature is made for another contract", async function() {
+            const { voting, voters, timeForVoting_ } = await loadFixture(deployUsualVoting);
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const anotherVoting = await votingFactory.deploy(
+                votingModule.address, voters.map(v => v.address), timeForVoting_, majority, noQuorum, 0, timeForVoting_, []
+            );
+            await anotherVoting.deployed();
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballot = await signBallot(anotherVoting, voters[0], 1, Vote.For);
+            await expect(voting.voteBySigBatch([ballot]))
+            .to.be.revertedWith("Voting: Signer is not a voter!");
+        });
+
+        it("Should revert if signature is malformed", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const ballot = await signBallot(voting, voters[0], 1, Vote.For);
+            ballot.v = 29;
+            await expect(voting.voteBySigBatch([ballot]))
+            .to.be.revertedWith("Voting: Invalid signature!");
+        });
+
+        it("Should revert if time for voting has passed", async function() {
+            const { voting, voters, timeForVoting_ } = await loadFixture(deployUsualVoting);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            const ballot = await signBallot(voting, voters[0], 1, Vote.For);
+
+            await ethers.provider.send("evm_increaseTime", [timeForVoting_ + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(voting.voteBySigBatch([ballot]))
+            .to.be.revertedWith("Voting: It is too late!");
+        });
+    });
+
+    describe("Vote delegation", function() {
+        it("Should delegate vote and show delegations", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await expect(voting.connect(voters[0]).delegate(voters[1].address))
+            .to.emit(voting, "DelegateChanged").withArgs(voters[0].address, ethers.constants.AddressZero, voters[1].address);
+            await voting.connect(voters[2]).delegate(voters[1].address);
+
+            expect(await voting.seeDelegate(voters[0].address)).to.equal(voters[1].address);
+            expect(await voting.seeDelegate(voters[1].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeDelegators(voters[1].address)).to.deep.equal([voters[0].address, voters[2].address]);
+
+            await expect(voting.connect(voters[0]).delegate(voters[2].address))
+            .to.emit(voting, "DelegateChanged").withArgs(voters[0].address, voters[1].address, voters[2].address);
+            expect(await voting.seeDelegators(voters[1].address)).to.deep.equal([voters[2].address]);
+            expect(await voting.seeDelegators(voters[2].address)).to.deep.equal([voters[0].address]);
+        });
+
+        it("Should not delegate to wrong voters and by non-voters", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
+
+            await expect(voting.connect(voters[0]).delegate(nonVoters[0].address))
+            .to.be.revertedWith("Voting: Delegate is not a voter!");
+            await expect(voting.connect(voters[0]).delegate(voters[0].address))
+            .to.be.revertedWith("Voting: Wrong delegate!");
+            await expect(voting.connect(nonVoters[0]).delegate(voters[0].address))
+            .to.be.revertedWith("Voting: You are not a voter!");
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await expect(voting.connect(voters[0]).delegate(voters[1].address))
+            .to.be.revertedWith("Voting: Wrong delegate!");
+        });
+
+        it("Should cast votes of delegate on behalf of delegators", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.connect(voters[1]).voteForProposal(1, Vote.Against))
+            .to.emit(voting, "VoteCast").withArgs(1, voters[0].address, Vote.Against)
+            .and.to.emit(voting, "VoteCast").withArgs(1, voters[1].address, Vote.Against);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 2, 0]);
+            expect(await voting.seeVoteCaster(1, voters[0].address)).to.equal(voters[1].address);
+            expect(await voting.seeVoteCaster(1, voters[1].address)).to.equal(ethers.constants.AddressZero);
+
+            // Changed vote of the delegate is changed for delegators too, delegated votes queue the proposal
+            await expect(voting.connect(voters[1]).voteForProposal(1, Vote.For))
+            .to.emit(voting, "ProposalQueued");
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([2, 0, 0]);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.For);
+        });
+
+        it("Should give priority to own vote of delegator", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            // Delegator voted before the delegate
+            await voting.connect(voters[0]).voteForProposal(1, Vote.Abstain);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.Abstain);
+
+            // Delegator voted after the delegate
+            await voting.connect(voters[1]).voteForProposal(2, Vote.Against);
+            await voting.connect(voters[0]).voteForProposal(2, Vote.Abstain);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+            expect(await voting.seeVoteOf(2, voters[0].address)).to.equal(Vote.Abstain);
+            expect(await voting.seeVoteCaster(2, voters[0].address)).to.equal(ethers.constants.AddressZero);
+
+            // Withdrawal of own vote is own decision too
+            await voting.connect(voters[0]).revokeVote(2);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.Against);
+            expect(await voting.seeVoteOf(2, voters[0].address)).to.equal(Vote.None);
+            expect((await voting.seeVotes(2)).map(Number)).to.deep.equal([0, 1, 0]);
+        });
+
+        it("Should withdraw delegated votes together with vote of delegate", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[1]).revokeVote(1);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 0, 0]);
+            expect(await voting.seeVoteCaster(1, voters[0].address)).to.equal(ethers.constants.AddressZero);
+
+            // Delegator still follows the delegate
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Abstain);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.Abstain);
+        });
+
+        it("Should cast delegated votes of signed ballots", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await voting.voteBySigBatch([await signBallot(voting, voters[1], 1, Vote.For)]);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.For);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+        });
+
+        it("Should not pass delegated votes further by chains and cycles", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            // voters[0] -> voters[1] -> voters[2] -> voters[0]
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.connect(voters[1]).delegate(voters[2].address);
+            await voting.connect(voters[2]).delegate(voters[0].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Against);
+            expect(await voting.seeVoteOf(1, voters[1].address)).to.equal(Vote.Against);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.None);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 2, 0]);
+
+            // voters[0] casts vote of voters[2] who has voted him/herself
+            await voting.connect(voters[0]).voteForProposal(1, Vote.Abstain);
+            expect(await voting.seeVoteOf(1, voters[2].address)).to.equal(Vote.Against);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 2, 1]);
+        });
+
+        it("Should revoke delegation", async function() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            await expect(voting.connect(voters[0]).undelegate())
+            .to.be.revertedWith("Voting: You have not delegated your vote!");
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+
+            await expect(voting.connect(voters[0]).undelegate())
+            .to.emit(voting, "DelegateChanged").withArgs(voters[0].address, voters[1].address, ethers.constants.AddressZero);
+            expect(await voting.seeDelegate(voters[0].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeDelegators(voters[1].address)).to.deep.equal([]);
+
+            // Vote that was already cast is kept, next votes of the former delegate are not cast
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Abstain);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.Against);
+        });
+    });
+
     describe("Transaction making", function() {
         it("Should check whether there is enough votes or not", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
 
-            await expect(voting.makeTransaction())
+            await expect(voting.makeTransaction(1))
+            .to.be.revertedWith("Voting: Not enough votes for current proposal!");
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Abstain);
+
+            await expect(voting.makeTransaction(1))
             .to.be.revertedWith("Voting: Not enough votes for current proposal!");
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction())
+            await expect(voting.makeTransaction(1))
             .not.to.be.revertedWith("Voting: Not enough votes for current proposal!");
         });
 
         it("Should check that proposal maker is one of the voters", async function() {
             const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
 
-            await voting.createProposal(voting.address, "", [], 0);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.connect(nonVoters[0]).makeTransaction())
+            await expect(voting.connect(nonVoters[0]).makeTransaction(1))
             .to.be.revertedWith("Voting: You are not a voter!");
 
-            await expect(voting.connect(voters[1]).makeTransaction())
+            await expect(voting.connect(voters[1]).makeTransaction(1))
             .not.to.be.revertedWith("Voting: You are not a voter!");
         });
 
@@ -254,14 +875,16 @@ describe("Voting for transaction", function() {
                 voters[1].address, 
                 "", 
                 [], 
-                ethers.utils.parseEther("1")
+                ethers.utils.parseEther("1"), 
+                "", 
+                ethers.constants.HashZero
             );
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction()).to.changeEtherBalances(
+            await expect(voting.makeTransaction(1)).to.changeEtherBalances(
                 [voting, voters[1]],
                 [
                     ethers.BigNumber.from("-1000000000000000000"), 
@@ -277,13 +900,13 @@ describe("Voting for transaction", function() {
             const testContr = await testContrFactory.deploy();
             await testContr.deployed();
 
-            await voting.createProposal(testContr.address, "changeTo24()", [], 0);
+            await voting.createProposal(testContr.address, "changeTo24()", [], 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
+            await voting.makeTransaction(1);
 
             expect(await testContr.x()).to.equal(24);
         });
@@ -304,14 +927,16 @@ describe("Voting for transaction", function() {
                 testContr.address, 
                 "changeToWhatYouWant(uint256)", 
                 data, 
-                0
+                0, 
+                "", 
+                ethers.constants.HashZero
             );
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
+            await voting.makeTransaction(1);
 
             expect(await testContr.x()).to.equal(newX);
 
@@ -324,14 +949,16 @@ describe("Voting for transaction", function() {
                 testContr.address, 
                 "changeToWhatYouWantWithArray(uint256[])",
                 data, 
-                0
+                0, 
+                "", 
+                ethers.constants.HashZero
             );
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(2, Vote.For);
             }
 
-            await voting.makeTransaction();
+            await voting.makeTransaction(2);
 
             expect(await testContr.x()).to.equal(newX[1]);
         });
@@ -339,30 +966,31 @@ describe("Voting for transaction", function() {
         it("Should emit `TransactionMade` event", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
-            await voting.createProposal(voters[1].address, "", [], 0);
+            await voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction()).to.emit(voting, "TransactionMade");
+            await expect(voting.makeTransaction(1)).to.emit(voting, "TransactionMade");
         });
 
-        it("Should set right tx properties in `TransactionMade` event", async function() {
+        it("Should set right tx properties in `TransactionMade` and `CallMade` events", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
             // 1
 
             await voting.replenishFunds({ value: 1000 });
-            let tx = await voting.createProposal(voters[1].address, "", [], 1000);
+            let tx = await voting.createProposal(voters[1].address, "", [], 1000, "", ethers.constants.HashZero);
             let block = await ethers.provider.getBlock(tx.blockNumber);
             
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction()).to.emit(voting, "TransactionMade")
-            .withArgs(true, [], voters[1].address, "", [], 1000, block.timestamp);
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "TransactionMade").withArgs(1, true, block.timestamp)
+            .and.to.emit(voting, "CallMade").withArgs(1, 0, true, [], voters[1].address, "", [], 1000);
 
             // 2
 
@@ -370,31 +998,32 @@ describe("Voting for transaction", function() {
             const testContr = await testContrFactory.deploy();
             await testContr.deployed();
 
-            tx = await voting.createProposal(testContr.address, "wrongFunctionName()", [], 57);
+            tx = await voting.createProposal(testContr.address, "wrongFunctionName()", [], 57, "", ethers.constants.HashZero);
             block = await ethers.provider.getBlock(tx.blockNumber);
             
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(2, Vote.For);
             }
 
-            await expect(voting.makeTransaction()).to.emit(voting, "TransactionMade")
-            .withArgs(false, [], testContr.address, "wrongFunctionName()", [], 57, block.timestamp);
+            await expect(voting.makeTransaction(2))
+            .to.emit(voting, "TransactionMade").withArgs(2, false, block.timestamp)
+            .and.to.emit(voting, "CallMade").withArgs(2, 0, false, [], testContr.address, "wrongFunctionName()", [], 57);
         });
 
         it("Should not allow to make the same tx twice", async function() {
             const { voting, voters } = await loadFixture(deployUsualVoting);
 
             await voting.replenishFunds({ value: 5000 });
-            await voting.createProposal(voters[1].address, "", [], 1000);
+            await voting.createProposal(voters[1].address, "", [], 1000, "", ethers.constants.HashZero);
             
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction())
+            await expect(voting.makeTransaction(1))
             .to.changeEtherBalance(voters[1], 1000);
 
-            await expect(voting.makeTransaction())
+            await expect(voting.makeTransaction(1))
             .to.be.revertedWith("Voting: It is too late!");
         });
 
@@ -406,29 +1035,1204 @@ describe("Voting for transaction", function() {
             await testContr.deployed();
 
             await voting.replenishFunds({ value: 10000 });
-            await voting.createProposal(testContr.address, "reentrancy()", [], 1000);
+            await voting.createProposal(
+                testContr.address, 
+                "reentrancy(uint256)", 
+                ethers.utils.defaultAbiCoder.encode(["uint256"], [1]), 
+                1000, 
+                "", 
+                ethers.constants.HashZero
+            );
             
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction())
+            await expect(voting.makeTransaction(1))
             .to.changeEtherBalances([voting, testContr], [-1000, 1000]);
         });
     });
 
-    describe("Receiving Ether", function() {
-        it("Should receive it", async function() {
-            const { voting, nonVoters } = await loadFixture(deployUsualVoting);
+    describe("Execution delay and cancellation", function() {
+        async function deployVotingWithDelay() {
+            const [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+            const timeForVoting_ = 60 * 60 * 24;
+            const executionDelay_ = 60 * 60;
+            const gracePeriod_ = 60 * 60 * 2;
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(
+                votingModule.address,
+                [acc1.address, acc2.address, acc3.address], 
+                timeForVoting_, 
+                majority, 
+                noQuorum, 
+                executionDelay_, 
+                gracePeriod_,
+                []
+            );
+            await voting.deployed();
 
-            await expect(voting.replenishFunds({ value: 324 }))
-            .to.changeEtherBalance(voting, 324);
+            const voters = [acc1, acc2, acc3];
+            const nonVoters = [acc4];
 
-            await expect(voting.connect(nonVoters[0]).replenishFunds({ value: 500 }))
-            .to.changeEtherBalance(voting, 500);
-        });
+            return { voting, voters, nonVoters, timeForVoting_, executionDelay_, gracePeriod_ };
+        }
 
-        it("Should revert if no Ether was sent", async function() {
+        async function increaseTime(seconds) {
+            await ethers.provider.send("evm_increaseTime", [seconds]);
+            await ethers.provider.send("evm_mine");
+        }
+
+        it("Should set the right execution delay and grace period", async function() {
+            const { voting, executionDelay_, gracePeriod_ } = await loadFixture(deployVotingWithDelay);
+
+            expect(await voting.seeExecutionDelay()).to.equal(executionDelay_);
+            expect(await voting.seeGracePeriod()).to.equal(gracePeriod_);
+        });
+
+        it("Should revert if grace period is zero", async function() {
+            const { voters } = await loadFixture(deployVotingWithDelay);
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            await expect(votingFactory.deploy(votingModule.address, [voters[0].address], 100, majority, noQuorum, 0, 0, []))
+            .to.be.revertedWith("Voting: Wrong grace period!");
+        });
+
+        it("Should queue proposal as soon as it got enough votes", async function() {
+            const { voting, voters, executionDelay_ } = await loadFixture(deployVotingWithDelay);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Active);
+            expect(await voting.seeExecutionTime(1)).to.equal(0);
+
+            const tx = await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            const block = await ethers.provider.getBlock(tx.blockNumber);
+
+            await expect(tx)
+            .to.emit(voting, "ProposalQueued").withArgs(1, block.timestamp + executionDelay_);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+            expect(await voting.seeExecutionTime(1)).to.equal(block.timestamp + executionDelay_);
+        });
+
+        it("Should keep proposal queued if votes are changed after queueing", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithDelay);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[0]).revokeVote(1);
+
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 1, 0]);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+        });
+
+        it("Should make transaction only after execution delay", async function() {
+            const { voting, voters, executionDelay_ } = await loadFixture(deployVotingWithDelay);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await expect(voting.makeTransaction(1))
+            .to.be.revertedWith("Voting: It is too early!");
+
+            await increaseTime(executionDelay_);
+
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "TransactionMade");
+        });
+
+        it("Should not make transaction after grace period", async function() {
+            const { voting, voters, executionDelay_, gracePeriod_ } = await loadFixture(deployVotingWithDelay);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await increaseTime(executionDelay_ + gracePeriod_);
+
+            await expect(voting.makeTransaction(1))
+            .to.be.revertedWith("Voting: It is too late!");
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Expired);
+        });
+
+        it("Should mark expired proposals", async function() {
+            const { voting, voters, timeForVoting_, executionDelay_, gracePeriod_ } = await loadFixture(deployVotingWithDelay);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(2, Vote.For);
+            }
+
+            await expect(voting.expireProposal(1))
+            .to.be.revertedWith("Voting: Proposal cannot be expired!");
+
+            // Queued proposal expires after grace period
+            await increaseTime(executionDelay_ + gracePeriod_);
+
+            await expect(voting.expireProposal(2))
+            .to.emit(voting, "ProposalExpired").withArgs(2);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Expired);
+
+            await expect(voting.expireProposal(2))
+            .to.be.revertedWith("Voting: Proposal cannot be expired!");
+
+            // Active proposal expires after time for voting
+            await increaseTime(timeForVoting_);
+
+            await expect(voting.expireProposal(1))
+            .to.emit(voting, "ProposalExpired").withArgs(1);
+        });
+
+        it("Should allow proposer to cancel his/her proposal", async function() {
+            const { voting, voters, executionDelay_ } = await loadFixture(deployVotingWithDelay);
+
+            await voting.connect(voters[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await voting.seeProposer(1)).to.equal(voters[1].address);
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await expect(voting.connect(voters[0]).cancelProposal(1))
+            .to.be.revertedWith("Voting: You cannot cancel this proposal!");
+
+            await expect(voting.connect(voters[1]).cancelProposal(1))
+            .to.emit(voting, "ProposalCancelled").withArgs(1, voters[1].address);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Cancelled);
+
+            await increaseTime(executionDelay_);
+
+            await expect(voting.makeTransaction(1))
+            .to.be.revertedWith("Voting: It is too late!");
+            await expect(voting.connect(voters[1]).cancelProposal(1))
+            .to.be.revertedWith("Voting: It is too late!");
+        });
+
+        it("Should allow to cancel queued proposal by another voting", async function() {
+            const { voting, voters, executionDelay_ } = await loadFixture(deployVotingWithDelay);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            const data = ethers.utils.defaultAbiCoder.encode(["uint256"], [1]);
+            await voting.createProposal(voting.address, "cancelProposal(uint256)", data, 0, "", ethers.constants.HashZero);
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(2, Vote.For);
+            }
+
+            await increaseTime(executionDelay_);
+
+            await expect(voting.makeTransaction(2))
+            .to.emit(voting, "ProposalCancelled").withArgs(1, voting.address);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Cancelled);
+        });
+    });
+
+    describe("Failure policy", function() {
+        async function deployVotingAndTest() {
+            const { voting, voters, nonVoters, timeForVoting_ } = await loadFixture(deployUsualVoting);
+
+            const testContrFactory = await ethers.getContractFactory("Test");
+            const testContr = await testContrFactory.deploy();
+            await testContr.deployed();
+
+            return { voting, voters, nonVoters, timeForVoting_, testContr };
+        }
+
+        async function acceptProposal(voting, voters, proposalId) {
+            for (let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+        }
+
+        it("Should let only the proposer set failure policy before voting", async function() {
+            const { voting, voters } = await deployVotingAndTest();
+
+            await voting.connect(voters[1]).createProposal(voters[2].address, "", [], 0, "", ethers.constants.HashZero);
+            expect((await voting.seeFailurePolicy(1)).policy).to.equal(FailurePolicy.Final);
+
+            await expect(voting.setFailurePolicy(1, FailurePolicy.Retryable))
+            .to.be.revertedWith("Voting: You are not the proposer!");
+            await expect(voting.connect(voters[1]).setFailurePolicy(1, FailurePolicy.Retryable))
+            .to.emit(voting, "FailurePolicySet").withArgs(1, FailurePolicy.Retryable);
+            expect((await voting.seeProposal(1)).failurePolicy).to.equal(FailurePolicy.Retryable);
+
+            // Voters must see the policy they approve
+            await voting.voteForProposal(1, Vote.Against);
+            await voting.revokeVote(1);
+            await expect(voting.connect(voters[1]).setFailurePolicy(1, FailurePolicy.Strict))
+            .to.be.revertedWith("Voting: Voting has already started!");
+            await expect(voting.setFailurePolicy(2, FailurePolicy.Strict))
+            .to.be.revertedWith("Voting: There is no such proposal!");
+        });
+
+        it("Should keep retryable proposal executable after failed call", async function() {
+            const { voting, voters } = await deployVotingAndTest();
+
+            // There is no ether to send yet
+            await voting.createProposal(voters[2].address, "", [], 100, "", ethers.constants.HashZero);
+            await voting.setFailurePolicy(1, FailurePolicy.Retryable);
+            await acceptProposal(voting, voters, 1);
+
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "ExecutionAttemptFailed").withArgs(1, 1);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+            let proposal = await voting.seeProposal(1);
+            expect(proposal.success).to.equal(false);
+            expect(proposal.attempts).to.equal(1);
+            expect(proposal.results).to.have.lengthOf(1);
+
+            await voting.replenishFunds({ value: 100 });
+            await expect(voting.makeTransaction(1))
+            .to.changeEtherBalances([voting, voters[2]], [-100, 100]);
+
+            proposal = await voting.seeProposal(1);
+            expect(proposal.status).to.equal(ProposalStatus.Executed);
+            expect(proposal.success).to.equal(true);
+            expect(proposal.attempts).to.equal(2);
+            expect(proposal.results).to.deep.equal(["0x"]);
+            await expect(voting.makeTransaction(1)).to.be.revertedWith("Voting: It is too late!");
+        });
+
+        it("Should not retry failed proposal after its grace period", async function() {
+            const { voting, voters, testContr, timeForVoting_ } = await deployVotingAndTest();
+
+            await voting.createProposal(testContr.address, "revertWithReason()", [], 0, "", ethers.constants.HashZero);
+            await voting.setFailurePolicy(1, FailurePolicy.Retryable);
+            await acceptProposal(voting, voters, 1);
+
+            await voting.makeTransaction(1);
+            await voting.makeTransaction(1);
+            expect((await voting.seeFailurePolicy(1)).attempts).to.equal(2);
+
+            // Grace period is equal to time for voting
+            await ethers.provider.send("evm_increaseTime", [timeForVoting_]);
+            await ethers.provider.send("evm_mine");
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Expired);
+            await expect(voting.makeTransaction(1)).to.be.revertedWith("Voting: It is too late!");
+        });
+
+        it("Should revert the whole transaction of strict proposal with reason of the failed call", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.createBatchProposal([
+                [testContr.address, "changeTo24()", "0x", 0],
+                [testContr.address, "revertWithReason()", "0x", 0]
+            ], "", ethers.constants.HashZero);
+            await voting.setFailurePolicy(1, FailurePolicy.Strict);
+            await acceptProposal(voting, voters, 1);
+
+            await expect(voting.makeTransaction(1)).to.be.revertedWith("Test: Reverted!");
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+            expect((await voting.seeFailurePolicy(1)).attempts).to.equal(0);
+            expect(await testContr.x()).to.equal(5);
+        });
+
+        it("Should not record a call that ran out of gas because of gas limit of the transaction", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.createProposal(
+                testContr.address, "increaseManyTimes(uint256)", ethers.utils.defaultAbiCoder.encode(["uint256"], [2000]), 0, "", ethers.constants.HashZero
+            );
+            await acceptProposal(voting, voters, 1);
+
+            await expect(voting.makeTransaction(1, { gasLimit: 300000 }))
+            .to.be.revertedWith("Voting: Not enough gas to make transaction!");
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+            expect((await voting.seeProposal(1)).results).to.deep.equal([]);
+
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "TransactionMade").withArgs(1, true, anyValue);
+            expect(await testContr.x()).to.equal(2005);
+        });
+
+        it("Should not allow to do reentrancy into retryable proposal", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.replenishFunds({ value: 10000 });
+            await voting.createProposal(
+                testContr.address,
+                "reentrancy(uint256)",
+                ethers.utils.defaultAbiCoder.encode(["uint256"], [1]),
+                1000,
+                "",
+                ethers.constants.HashZero
+            );
+            await voting.setFailurePolicy(1, FailurePolicy.Retryable);
+            await acceptProposal(voting, voters, 1);
+
+            await expect(voting.makeTransaction(1))
+            .to.changeEtherBalances([voting, testContr], [-1000, 1000]);
+            // Reentrant call returned false, not the encoded `true`
+            expect((await voting.seeProposal(1)).results).to.deep.equal([ethers.utils.defaultAbiCoder.encode(["bool"], [false])]);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Executed);
+        });
+    });
+
+    describe("Guardians", function() {
+        async function deployVotingWithGuardians() {
+            const [acc1, acc2, acc3, acc4, acc5] = await ethers.getSigners();
+
+            const timeForVoting_ = 60 * 60 * 24;
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(
+                votingModule.address,
+                [acc1.address, acc2.address, acc3.address], 
+                timeForVoting_, 
+                majority, 
+                noQuorum, 
+                0, 
+                timeForVoting_,
+                [acc4.address, acc5.address, acc4.address]
+            );
+            await voting.deployed();
+
+            const voters = [acc1, acc2, acc3];
+            const guardians = [acc4, acc5];
+
+            return { voting, voters, guardians };
+        }
+
+        async function passProposal(voting, voters, proposalId) {
+            for (let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+        }
+
+        it("Should set guardians without repeats", async function() {
+            const { voting, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            expect(await voting.seeGuardians()).to.deep.equal(guardians.map(g => g.address));
+            expect(await voting.isPaused()).to.equal(false);
+        });
+
+        it("Should allow guardian to veto active and queued proposals", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await passProposal(voting, voters, 2);
+
+            await expect(voting.connect(guardians[0]).vetoProposal(1))
+            .to.emit(voting, "ProposalVetoed").withArgs(1, guardians[0].address);
+            await voting.connect(guardians[1]).vetoProposal(2);
+
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Vetoed);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Vetoed);
+            await expect(voting.voteForProposal(1, Vote.For)).to.be.revertedWith("Voting: It is too late!");
+            await expect(voting.makeTransaction(2)).to.be.revertedWith("Voting: It is too late!");
+            await expect(voting.connect(guardians[0]).vetoProposal(2)).to.be.revertedWith("Voting: It is too late!");
+        });
+
+        it("Should not allow others to veto and pause", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.connect(voters[0]).vetoProposal(1)).to.be.revertedWith("Voting: You are not a guardian!");
+            await expect(voting.connect(voters[0]).pause()).to.be.revertedWith("Voting: You are not a guardian!");
+            await expect(voting.connect(voters[0]).unpause()).to.be.revertedWith("Voting: You are not a guardian!");
+        });
+
+        it("Should pause making and execution of proposals", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+            await expect(voting.connect(guardians[0]).pause())
+            .to.emit(voting, "Paused").withArgs(guardians[0].address);
+            expect(await voting.isPaused()).to.equal(true);
+            await expect(voting.connect(guardians[1]).pause()).to.be.revertedWith("Voting: Voting is already paused!");
+
+            await expect(voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero)).to.be.revertedWith("Voting: Voting is paused!");
+            await expect(voting.createRawProposal(voters[1].address, "0x12345678", 0, "", ethers.constants.HashZero)).to.be.revertedWith("Voting: Voting is paused!");
+            await expect(voting.createBatchProposal([
+                [voting.address, "", "0x", 0], 
+                [voters[1].address, "", "0x", 0]
+            ], "", ethers.constants.HashZero)).to.be.revertedWith("Voting: Voting is paused!");
+
+            // Voting itself continues
+            await passProposal(voting, voters, 1);
+            await expect(voting.makeTransaction(1)).to.be.revertedWith("Voting: Voting is paused!");
+
+            await expect(voting.connect(guardians[1]).unpause())
+            .to.emit(voting, "Unpaused").withArgs(guardians[1].address);
+            await expect(voting.connect(guardians[1]).unpause()).to.be.revertedWith("Voting: Voting is not paused!");
+            await expect(voting.makeTransaction(1)).to.emit(voting, "TransactionMade").withArgs(1, true, anyValue);
+        });
+
+        it("Should allow proposals that only cancel proposals during pause", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(guardians[0]).pause();
+
+            const data = ethers.utils.defaultAbiCoder.encode(["uint256"], [1]);
+            await voting.createProposal(voting.address, "cancelProposal(uint256)", data, 0, "", ethers.constants.HashZero);
+            await passProposal(voting, voters, 2);
+            await voting.makeTransaction(2);
+
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Cancelled);
+        });
+
+        it("Should revoke guardians by voting and unpause when there are no guardians", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.connect(guardians[0]).pause();
+            await voting.createBatchProposal([
+                [voting.address, "revokeGuardian(address)", ethers.utils.defaultAbiCoder.encode(["address"], [guardians[0].address]), 0],
+                [voting.address, "revokeGuardian(address)", ethers.utils.defaultAbiCoder.encode(["address"], [guardians[1].address]), 0]
+            ], "", ethers.constants.HashZero);
+            await expect(voting.connect(guardians[0]).vetoProposal(1))
+            .to.be.revertedWith("Voting: Guardian cannot veto own revocation!");
+            await passProposal(voting, voters, 1);
+
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "GuardianRevoked").withArgs(guardians[0].address)
+            .and.to.emit(voting, "GuardianRevoked").withArgs(guardians[1].address)
+            .and.to.emit(voting, "Unpaused").withArgs(guardians[1].address);
+
+            expect(await voting.seeGuardians()).to.deep.equal([]);
+            expect(await voting.isPaused()).to.equal(false);
+            await expect(voting.connect(guardians[0]).pause()).to.be.revertedWith("Voting: You are not a guardian!");
+        });
+
+        it("Should not allow other changes of the voting itself during pause", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createProposal(voting.address, "setPolicyListMode(uint8)", ethers.utils.defaultAbiCoder.encode(["uint8"], [1]), 0, "", ethers.constants.HashZero);
+            await passProposal(voting, voters, 1);
+            await voting.connect(guardians[0]).pause();
+
+            await expect(voting.createProposal(voting.address, "addVoters(address[])", ethers.utils.defaultAbiCoder.encode(["address[]"], [[guardians[0].address]]), 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: Voting is paused!");
+            await expect(voting.createBatchProposal([
+                [voting.address, "revokeGuardian(address)", ethers.utils.defaultAbiCoder.encode(["address"], [guardians[0].address]), 0],
+                [voting.address, "setPolicyListMode(uint8)", ethers.utils.defaultAbiCoder.encode(["uint8"], [1]), 0]
+            ], "", ethers.constants.HashZero)).to.be.revertedWith("Voting: Voting is paused!");
+            await expect(voting.makeTransaction(1)).to.be.revertedWith("Voting: Voting is paused!");
+        });
+
+        it("Should allow other guardians to veto revocation of a guardian", async function() {
+            const { voting, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createProposal(voting.address, "revokeGuardian(address)", ethers.utils.defaultAbiCoder.encode(["address"], [guardians[0].address]), 0, "", ethers.constants.HashZero);
+            await voting.createRawProposal(voting.address, voting.interface.encodeFunctionData("revokeGuardian", [guardians[1].address]), 0, "", ethers.constants.HashZero);
+
+            await expect(voting.connect(guardians[0]).vetoProposal(1))
+            .to.be.revertedWith("Voting: Guardian cannot veto own revocation!");
+            await expect(voting.connect(guardians[1]).vetoProposal(2))
+            .to.be.revertedWith("Voting: Guardian cannot veto own revocation!");
+
+            await expect(voting.connect(guardians[1]).vetoProposal(1))
+            .to.emit(voting, "ProposalVetoed").withArgs(1, guardians[1].address);
+            await expect(voting.connect(guardians[0]).vetoProposal(2))
+            .to.emit(voting, "ProposalVetoed").withArgs(2, guardians[0].address);
+        });
+
+        it("Should allow to veto revocation mixed with other calls", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await voting.createBatchProposal([
+                [voting.address, "revokeGuardian(address)", ethers.utils.defaultAbiCoder.encode(["address"], [guardians[0].address]), 0],
+                [voters[1].address, "", "0x", 0]
+            ], "", ethers.constants.HashZero);
+
+            await voting.connect(guardians[0]).vetoProposal(1);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Vetoed);
+        });
+
+        it("Should not revoke guardian directly or twice", async function() {
+            const { voting, voters, guardians } = await loadFixture(deployVotingWithGuardians);
+
+            await expect(voting.revokeGuardian(guardians[0].address))
+            .to.be.revertedWith("Voting: You should use voting to do this!");
+
+            await voting.createProposal(
+                voting.address, "revokeGuardian(address)", ethers.utils.defaultAbiCoder.encode(["address"], [voters[0].address]), 0, "", ethers.constants.HashZero
+            );
+            await passProposal(voting, voters, 1);
+            await expect(voting.makeTransaction(1)).to.emit(voting, "TransactionMade").withArgs(1, false, anyValue);
+            expect((await voting.seeProposal(1)).results[0]).to.equal(ethers.utils.hexConcat([
+                ethers.utils.id("Error(string)").slice(0, 10),
+                ethers.utils.defaultAbiCoder.encode(["string"], ["Voting: There is no such guardian!"])
+            ]));
+        });
+    });
+
+    describe("Signatures of the voting (ERC-1271)", function() {
+        const MAGIC_VALUE = "0x1626ba7e";
+        const INVALID = "0xffffffff";
+        const message = "Sign in to example.com";
+
+        async function deployVotingWithGuardian() {
+            const [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+            const timeForVoting_ = 60 * 60 * 24;
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(
+                votingModule.address, [acc1.address, acc2.address, acc3.address], timeForVoting_, majority, noQuorum, 0, timeForVoting_, [acc4.address]
+            );
+            await voting.deployed();
+
+            return { voting, voters: [acc1, acc2, acc3], guardian: acc4 };
+        }
+
+        async function approveByVoting(voting, voters, functionSignature, types, args) {
+            await voting.createProposal(
+                voting.address, functionSignature, ethers.utils.defaultAbiCoder.encode(types, args), 0, "", ethers.constants.HashZero
+            );
+            const proposalId = await voting.seeProposalsAmount();
+            await voting.connect(voters[0]).voteForProposal(proposalId, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(proposalId, Vote.For);
+            return voting.makeTransaction(proposalId);
+        }
+
+        it("Should accept message hash approved by voting", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithGuardian);
+            const hash = ethers.utils.hashMessage(message);
+
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(INVALID);
+            await expect(approveByVoting(voting, voters, "approveHash(bytes32,uint256)", ["bytes32", "uint256"], [hash, 0]))
+            .to.emit(voting, "HashApproved").withArgs(hash, 0);
+
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(MAGIC_VALUE);
+            // The signature itself is not checked
+            expect(await voting.isValidSignature(hash, "0x1234")).to.equal(MAGIC_VALUE);
+            expect(await voting.isValidSignature(ethers.utils.hashMessage("Other message"), "0x")).to.equal(INVALID);
+            expect(await voting.seeHashApproval(hash)).to.deep.equal([true, ethers.constants.Zero]);
+        });
+
+        it("Should not accept message hash after expiry", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithGuardian);
+            const hash = ethers.utils.hashMessage(message);
+
+            const expiry = (await ethers.provider.getBlock("latest")).timestamp + 60 * 60 * 24 * 7;
+            await expect(approveByVoting(voting, voters, "approveHash(bytes32,uint256)", ["bytes32", "uint256"], [hash, expiry]))
+            .to.emit(voting, "HashApproved").withArgs(hash, expiry);
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(MAGIC_VALUE);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [expiry + 1]);
+            await ethers.provider.send("evm_mine");
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(INVALID);
+            expect(await voting.seeHashApproval(hash)).to.deep.equal([false, ethers.BigNumber.from(expiry)]);
+        });
+
+        it("Should not approve hash with past expiry", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithGuardian);
+            const hash = ethers.utils.hashMessage(message);
+
+            await expect(approveByVoting(voting, voters, "approveHash(bytes32,uint256)", ["bytes32", "uint256"], [hash, 1]))
+            .to.emit(voting, "TransactionMade").withArgs(1, false, anyValue);
+            expect((await voting.seeProposal(1)).results[0]).to.equal(ethers.utils.hexConcat([
+                ethers.utils.id("Error(string)").slice(0, 10),
+                ethers.utils.defaultAbiCoder.encode(["string"], ["Voting: Wrong expiry time!"])
+            ]));
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(INVALID);
+        });
+
+        it("Should revoke approval by a later voting", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithGuardian);
+            const hash = ethers.utils.hashMessage(message);
+
+            await approveByVoting(voting, voters, "approveHash(bytes32,uint256)", ["bytes32", "uint256"], [hash, 0]);
+            await expect(approveByVoting(voting, voters, "revokeHash(bytes32)", ["bytes32"], [hash]))
+            .to.emit(voting, "HashRevoked").withArgs(hash);
+
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(INVALID);
+            expect(await voting.seeHashApproval(hash)).to.deep.equal([false, ethers.constants.Zero]);
+
+            await expect(approveByVoting(voting, voters, "revokeHash(bytes32)", ["bytes32"], [hash]))
+            .to.emit(voting, "TransactionMade").withArgs(3, false, anyValue);
+        });
+
+        it("Should not accept any hash while voting is paused", async function() {
+            const { voting, voters, guardian } = await loadFixture(deployVotingWithGuardian);
+            const hash = ethers.utils.hashMessage(message);
+
+            await approveByVoting(voting, voters, "approveHash(bytes32,uint256)", ["bytes32", "uint256"], [hash, 0]);
+            await voting.connect(guardian).pause();
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(INVALID);
+            expect((await voting.seeHashApproval(hash)).valid).to.equal(false);
+
+            await voting.connect(guardian).unpause();
+            expect(await voting.isValidSignature(hash, "0x")).to.equal(MAGIC_VALUE);
+        });
+
+        it("Should not approve or revoke hash directly", async function() {
+            const { voting } = await loadFixture(deployVotingWithGuardian);
+            const hash = ethers.utils.hashMessage(message);
+
+            await expect(voting.approveHash(hash, 0)).to.be.revertedWith("Voting: You should use voting to do this!");
+            await expect(voting.revokeHash(hash)).to.be.revertedWith("Voting: You should use voting to do this!");
+        });
+    });
+
+    describe("Policies", function() {
+        const PolicyMode = { None: 0, Allowed: 1, Denied: 2 };
+        const PolicyListMode = { DenyList: 0, AllowList: 1 };
+        const unanimity = { thresholdType: ThresholdType.Percentage, value: 10000 };
+        const usualRules = { thresholdType: ThresholdType.Percentage, value: 0 };
+
+        async function deployVotingAndTest() {
+            const { voting, voters, nonVoters, timeForVoting_ } = await loadFixture(deployUsualVoting);
+
+            const testContrFactory = await ethers.getContractFactory("Test");
+            const testContr = await testContrFactory.deploy();
+            await testContr.deployed();
+
+            const selector = testContr.interface.getSighash("changeTo24");
+            return { voting, voters, nonVoters, timeForVoting_, testContr, selector };
+        }
+
+        async function callByVoting(voting, voters, functionName, args) {
+            await voting.createRawProposal(voting.address, voting.interface.encodeFunctionData(functionName, args), 0, "", ethers.constants.HashZero);
+            const proposalId = await voting.seeProposalsAmount();
+            for (let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+            return voting.makeTransaction(proposalId);
+        }
+
+        it("Should vote proposals by rules of the policy of their call", async function() {
+            const { voting, voters, timeForVoting_, testContr, selector } = await deployVotingAndTest();
+            const policy = { mode: PolicyMode.Allowed, approvalThreshold: unanimity, timeForVoting: timeForVoting_ * 2, maxValue: 0 };
+
+            await expect(callByVoting(voting, voters.slice(0, 2), "setPolicy", [testContr.address, selector, policy]))
+            .to.emit(voting, "PolicySet").withArgs(testContr.address, selector, anyValue);
+            expect(await voting.seePolicy(testContr.address, selector)).to.deep.equal([
+                PolicyMode.Allowed, [ThresholdType.Percentage, ethers.BigNumber.from(10000)], 
+                ethers.BigNumber.from(timeForVoting_ * 2), ethers.constants.Zero
+            ]);
+            expect(await voting.seePolicies()).to.deep.equal([[[testContr.address, selector]], PolicyListMode.DenyList]);
+
+            await voting.createProposal(testContr.address, "changeTo24()", [], 0, "", ethers.constants.HashZero);
+            const applied = await voting.seeAppliedPolicy(2);
+            expect(applied.applied).to.equal(true);
+            expect(applied.key).to.deep.equal([testContr.address, selector]);
+            expect(applied.threshold.value).to.equal(10000);
+            expect(applied.time).to.equal(timeForVoting_ * 2);
+
+            await voting.connect(voters[0]).voteForProposal(2, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Active);
+
+            // Voting lasts longer than usual
+            await ethers.provider.send("evm_increaseTime", [timeForVoting_ + 1]);
+            await voting.connect(voters[2]).voteForProposal(2, Vote.For);
+            await expect(voting.makeTransaction(2))
+            .to.emit(voting, "PolicyApplied").withArgs(2, testContr.address, selector)
+            .and.to.emit(voting, "TransactionMade").withArgs(2, true, anyValue);
+            expect(await testContr.x()).to.equal(24);
+        });
+
+        it("Should not report policy for proposals voted by usual rules", async function() {
+            const { voting, voters, timeForVoting_, testContr } = await deployVotingAndTest();
+
+            await voting.createProposal(testContr.address, "changeTo24()", [], 0, "", ethers.constants.HashZero);
+            const applied = await voting.seeAppliedPolicy(1);
+            expect(applied.applied).to.equal(false);
+            expect(applied.threshold.value).to.equal(majority.value);
+            expect(applied.time).to.equal(timeForVoting_);
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            await expect(voting.makeTransaction(1)).to.not.emit(voting, "PolicyApplied");
+        });
+
+        it("Should deny calls by policy and limit their value", async function() {
+            const { voting, voters, testContr, selector } = await deployVotingAndTest();
+            const increaseSelector = testContr.interface.getSighash("increaseBy");
+
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, selector, { mode: PolicyMode.Denied, approvalThreshold: usualRules, timeForVoting: 0, maxValue: 0 }
+            ]);
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, increaseSelector, { mode: PolicyMode.Allowed, approvalThreshold: usualRules, timeForVoting: 0, maxValue: 100 }
+            ]);
+
+            await expect(voting.createProposal(testContr.address, "changeTo24()", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: Call is denied by policy!");
+            const data = ethers.utils.defaultAbiCoder.encode(["uint256"], [1]);
+            await expect(voting.createProposal(testContr.address, "increaseBy(uint256)", data, 101, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: Value is more than policy allows!");
+            // Other selectors of the same target are not affected
+            await voting.createProposal(testContr.address, "changeToWhatYouWant(uint256)", data, 101, "", ethers.constants.HashZero);
+
+            await voting.createProposal(testContr.address, "increaseBy(uint256)", data, 100, "", ethers.constants.HashZero);
+            expect((await voting.seeAppliedPolicy(4)).applied).to.equal(true);
+            // Zero rules of the policy mean usual ones
+            expect((await voting.seeAppliedPolicy(4)).threshold.value).to.equal(majority.value);
+        });
+
+        it("Should not allow calls without policy in allow-list mode", async function() {
+            const { voting, voters, testContr, selector } = await deployVotingAndTest();
+
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, selector, { mode: PolicyMode.Allowed, approvalThreshold: usualRules, timeForVoting: 0, maxValue: 0 }
+            ]);
+            await expect(callByVoting(voting, voters.slice(0, 2), "setPolicyListMode", [PolicyListMode.AllowList]))
+            .to.emit(voting, "PolicyListModeSet").withArgs(PolicyListMode.AllowList);
+
+            await expect(voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: Call is not allowed by policies!");
+            await expect(voting.createBatchProposal([
+                [testContr.address, "changeTo24()", "0x", 0], [voters[1].address, "", "0x", 0]
+            ], "", ethers.constants.HashZero)).to.be.revertedWith("Voting: Call is not allowed by policies!");
+            await voting.createProposal(testContr.address, "changeTo24()", [], 0, "", ethers.constants.HashZero);
+
+            // The table itself can always be changed
+            await callByVoting(voting, voters.slice(0, 2), "setPolicyListMode", [PolicyListMode.DenyList]);
+            await voting.createProposal(voters[1].address, "", [], 0, "", ethers.constants.HashZero);
+        });
+
+        it("Should vote changes of the table by its strictest rules", async function() {
+            const { voting, voters, timeForVoting_, testContr, selector } = await deployVotingAndTest();
+
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, selector, { mode: PolicyMode.Allowed, approvalThreshold: unanimity, timeForVoting: 60, maxValue: 0 }
+            ]);
+
+            const removal = voting.interface.encodeFunctionData("removePolicy", [testContr.address, selector]);
+            await voting.createRawProposal(voting.address, removal, 0, "", ethers.constants.HashZero);
+            const applied = await voting.seeAppliedPolicy(2);
+            expect(applied.applied).to.equal(true);
+            // There is no policy of the table itself
+            expect(applied.key).to.deep.equal([ethers.constants.AddressZero, "0x00000000"]);
+            expect(applied.threshold.value).to.equal(10000);
+            // Usual time for voting is longer than the one of the policy
+            expect(applied.time).to.equal(timeForVoting_);
+
+            await voting.connect(voters[0]).voteForProposal(2, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Active);
+            await voting.connect(voters[2]).voteForProposal(2, Vote.For);
+            await expect(voting.makeTransaction(2))
+            .to.emit(voting, "PolicyRemoved").withArgs(testContr.address, selector)
+            .and.to.emit(voting, "PolicyApplied").withArgs(2, ethers.constants.AddressZero, "0x00000000");
+            expect(await voting.seePolicies()).to.deep.equal([[], PolicyListMode.DenyList]);
+        });
+
+        it("Should vote batch proposal by rules of its strictest call", async function() {
+            const { voting, voters, testContr, selector } = await deployVotingAndTest();
+            const increaseSelector = testContr.interface.getSighash("increaseBy");
+            const twoVoters = { thresholdType: ThresholdType.Absolute, value: 2 };
+
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, increaseSelector, { mode: PolicyMode.Allowed, approvalThreshold: twoVoters, timeForVoting: 60, maxValue: 0 }
+            ]);
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, selector, { mode: PolicyMode.Allowed, approvalThreshold: unanimity, timeForVoting: 60, maxValue: 0 }
+            ]);
+
+            const data = ethers.utils.defaultAbiCoder.encode(["uint256"], [1]);
+            await voting.createBatchProposal([
+                [testContr.address, "increaseBy(uint256)", data, 0], 
+                [testContr.address, "changeTo24()", "0x", 0], 
+                [voters[1].address, "", "0x", 0]
+            ], "", ethers.constants.HashZero);
+            expect((await voting.seeAppliedPolicy(3)).key).to.deep.equal([testContr.address, selector]);
+        });
+
+        it("Should keep rules of made proposals after change of the policy", async function() {
+            const { voting, voters, testContr, selector } = await deployVotingAndTest();
+
+            await callByVoting(voting, voters.slice(0, 2), "setPolicy", [
+                testContr.address, selector, { mode: PolicyMode.Allowed, approvalThreshold: unanimity, timeForVoting: 0, maxValue: 0 }
+            ]);
+            await voting.createProposal(testContr.address, "changeTo24()", [], 0, "", ethers.constants.HashZero);
+            await callByVoting(voting, voters, "removePolicy", [testContr.address, selector]);
+
+            await voting.connect(voters[0]).voteForProposal(2, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Active);
+            expect((await voting.seeAppliedPolicy(2)).threshold.value).to.equal(10000);
+        });
+
+        it("Should not set wrong policies", async function() {
+            const { voting, voters, testContr, selector } = await deployVotingAndTest();
+            const fourVoters = { thresholdType: ThresholdType.Absolute, value: 4 };
+
+            for (let policy of [
+                { mode: PolicyMode.None, approvalThreshold: usualRules, timeForVoting: 0, maxValue: 0 },
+                { mode: PolicyMode.Allowed, approvalThreshold: fourVoters, timeForVoting: 0, maxValue: 0 }
+            ]) {
+                await expect(callByVoting(voting, voters.slice(0, 2), "setPolicy", [testContr.address, selector, policy]))
+                .to.emit(voting, "TransactionMade").withArgs(anyValue, false, anyValue);
+            }
+            // Zero key marks the strictest rules of the table
+            const policy = { mode: PolicyMode.Denied, approvalThreshold: usualRules, timeForVoting: 0, maxValue: 0 };
+            await expect(callByVoting(voting, voters.slice(0, 2), "setPolicy", [ethers.constants.AddressZero, "0x00000000", policy]))
+            .to.emit(voting, "TransactionMade").withArgs(anyValue, false, anyValue);
+            await expect(callByVoting(voting, voters.slice(0, 2), "removePolicy", [testContr.address, selector]))
+            .to.emit(voting, "TransactionMade").withArgs(anyValue, false, anyValue);
+            expect(await voting.seePolicies()).to.deep.equal([[], PolicyListMode.DenyList]);
+        });
+
+        it("Should not change policies directly", async function() {
+            const { voting, testContr, selector } = await deployVotingAndTest();
+            const policy = { mode: PolicyMode.Denied, approvalThreshold: usualRules, timeForVoting: 0, maxValue: 0 };
+
+            await expect(voting.setPolicy(testContr.address, selector, policy))
+            .to.be.revertedWith("Voting: You should use voting to do this!");
+            await expect(voting.removePolicy(testContr.address, selector))
+            .to.be.revertedWith("Voting: You should use voting to do this!");
+            await expect(voting.setPolicyListMode(PolicyListMode.AllowList))
+            .to.be.revertedWith("Voting: You should use voting to do this!");
+        });
+    });
+
+    describe("Batch transaction making", function() {
+        async function deployVotingAndTest() {
+            const { voting, voters } = await loadFixture(deployUsualVoting);
+
+            const testContrFactory = await ethers.getContractFactory("Test");
+            const testContr = await testContrFactory.deploy();
+            await testContr.deployed();
+
+            return { voting, voters, testContr };
+        }
+
+        async function proposeAndAccept(voting, voters, calls) {
+            await voting.createBatchProposal(calls, "", ethers.constants.HashZero);
+            const proposalId = await voting.seeProposalsAmount();
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+            return proposalId;
+        }
+
+        it("Should make all calls in the right order", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.replenishFunds({ value: 1000 });
+            const proposalId = await proposeAndAccept(voting, voters, [
+                [testContr.address, "changeTo24()", "0x", 0],
+                [testContr.address, "increaseBy(uint256)", ethers.utils.defaultAbiCoder.encode(["uint256"], [6]), 0],
+                [voters[1].address, "", "0x", 1000]
+            ]);
+
+            await expect(voting.makeTransaction(proposalId))
+            .to.changeEtherBalances([voting, voters[1]], [-1000, 1000]);
+
+            expect(await testContr.x()).to.equal(30);
+        });
+
+        it("Should allow to filter calls by target", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await proposeAndAccept(voting, voters, [[testContr.address, "changeTo24()", "0x", 0]]);
+            await voting.makeTransaction(1);
+            await proposeAndAccept(voting, voters, [[voters[1].address, "", "0x", 0], [testContr.address, "x()", "0x", 0]]);
+            await voting.makeTransaction(2);
+
+            const events = await voting.queryFilter(voting.filters.CallMade(null, null, null, null, testContr.address));
+            expect(events.map(event => [event.args.proposalId.toNumber(), event.args.callIndex.toNumber()]))
+            .to.deep.equal([[1, 0], [2, 1]]);
+        });
+
+        it("Should emit `CallMade` event for every call", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            const data = ethers.utils.defaultAbiCoder.encode(["uint256"], [6]);
+            const proposalId = await proposeAndAccept(voting, voters, [
+                [testContr.address, "changeTo24()", "0x", 0],
+                [testContr.address, "increaseBy(uint256)", data, 0]
+            ]);
+
+            await expect(voting.makeTransaction(proposalId))
+            .to.emit(voting, "CallMade").withArgs(proposalId, 0, true, "0x", testContr.address, "changeTo24()", "0x", 0)
+            .and.to.emit(voting, "CallMade").withArgs(proposalId, 1, true, "0x", testContr.address, "increaseBy(uint256)", data, 0)
+            .and.to.emit(voting, "TransactionMade");
+        });
+
+        it("Should revert all calls if one of them fails", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.replenishFunds({ value: 1000 });
+            const proposalId = await proposeAndAccept(voting, voters, [
+                [testContr.address, "changeTo24()", "0x", 0],
+                [voters[1].address, "", "0x", 1000],
+                [testContr.address, "revertWithReason()", "0x", 0]
+            ]);
+
+            // Encoded `Error(string)` with reason of the failed call
+            const reason = ethers.utils.hexConcat([
+                ethers.utils.id("Error(string)").slice(0, 10),
+                ethers.utils.defaultAbiCoder.encode(["string"], ["Test: Reverted!"])
+            ]);
+
+            const tx = voting.makeTransaction(proposalId);
+            await expect(tx).to.changeEtherBalances([voting, voters[1]], [0, 0]);
+            await expect(tx)
+            .to.emit(voting, "CallMade").withArgs(proposalId, 2, false, reason, testContr.address, "revertWithReason()", "0x", 0)
+            .and.to.emit(voting, "TransactionMade").withArgs(proposalId, false, anyValue);
+
+            expect(await testContr.x()).to.equal(5);
+            expect(await voting.seeProposalStatus(proposalId)).to.equal(ProposalStatus.Executed);
+        });
+
+        it("Should not allow to make calls of proposals directly", async function() {
+            const { voting, voters } = await deployVotingAndTest();
+
+            await expect(voting.executeProposalCalls())
+            .to.be.revertedWith("Voting: You cannot call this directly!");
+
+            // Proposal that tries to make its own calls once more
+            await voting.replenishFunds({ value: 1000 });
+            const proposalId = await proposeAndAccept(voting, voters, [
+                [voters[1].address, "", "0x", 1000],
+                [voting.address, "executeProposalCalls()", "0x", 0]
+            ]);
+
+            await expect(voting.makeTransaction(proposalId))
+            .to.changeEtherBalance(voters[1], 0);
+        });
+    });
+
+    describe("Raw calldata and dynamic types", function() {
+        async function deployVotingAndTest() {
+            const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
+
+            const testContrFactory = await ethers.getContractFactory("Test");
+            const testContr = await testContrFactory.deploy();
+            await testContr.deployed();
+
+            return { voting, voters, nonVoters, testContr };
+        }
+
+        async function acceptAndMake(voting, voters, proposalId) {
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+            return voting.makeTransaction(proposalId);
+        }
+
+        it("Should make transaction with complete calldata", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            const callData = testContr.interface.encodeFunctionData("changeToWhatYouWantWithArray", [[7, 8, 9]]);
+            await voting.createRawProposal(testContr.address, callData, 0, "", ethers.constants.HashZero);
+            const [calls] = await voting.seeCurrentProposal(1);
+            expect(calls[0].functionSignature).to.equal("");
+            expect(calls[0].dataToSend).to.equal(callData);
+
+            await expect(acceptAndMake(voting, voters, 1))
+            .to.emit(voting, "CallMade").withArgs(1, 0, true, "0x", testContr.address, "", callData, 0);
+            expect(await testContr.x()).to.equal(8);
+        });
+
+        it("Should accept calldata that is not padded to 32 bytes", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            // Only selector of `changeTo24()`
+            const callData = ethers.utils.id("changeTo24()").slice(0, 10);
+            await voting.createRawProposal(testContr.address, callData, 0, "", ethers.constants.HashZero);
+            await acceptAndMake(voting, voters, 1);
+
+            expect(await testContr.x()).to.equal(24);
+        });
+
+        it("Should not accept calldata without selector", async function() {
+            const { voting, nonVoters, testContr } = await deployVotingAndTest();
+
+            await expect(voting.createRawProposal(testContr.address, "0x123456", 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: Wrong calldata!");
+
+            await expect(voting.connect(nonVoters[0]).createRawProposal(testContr.address, "0x12345678", 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting: You are not a voter!");
+        });
+
+        it("Should show selectors of all kinds of calls", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            const callData = testContr.interface.encodeFunctionData("changeName", ["raw"]);
+            await voting.createRawProposal(testContr.address, callData, 0, "", ethers.constants.HashZero);
+            await voting.createBatchProposal([
+                [testContr.address, "changeName(string)", ethers.utils.defaultAbiCoder.encode(["string"], ["abc"]), 0],
+                [voters[1].address, "", "0x", 0]
+            ], "", ethers.constants.HashZero);
+
+            const changeNameSelector = testContr.interface.getSighash("changeName");
+            expect(await voting.seeSelectors(1)).to.deep.equal([changeNameSelector]);
+            expect(await voting.seeSelectors(2)).to.deep.equal([changeNameSelector, "0x00000000"]);
+            await expect(voting.seeSelectors(3)).to.be.revertedWith("Voting: There is no such proposal!");
+        });
+
+        it("Should send string arguments", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            const longName = "Name that is longer than 32 bytes and takes several words";
+            await voting.createProposal(
+                testContr.address, 
+                "changeName(string)", 
+                ethers.utils.defaultAbiCoder.encode(["string"], [longName]), 
+                0, 
+                "", 
+                ethers.constants.HashZero
+            );
+            await acceptAndMake(voting, voters, 1);
+            expect(await testContr.name()).to.equal(longName);
+
+            await voting.createRawProposal(testContr.address, testContr.interface.encodeFunctionData("changeName", [""]), 0, "", ethers.constants.HashZero);
+            await acceptAndMake(voting, voters, 2);
+            expect(await testContr.name()).to.equal("");
+        });
+
+        it("Should send ether with complete calldata", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.replenishFunds({ value: 100 });
+            await voting.createRawProposal(testContr.address, testContr.interface.encodeFunctionData("reentrancy", [0]), 100, "", ethers.constants.HashZero);
+
+            await expect(acceptAndMake(voting, voters, 1))
+            .to.changeEtherBalances([voting, testContr], [-100, 100]);
+        });
+    });
+
+    describe("Proposal history", function() {
+        async function deployVotingAndTest() {
+            const { voting, voters, nonVoters, timeForVoting_ } = await loadFixture(deployUsualVoting);
+
+            const testContrFactory = await ethers.getContractFactory("Test");
+            const testContr = await testContrFactory.deploy();
+            await testContr.deployed();
+
+            return { voting, voters, nonVoters, timeForVoting_, testContr };
+        }
+
+        it("Should keep executed proposal with its votes and results", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.createBatchProposal([
+                [testContr.address, "changeTo24()", "0x", 0],
+                [testContr.address, "x()", "0x", 0]
+            ], "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Against);
+            await voting.makeTransaction(1);
+
+            const proposal = await voting.seeProposal(1);
+            expect(proposal.proposalId).to.equal(1);
+            expect(proposal.calls).to.have.lengthOf(2);
+            expect(proposal.calls[1].functionSignature).to.equal("x()");
+            expect(proposal.proposer).to.equal(voters[0].address);
+            expect(proposal.status).to.equal(ProposalStatus.Executed);
+            expect([proposal.forVotes, proposal.againstVotes, proposal.abstainVotes].map(Number)).to.deep.equal([2, 1, 0]);
+            expect(proposal.success).to.equal(true);
+            expect(proposal.results).to.deep.equal(["0x", ethers.utils.defaultAbiCoder.encode(["uint256"], [24])]);
+
+            await expect(voting.seeCurrentProposal(1)).to.be.revertedWith("Voting: It is too late!");
+        });
+
+        it("Should keep revert data of the failed call", async function() {
+            const { voting, voters, testContr } = await deployVotingAndTest();
+
+            await voting.createBatchProposal([
+                [testContr.address, "changeTo24()", "0x", 0],
+                [testContr.address, "revertWithReason()", "0x", 0]
+            ], "", ethers.constants.HashZero);
+            for (let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+            await voting.makeTransaction(1);
+
+            const reason = ethers.utils.hexConcat([
+                ethers.utils.id("Error(string)").slice(0, 10),
+                ethers.utils.defaultAbiCoder.encode(["string"], ["Test: Reverted!"])
+            ]);
+            const proposal = await voting.seeProposal(1);
+            expect(proposal.success).to.equal(false);
+            expect(proposal.results).to.deep.equal(["0x", reason]);
+        });
+
+        it("Should keep expired proposals", async function() {
+            const { voting, voters, timeForVoting_ } = await deployVotingAndTest();
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Abstain);
+            await ethers.provider.send("evm_increaseTime", [timeForVoting_]);
+            await ethers.provider.send("evm_mine");
+
+            const proposal = await voting.seeProposal(1);
+            expect(proposal.status).to.equal(ProposalStatus.Expired);
+            expect(proposal.abstainVotes).to.equal(1);
+            expect(proposal.success).to.equal(false);
+            expect(proposal.results).to.deep.equal([]);
+        });
+
+        it("Should return proposals by pages", async function() {
+            const { voting, voters } = await deployVotingAndTest();
+
+            expect(await voting.seeProposals(1, 10)).to.deep.equal([]);
+            for (let i = 0; i < 3; i++) {
+                await voting.connect(voters[i]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            }
+
+            const firstPage = await voting.seeProposals(1, 2);
+            expect(firstPage.map(p => Number(p.proposalId))).to.deep.equal([1, 2]);
+            expect(firstPage[1].proposer).to.equal(voters[1].address);
+
+            const secondPage = await voting.seeProposals(3, 2);
+            expect(secondPage.map(p => Number(p.proposalId))).to.deep.equal([3]);
+
+            expect(await voting.seeProposals(4, 2)).to.deep.equal([]);
+            await expect(voting.seeProposals(0, 2)).to.be.revertedWith("Voting: There is no such proposal!");
+        });
+
+        it("Should return ballots by pages", async function() {
+            const { voting, voters } = await deployVotingAndTest();
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.Abstain);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).revokeVote(1);
+
+            expect(await voting.seeBallotsAmount(1)).to.equal(3);
+
+            let [ballotVoters, ballots] = await voting.seeBallots(1, 0, 2);
+            expect(ballotVoters).to.deep.equal([voters[2].address, voters[0].address]);
+            expect(ballots).to.deep.equal([Vote.Against, Vote.Abstain]);
+
+            [ballotVoters, ballots] = await voting.seeBallots(1, 2, 2);
+            expect(ballotVoters).to.deep.equal([voters[1].address]);
+            expect(ballots).to.deep.equal([Vote.None]);
+
+            [ballotVoters, ballots] = await voting.seeBallots(1, 3, 2);
+            expect(ballotVoters).to.deep.equal([]);
+        });
+    });
+
+    describe("Receiving Ether", function() {
+        it("Should receive it", async function() {
+            const { voting, nonVoters } = await loadFixture(deployUsualVoting);
+
+            await expect(voting.replenishFunds({ value: 324 }))
+            .to.changeEtherBalance(voting, 324);
+
+            await expect(voting.connect(nonVoters[0]).replenishFunds({ value: 500 }))
+            .to.changeEtherBalance(voting, 500);
+        });
+
+        it("Should revert if no Ether was sent", async function() {
             const { voting } = await loadFixture(deployUsualVoting);
 
             await expect(voting.replenishFunds())
@@ -442,6 +2246,268 @@ describe("Voting for transaction", function() {
             .to.emit(voting, "FundsReplenished").withArgs(voters[0].address, 328);
         });
     });
+
+    describe("Treasury", function() {
+        async function deployVotingAndTokens() {
+            const { voting, voters, nonVoters } = await loadFixture(deployUsualVoting);
+
+            const tokens = {};
+            for (const name of ["TestERC20", "TestERC721", "TestERC1155"]) {
+                const tokenFactory = await ethers.getContractFactory(name);
+                tokens[name] = await tokenFactory.deploy();
+                await tokens[name].deployed();
+            }
+
+            return { voting, voters, nonVoters, erc20: tokens.TestERC20, erc721: tokens.TestERC721, erc1155: tokens.TestERC1155 };
+        }
+
+        async function proposeAndMake(voting, voters, targetAddress, functionSignature, types, args) {
+            const data = ethers.utils.defaultAbiCoder.encode(types, args);
+            await voting.createProposal(targetAddress, functionSignature, data, 0, "", ethers.constants.HashZero);
+            const proposalId = await voting.seeProposalsAmount();
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+
+            return voting.makeTransaction(proposalId);
+        }
+
+        it("Should receive Ether by plain transfer", async function() {
+            const { voting, nonVoters } = await deployVotingAndTokens();
+
+            await expect(nonVoters[0].sendTransaction({ to: voting.address, value: 1000 }))
+            .to.emit(voting, "FundsReplenished").withArgs(nonVoters[0].address, 1000);
+
+            expect(await voting.seeEtherBalance()).to.equal(1000);
+
+            await expect(nonVoters[0].sendTransaction({ to: voting.address, value: 0 }))
+            .not.to.emit(voting, "FundsReplenished");
+        });
+
+        it("Should withdraw ERC20 tokens by voting", async function() {
+            const { voting, voters, nonVoters, erc20 } = await deployVotingAndTokens();
+
+            await erc20.mint(voting.address, 1000);
+            expect(await voting.seeTokenBalance(erc20.address)).to.equal(1000);
+
+            await expect(proposeAndMake(
+                voting, voters, erc20.address, "transfer(address,uint256)", ["address", "uint256"], [nonVoters[0].address, 300]
+            ))
+            .to.emit(voting, "TransactionMade").withArgs(1, true, anyValue);
+
+            expect(await voting.seeTokenBalance(erc20.address)).to.equal(700);
+            expect(await erc20.balanceOf(nonVoters[0].address)).to.equal(300);
+        });
+
+        it("Should receive ERC721 tokens by safe transfer and withdraw them by voting", async function() {
+            const { voting, voters, nonVoters, erc721 } = await deployVotingAndTokens();
+
+            await erc721.mint(nonVoters[0].address, 7);
+            await expect(erc721.connect(nonVoters[0])["safeTransferFrom(address,address,uint256)"](nonVoters[0].address, voting.address, 7))
+            .to.emit(voting, "ERC721Received").withArgs(erc721.address, nonVoters[0].address, 7);
+
+            expect(await erc721.ownerOf(7)).to.equal(voting.address);
+            expect(await voting.seeTokenBalance(erc721.address)).to.equal(1);
+
+            await proposeAndMake(
+                voting, 
+                voters, 
+                erc721.address, 
+                "safeTransferFrom(address,address,uint256)", 
+                ["address", "address", "uint256"], 
+                [voting.address, voters[1].address, 7]
+            );
+
+            expect(await erc721.ownerOf(7)).to.equal(voters[1].address);
+            expect(await voting.seeTokenBalance(erc721.address)).to.equal(0);
+        });
+
+        it("Should receive ERC1155 tokens by safe transfers and withdraw them by voting", async function() {
+            const { voting, voters, nonVoters, erc1155 } = await deployVotingAndTokens();
+
+            await erc1155.mint(nonVoters[0].address, 1, 100);
+            await erc1155.mint(nonVoters[0].address, 2, 200);
+
+            await expect(erc1155.connect(nonVoters[0]).safeTransferFrom(nonVoters[0].address, voting.address, 1, 40, "0x"))
+            .to.emit(voting, "ERC1155Received").withArgs(erc1155.address, nonVoters[0].address, 1, 40);
+
+            await expect(erc1155.connect(nonVoters[0]).safeBatchTransferFrom(nonVoters[0].address, voting.address, [1, 2], [60, 200], "0x"))
+            .to.emit(voting, "ERC1155Received").withArgs(erc1155.address, nonVoters[0].address, 1, 60)
+            .and.to.emit(voting, "ERC1155Received").withArgs(erc1155.address, nonVoters[0].address, 2, 200);
+
+            expect(await voting.seeERC1155Balance(erc1155.address, 1)).to.equal(100);
+            expect(await voting.seeERC1155Balance(erc1155.address, 2)).to.equal(200);
+
+            await proposeAndMake(
+                voting, 
+                voters, 
+                erc1155.address, 
+                "safeTransferFrom(address,address,uint256,uint256,bytes)", 
+                ["address", "address", "uint256", "uint256", "bytes"], 
+                [voting.address, voters[2].address, 2, 150, "0x"]
+            );
+
+            expect(await voting.seeERC1155Balance(erc1155.address, 2)).to.equal(50);
+            expect(await erc1155.balanceOf(voters[2].address, 2)).to.equal(150);
+        });
+
+        it("Should support interfaces of token receivers", async function() {
+            const { voting } = await deployVotingAndTokens();
+
+            expect(await voting.supportsInterface("0x01ffc9a7")).to.equal(true); // ERC165
+            expect(await voting.supportsInterface("0x150b7a02")).to.equal(true); // ERC721Receiver
+            expect(await voting.supportsInterface("0x4e2312e0")).to.equal(true); // ERC1155Receiver
+            expect(await voting.supportsInterface("0xffffffff")).to.equal(false);
+        });
+    });
+
+    describe("Gas of vote counting", function() {
+        // Returns gas used by proposal making, two votes, counting (in `makeTransaction`)
+        // and one more proposal when there are `votersAmount` voters
+        async function measureGas(votersAmount) {
+            const [acc1, acc2] = await ethers.getSigners();
+
+            const voters_ = [acc1.address, acc2.address];
+            for (let i = voters_.length; i < votersAmount; i++) {
+                voters_.push(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+            }
+            const twoVoters = { thresholdType: ThresholdType.Absolute, value: 2 };
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, voters_, 60 * 60, twoVoters, noQuorum, 0, 60 * 60, []);
+            await voting.deployed();
+
+            const gasOf = async tx => (await (await tx).wait()).gasUsed.toNumber();
+            return [
+                await gasOf(voting.createProposal(acc2.address, "", [], 0, "", ethers.constants.HashZero)),
+                await gasOf(voting.voteForProposal(1, Vote.For)),
+                await gasOf(voting.connect(acc2).voteForProposal(1, Vote.For)),
+                await gasOf(voting.makeTransaction(1)),
+                await gasOf(voting.createProposal(acc2.address, "", [], 0, "", ethers.constants.HashZero))
+            ];
+        }
+
+        it("Should not depend on amount of voters", async function() {
+            const fewVotersGas = await measureGas(10);
+            const manyVotersGas = await measureGas(500);
+
+            for (let i = 0; i < fewVotersGas.length; i++) {
+                expect(manyVotersGas[i]).to.be.closeTo(fewVotersGas[i], 100);
+            }
+        });
+
+        // Returns gas used by the vote of the delegate with the maximal amount of delegators (10)
+        // and by undelegation of the last delegator when there are `votersAmount` voters
+        async function measureDelegateGas(votersAmount) {
+            const signers = await ethers.getSigners();
+            const [delegatee, ...delegators_] = signers.slice(0, 11);
+
+            const voters_ = signers.map(signer => signer.address);
+            for (let i = voters_.length; i < votersAmount; i++) {
+                voters_.push(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+            }
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, voters_, 60 * 60, majority, noQuorum, 0, 60 * 60, []);
+            await voting.deployed();
+
+            for (const delegator of delegators_) {
+                await voting.connect(delegator).delegate(delegatee.address);
+            }
+            await expect(voting.connect(signers[11]).delegate(delegatee.address))
+            .to.be.revertedWith("Voting: Delegate has too many delegators!");
+            await voting.createProposal(delegatee.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const gasOf = async tx => (await (await tx).wait()).gasUsed.toNumber();
+            return [
+                await gasOf(voting.connect(delegatee).voteForProposal(1, Vote.Against)),
+                await gasOf(voting.connect(delegators_[delegators_.length - 1]).undelegate())
+            ];
+        }
+
+        it("Should limit delegators so that voting of the delegate does not depend on amount of voters", async function() {
+            const fewVotersGas = await measureDelegateGas(20);
+            const manyVotersGas = await measureDelegateGas(500);
+
+            for (let i = 0; i < fewVotersGas.length; i++) {
+                expect(manyVotersGas[i]).to.be.closeTo(fewVotersGas[i], 100);
+            }
+        });
+
+        // Returns the same as `measureGas` for weighted version (with fixed weights or with
+        // token) and gas used by two more proposals that are made in the same block
+        async function measureWeightedGas(votersAmount, withToken) {
+            const [acc1, acc2] = await ethers.getSigners();
+
+            const voters_ = [acc1.address, acc2.address];
+            for (let i = voters_.length; i < votersAmount; i++) {
+                voters_.push(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+            }
+            // Two voters have majority of weight
+            let weights = voters_.map((_, i) => i < 2 ? votersAmount : 1);
+            let tokenAddress = ethers.constants.AddressZero;
+            if (withToken) {
+                const tokenFactory = await ethers.getContractFactory("TestVotesToken");
+                const token = await tokenFactory.deploy();
+                await token.deployed();
+                for (const account of [acc1, acc2]) {
+                    await token.mint(account.address, 1);
+                    await token.connect(account).delegate(account.address);
+                }
+                weights = [];
+                tokenAddress = token.address;
+            }
+
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, voters_, weights, tokenAddress, 60 * 60, majority, noQuorum, 0, 60 * 60, []);
+            await voting.deployed();
+
+            const gasOf = async tx => (await (await tx).wait()).gasUsed.toNumber();
+            const gas = [
+                await gasOf(voting.createProposal(acc2.address, "", [], 0, "", ethers.constants.HashZero)),
+                await gasOf(voting.voteForProposal(1, Vote.For)),
+                await gasOf(voting.connect(acc2).voteForProposal(1, Vote.For)),
+                await gasOf(voting.makeTransaction(1))
+            ];
+
+            await ethers.provider.send("evm_setAutomine", [false]);
+            const overrides = { gasLimit: 5000000 };
+            const first = await voting.createProposal(acc2.address, "", [], 0, "", ethers.constants.HashZero, overrides);
+            const second = await voting.createProposal(acc2.address, "", [], 0, "", ethers.constants.HashZero, overrides);
+            await ethers.provider.send("evm_mine", []);
+            await ethers.provider.send("evm_setAutomine", [true]);
+
+            return [...gas, await gasOf(first), await gasOf(second)];
+        }
+
+        it("Should not depend on amount of voters in weighted version with fixed weights", async function() {
+            const fewVotersGas = await measureWeightedGas(10, false);
+            // Weights of more voters do not fit in the gas limit of deployment block
+            const manyVotersGas = await measureWeightedGas(200, false);
+
+            for (let i = 0; i < fewVotersGas.length; i++) {
+                expect(manyVotersGas[i]).to.be.closeTo(fewVotersGas[i], 100);
+            }
+        });
+
+        it("Should count voting power of all voters only for the first proposal in the block", async function() {
+            const fewVotersGas = await measureWeightedGas(10, true);
+            const manyVotersGas = await measureWeightedGas(500, true);
+
+            // Proposal making: the first one in its block goes through all voters, the next one does not
+            expect(manyVotersGas[0]).to.be.greaterThan(fewVotersGas[0] + 490 * 2000);
+            expect(manyVotersGas[4]).to.be.greaterThan(fewVotersGas[4] + 490 * 2000);
+            expect(manyVotersGas[5]).to.be.closeTo(fewVotersGas[5], 100);
+            // Voting and counting
+            for (let i = 1; i <= 3; i++) {
+                expect(manyVotersGas[i]).to.be.closeTo(fewVotersGas[i], 100);
+            }
+        });
+    });
 });
 
 describe("Voting for transaction (changeable version)", function() {
@@ -452,130 +2518,492 @@ describe("Voting for transaction (changeable version)", function() {
         const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
 
         const votingFactory = await ethers.getContractFactory("VotingForTransaction_Changeable");
-        const voting = await votingFactory.deploy(voters_, timeForVoting_);
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(votingModule.address, voters_, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []);
         await voting.deployed();
 
         const voters = [acc1, acc2, acc3];
         const nonVoters = [acc4, acc5];
 
-        return { voting, voters, nonVoters, timeForVoting_ };
-    }
+        return { voting, voters, nonVoters, timeForVoting_ };
+    }
+
+    describe("Adding of new voters", function() {
+        it("Should check that tx was initialised after voting", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await expect(voting.addVoters( [ nonVoters[0].address ] ))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+
+            const data = 
+            ethers.utils.defaultAbiCoder.encode(["address[]"], [ [nonVoters[0].address] ]);
+
+            await voting.createProposal(voting.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero);
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await expect(voting.makeTransaction(1))
+            .not.to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+        });
+
+        it("Should add new voters", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            // 1
+
+            let data = 
+            ethers.utils.defaultAbiCoder.encode(["address[]"], [ [nonVoters[0].address] ]);
+
+            await voting.createProposal(voting.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero);
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await voting.makeTransaction(1);
+            expect(await voting.seeVoters()).to.include(nonVoters[0].address);
+
+            // 2
+
+            await loadFixture(deployVotingChangeable);
+
+            data = ethers.utils.defaultAbiCoder.encode(
+                ["address[]"], 
+                [ [nonVoters[0].address, nonVoters[1].address] ]
+            );
+
+            await voting.createProposal(voting.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero);
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await voting.makeTransaction(1);
+            expect(await voting.seeVoters()).to.include(nonVoters[0].address);
+            expect(await voting.seeVoters()).to.include(nonVoters[1].address);
+        });
+
+        it("Should not add same voters multiple times", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
+
+            const oldLength = (await voting.seeVoters()).length;
+            const oldVoters = await voting.seeVoters();
+            let data = 
+            ethers.utils.defaultAbiCoder.encode(["address[]"], [ [voters[1].address] ]);
+
+            await voting.createProposal(voting.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero);
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
+            }
+
+            await voting.makeTransaction(1);
+
+            expect(await voting.seeVoters()).to.have.all.members(oldVoters);
+            expect((await voting.seeVoters()).length).to.equal(oldLength);
+        });
+
+        it("Should keep amount of needed votes of proposals that are already on voting", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            const data = ethers.utils.defaultAbiCoder.encode(
+                ["address[]"], 
+                [ [nonVoters[0].address, nonVoters[1].address] ]
+            );
+            await voting.createProposal(voting.address, "addVoters(address[])", data, 0, "", ethers.constants.HashZero);
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(2, Vote.For);
+            }
+            await voting.makeTransaction(2);
+            expect((await voting.seeVoters()).length).to.equal(5);
+
+            // 2 of 3 voters are still enough for the first proposal
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Queued);
+
+            // New proposals need 3 of 5 voters
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(3, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(3, Vote.For);
+            expect(await voting.seeProposalStatus(3)).to.equal(ProposalStatus.Active);
+            await voting.connect(nonVoters[0]).voteForProposal(3, Vote.For);
+            expect(await voting.seeProposalStatus(3)).to.equal(ProposalStatus.Queued);
+        });
+    });
+
+    describe("Removing and replacing of voters", function() {
+        async function makeVotedCall(voting, voters, functionSignature, types, args) {
+            const data = ethers.utils.defaultAbiCoder.encode(types, args);
+            await voting.createProposal(voting.address, functionSignature, data, 0, "", ethers.constants.HashZero);
+            const proposalId = await voting.seeProposalsAmount();
+
+            for(let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+            }
+
+            return voting.makeTransaction(proposalId);
+        }
+
+        it("Should check that tx was initialised after voting", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await expect(voting.removeVoters([voters[0].address]))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+
+            await expect(voting.replaceVoter(voters[0].address, nonVoters[0].address))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+        });
+
+        it("Should remove voters", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await makeVotedCall(
+                voting, voters, "removeVoters(address[])", ["address[]"], [[voters[0].address, nonVoters[0].address]]
+            );
+
+            const newVoters = await voting.seeVoters();
+            expect(newVoters).to.have.all.members([voters[1].address, voters[2].address]);
+
+            await voting.connect(voters[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await expect(voting.connect(voters[0]).voteForProposal(2, Vote.For))
+            .to.be.revertedWith("Voting: You are not a voter!");
+        });
+
+        it("Should not go through finished proposals of the removed voter", async function() {
+            // Returns gas of removal of the voter who voted on `amount` proposals that are finished
+            async function removalGas(amount) {
+                const { voting, voters } = await loadFixture(deployVotingChangeable);
+                for (let i = 1; i <= amount; i++) {
+                    await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+                    await voting.connect(voters[2]).voteForProposal(i, Vote.Against);
+                    await voting.cancelProposal(i);
+                }
+
+                const receipt = await (await makeVotedCall(
+                    voting, [voters[0], voters[1]], "removeVoters(address[])", ["address[]"], [[voters[2].address]]
+                )).wait();
+                expect(await voting.seeVoters()).not.to.include(voters[2].address);
+                return receipt.gasUsed.toNumber();
+            }
+
+            expect(await removalGas(20)).to.be.closeTo(await removalGas(1), 1000);
+        });
+
+        it("Should withdraw votes of removed voters on open proposals only", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.Against);
+
+            await makeVotedCall(voting, voters, "removeVoters(address[])", ["address[]"], [[voters[0].address]]);
+
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.None);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 0, 0]);
+            // Vote on executed proposal is kept
+            expect(await voting.seeVoteOf(2, voters[0].address)).to.equal(Vote.For);
+            expect((await voting.seeVotes(2)).map(Number)).to.deep.equal([3, 0, 0]);
+        });
+
+        it("Should count thresholds of open proposals from the rest of voters", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
+
+            // Majority of 3 voters at creation of the proposal is 2 votes
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+
+            await makeVotedCall(
+                voting, voters, "removeVoters(address[])", ["address[]"], [[voters[0].address, voters[1].address]]
+            );
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 0, 0]);
+
+            // The last voter is enough now
+            await expect(voting.connect(voters[2]).voteForProposal(1, Vote.For))
+            .to.emit(voting, "ProposalQueued");
+        });
+
+        it("Should not lock the policy table when voters are removed below its thresholds", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
+            const threeVoters = { thresholdType: ThresholdType.Absolute, value: 3 };
+            // Mode 1 is `PolicyMode.Allowed`
+            const policy = { mode: 1, approvalThreshold: threeVoters, timeForVoting: 0, maxValue: 0 };
+
+            await makeVotedCall(
+                voting, voters, "setPolicy(address,bytes4,(uint8,(uint8,uint256),uint256,uint256))",
+                ["address", "bytes4", "tuple(uint8,tuple(uint8,uint256),uint256,uint256)"],
+                [voters[2].address, "0x00000000", [policy.mode, [threeVoters.thresholdType, threeVoters.value], 0, 0]]
+            );
+            await makeVotedCall(voting, voters, "removeVoters(address[])", ["address[]"], [[voters[0].address]]);
+
+            // Both voters that are left are enough for the policy and for changes of the table
+            const votingOfVoter = voting.connect(voters[1]);
+            await votingOfVoter.createProposal(voters[2].address, "", [], 0, "", ethers.constants.HashZero);
+            await votingOfVoter.voteForProposal(3, Vote.For);
+            await expect(voting.connect(voters[2]).voteForProposal(3, Vote.For))
+            .to.emit(voting, "ProposalQueued");
+
+            await expect(makeVotedCall(
+                votingOfVoter, [voters[1], voters[2]], "removePolicy(address,bytes4)", ["address", "bytes4"], [voters[2].address, "0x00000000"]
+            ))
+            .to.emit(voting, "PolicyRemoved").withArgs(voters[2].address, "0x00000000");
+        });
+
+        it("Should not remove so many voters that threshold cannot be reached", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
+
+            await expect(makeVotedCall(
+                voting, voters, "removeVoters(address[])", ["address[]"], [voters.map(v => v.address)]
+            ))
+            .to.emit(voting, "TransactionMade").withArgs(1, false, anyValue);
+            expect(await voting.seeVoters()).to.have.lengthOf(voters.length);
+
+            await makeVotedCall(
+                voting, voters, "changeApprovalThreshold((uint8,uint256))", ["tuple(uint8,uint256)"], [[ThresholdType.Absolute, 3]]
+            );
+
+            await expect(makeVotedCall(
+                voting, voters, "removeVoters(address[])", ["address[]"], [[voters[0].address]]
+            ))
+            .to.emit(voting, "TransactionMade").withArgs(3, false, anyValue);
+            expect(await voting.seeVoters()).to.have.lengthOf(voters.length);
+        });
+
+        it("Should replace voter and move his/her votes", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.Abstain);
+
+            await makeVotedCall(
+                voting, voters, "replaceVoter(address,address)", ["address", "address"], [voters[0].address, nonVoters[0].address]
+            );
+
+            expect(await voting.seeVoters()).to.have.all.members([nonVoters[0].address, voters[1].address, voters[2].address]);
+            expect(await voting.seeVoteOf(1, voters[0].address)).to.equal(Vote.None);
+            expect(await voting.seeVoteOf(1, nonVoters[0].address)).to.equal(Vote.Abstain);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([0, 0, 1]);
+
+            await expect(voting.connect(voters[0]).voteForProposal(1, Vote.For))
+            .to.be.revertedWith("Voting: You are not a voter!");
+            await voting.connect(nonVoters[0]).voteForProposal(1, Vote.For);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([1, 0, 0]);
+        });
+
+        it("Should move records of who has cast votes of the replaced voter", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.connect(voters[1]).delegate(voters[2].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            // Vote of voters[1] is cast by his/her delegate, he/she casts vote of voters[0]
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Against);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.Against);
+
+            await makeVotedCall(
+                voting, voters, "replaceVoter(address,address)", ["address", "address"], [voters[1].address, nonVoters[0].address]
+            );
+            expect(await voting.seeVoteCaster(1, nonVoters[0].address)).to.equal(voters[2].address);
+            expect(await voting.seeVoteCaster(2, nonVoters[0].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeVoteCaster(2, voters[0].address)).to.equal(nonVoters[0].address);
+
+            // Delegated votes can still be changed by the delegates
+            await voting.connect(voters[2]).voteForProposal(1, Vote.For);
+            expect(await voting.seeVoteOf(1, nonVoters[0].address)).to.equal(Vote.For);
+            await voting.connect(nonVoters[0]).voteForProposal(2, Vote.For);
+            expect(await voting.seeVoteOf(2, voters[0].address)).to.equal(Vote.For);
+            expect(await voting.seeProposalStatus(2)).to.equal(ProposalStatus.Queued);
+        });
+
+        it("Should revoke delegations of removed voters and move them to new voters", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await voting.connect(voters[0]).delegate(voters[1].address);
+            await voting.connect(voters[1]).delegate(voters[2].address);
+            await voting.connect(voters[2]).delegate(voters[1].address);
+
+            await makeVotedCall(
+                voting, voters, "replaceVoter(address,address)", ["address", "address"], [voters[1].address, nonVoters[0].address]
+            );
+            expect(await voting.seeDelegate(voters[0].address)).to.equal(nonVoters[0].address);
+            expect(await voting.seeDelegate(voters[2].address)).to.equal(nonVoters[0].address);
+            expect(await voting.seeDelegate(nonVoters[0].address)).to.equal(voters[2].address);
+            expect(await voting.seeDelegate(voters[1].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeDelegators(nonVoters[0].address)).to.have.members([voters[0].address, voters[2].address]);
+            expect(await voting.seeDelegators(voters[1].address)).to.deep.equal([]);
+
+            await expect(makeVotedCall(
+                voting, [voters[0], nonVoters[0], voters[2]], "removeVoters(address[])", ["address[]"], [[nonVoters[0].address]]
+            ))
+            .to.emit(voting, "DelegateChanged").withArgs(voters[0].address, nonVoters[0].address, ethers.constants.AddressZero);
+            expect(await voting.seeDelegate(voters[0].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeDelegate(voters[2].address)).to.equal(ethers.constants.AddressZero);
+            expect(await voting.seeDelegators(voters[2].address)).to.deep.equal([]);
+        });
+
+        it("Should not replace voter with wrong addresses", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+
+            await expect(makeVotedCall(
+                voting, voters, "replaceVoter(address,address)", ["address", "address"], [nonVoters[0].address, nonVoters[1].address]
+            ))
+            .to.emit(voting, "TransactionMade").withArgs(1, false, anyValue);
+
+            await expect(makeVotedCall(
+                voting, voters, "replaceVoter(address,address)", ["address", "address"], [voters[0].address, voters[1].address]
+            ))
+            .to.emit(voting, "TransactionMade").withArgs(2, false, anyValue);
 
-    describe("Adding of new voters", function() {
+            expect(await voting.seeVoters()).to.have.all.members(voters.map(v => v.address));
+        });
+    });
+
+    describe("Changing time for voting", function() {
         it("Should check that tx was initialised after voting", async function() {
-            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
 
-            await expect(voting.addVoters( [ nonVoters[0].address ] ))
+            const newTime = 539;
+            await expect(voting.changeTimeForVoting(newTime))
             .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
 
             const data = 
-            ethers.utils.defaultAbiCoder.encode(["address[]"], [ [nonVoters[0].address] ]);
+            ethers.utils.defaultAbiCoder.encode(["uint256"], [newTime]);
 
-            await voting.createProposal(voting.address, "addVoters(address[])", data, 0);
+            await voting.createProposal(voting.address, "changeTimeForVoting(uint256)", data, 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction())
+            await expect(voting.makeTransaction(1))
             .not.to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
         });
 
-        it("Should add new voters", async function() {
-            const { voting, voters, nonVoters } = await loadFixture(deployVotingChangeable);
-
-            // 1
+        it("Should change time for voting", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
 
-            let data = 
-            ethers.utils.defaultAbiCoder.encode(["address[]"], [ [nonVoters[0].address] ]);
+            const newTime = 539;
+            const data = 
+            ethers.utils.defaultAbiCoder.encode(["uint256"], [newTime]);
 
-            await voting.createProposal(voting.address, "addVoters(address[])", data, 0);
+            await voting.createProposal(voting.address, "changeTimeForVoting(uint256)", data, 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
-            expect(await voting.seeVoters()).to.include(nonVoters[0].address);
+            await voting.makeTransaction(1);
 
-            // 2
+            expect(await voting.seeTimeForVoting()).to.equal(newTime);
+        });
+    });
 
-            await loadFixture(deployVotingChangeable);
+    describe("Changing execution delay and grace period", function() {
+        it("Should check that tx was initialised after voting", async function() {
+            const { voting } = await loadFixture(deployVotingChangeable);
 
-            data = ethers.utils.defaultAbiCoder.encode(
-                ["address[]"], 
-                [ [nonVoters[0].address, nonVoters[1].address] ]
-            );
+            await expect(voting.changeExecutionDelay(100))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+
+            await expect(voting.changeGracePeriod(100))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+        });
+
+        it("Should change execution delay and grace period", async function() {
+            const { voting, voters } = await loadFixture(deployVotingChangeable);
 
-            await voting.createProposal(voting.address, "addVoters(address[])", data, 0);
+            await voting.createBatchProposal([
+                [voting.address, "changeExecutionDelay(uint256)", ethers.utils.defaultAbiCoder.encode(["uint256"], [100]), 0],
+                [voting.address, "changeGracePeriod(uint256)", ethers.utils.defaultAbiCoder.encode(["uint256"], [200]), 0]
+            ], "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
-            expect(await voting.seeVoters()).to.include(nonVoters[0].address);
-            expect(await voting.seeVoters()).to.include(nonVoters[1].address);
+            await voting.makeTransaction(1);
+
+            expect(await voting.seeExecutionDelay()).to.equal(100);
+            expect(await voting.seeGracePeriod()).to.equal(200);
         });
+    });
 
-        it("Should not add same voters multiple times", async function() {
+    describe("Changing approval threshold and quorum", function() {
+        it("Should check that tx was initialised after voting", async function() {
+            const { voting } = await loadFixture(deployVotingChangeable);
+
+            await expect(voting.changeApprovalThreshold(majority))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+
+            await expect(voting.changeQuorum(noQuorum))
+            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+        });
+
+        it("Should change approval threshold", async function() {
             const { voting, voters } = await loadFixture(deployVotingChangeable);
 
-            const oldLength = (await voting.seeVoters()).length;
-            const oldVoters = await voting.seeVoters();
-            let data = 
-            ethers.utils.defaultAbiCoder.encode(["address[]"], [ [voters[1].address] ]);
+            const unanimity = { thresholdType: ThresholdType.Percentage, value: 10000 };
+            const data = 
+            ethers.utils.defaultAbiCoder.encode(["tuple(uint8,uint256)"], [[unanimity.thresholdType, unanimity.value]]);
 
-            await voting.createProposal(voting.address, "addVoters(address[])", data, 0);
+            await voting.createProposal(voting.address, "changeApprovalThreshold((uint8,uint256))", data, 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
+            await voting.makeTransaction(1);
 
-            expect(await voting.seeVoters()).to.have.all.members(oldVoters);
-            expect((await voting.seeVoters()).length).to.equal(oldLength);
+            expect((await voting.seeApprovalThreshold()).value).to.equal(unanimity.value);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(2, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+
+            await expect(voting.makeTransaction(2))
+            .to.be.revertedWith("Voting: Not enough votes for current proposal!");
         });
-    });
 
-    describe("Changing time for voting", function() {
-        it("Should check that tx was initialised after voting", async function() {
+        it("Should change quorum", async function() {
             const { voting, voters } = await loadFixture(deployVotingChangeable);
 
-            const newTime = 539;
-            await expect(voting.changeTimeForVoting(newTime))
-            .to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
-
+            const newQuorum = { thresholdType: ThresholdType.Absolute, value: 3 };
             const data = 
-            ethers.utils.defaultAbiCoder.encode(["uint256"], [newTime]);
+            ethers.utils.defaultAbiCoder.encode(["tuple(uint8,uint256)"], [[newQuorum.thresholdType, newQuorum.value]]);
 
-            await voting.createProposal(voting.address, "changeTimeForVoting(uint256)", data, 0);
+            await voting.createProposal(voting.address, "changeQuorum((uint8,uint256))", data, 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await expect(voting.makeTransaction())
-            .not.to.be.revertedWith("Voting_Changeable: You should use voting to do this!");
+            await voting.makeTransaction(1);
+
+            const quorum = await voting.seeQuorum();
+            expect(quorum.thresholdType).to.equal(newQuorum.thresholdType);
+            expect(quorum.value).to.equal(newQuorum.value);
         });
 
-        it("Should change time for voting", async function() {
+        it("Should not set unreachable approval threshold", async function() {
             const { voting, voters } = await loadFixture(deployVotingChangeable);
 
-            const newTime = 539;
             const data = 
-            ethers.utils.defaultAbiCoder.encode(["uint256"], [newTime]);
+            ethers.utils.defaultAbiCoder.encode(["tuple(uint8,uint256)"], [[ThresholdType.Absolute, 4]]);
 
-            await voting.createProposal(voting.address, "changeTimeForVoting(uint256)", data, 0);
+            await voting.createProposal(voting.address, "changeApprovalThreshold((uint8,uint256))", data, 0, "", ethers.constants.HashZero);
 
             for(let eachVoter of voters) {
-                await voting.connect(eachVoter).voteForProposal();
+                await voting.connect(eachVoter).voteForProposal(1, Vote.For);
             }
 
-            await voting.makeTransaction();
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "TransactionMade");
 
-            expect(await voting.seeTimeForVoting()).to.equal(newTime);
+            expect((await voting.seeApprovalThreshold()).value).to.equal(majority.value);
         });
     });
 });
@@ -589,7 +3017,8 @@ describe("Voting for transaction (version with separate proposal makers)", funct
         const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
 
         const votingFactory = await ethers.getContractFactory("VotingForTransaction_ProposalMakers");
-        const voting = await votingFactory.deploy(voters_, proposalMakers_, timeForVoting_);
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(votingModule.address, voters_, proposalMakers_, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []);
         await voting.deployed();
 
         const voters = [acc1, acc2, acc3];
@@ -610,19 +3039,567 @@ describe("Voting for transaction (version with separate proposal makers)", funct
     });
 
     describe("Proposal making", function() {
+        it("Should check whether caller of raw proposal is a proposal maker or not", async function() {
+            const { voting, voters, proposalMakers  } = await loadFixture(deployVotingPrMakers);
+
+            await expect(voting.connect(voters[0]).createRawProposal(voting.address, "0x12345678", 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+
+            await expect(voting.connect(proposalMakers[0]).createRawProposal(voting.address, "0x12345678", 0, "", ethers.constants.HashZero))
+            .to.emit(voting, "VotingStarted");
+        });
+
         it("Should check whether caller is a proposal maker or not", async function() {
             const { voting, nonVoters, proposalMakers  } = await loadFixture(deployVotingPrMakers);
 
-            await expect(voting.createProposal(voting.address, "", [], 0))
+            await expect(voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
             .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
 
             await expect(voting.connect(nonVoters[0])
-            .createProposal(voting.address, "", [], 0))
+            .createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
             .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
 
             await expect(voting.connect(proposalMakers[0])
-            .createProposal(voting.address, "", [], 0))
+            .createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
             .not.to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
         });
+
+        it("Should check whether caller of batch proposal is a proposal maker or not", async function() {
+            const { voting, voters, proposalMakers  } = await loadFixture(deployVotingPrMakers);
+
+            await expect(voting.connect(voters[0]).createBatchProposal([[voting.address, "", "0x", 0]], "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+
+            await expect(voting.connect(proposalMakers[0]).createBatchProposal([[voting.address, "", "0x", 0]], "", ethers.constants.HashZero))
+            .to.emit(voting, "VotingStarted");
+        });
+
+        it("Should keep title and hash of description of the proposal", async function() {
+            const { voting, proposalMakers } = await loadFixture(deployVotingPrMakers);
+
+            const contentHash = ethers.utils.id("Full description of the proposal");
+            await voting.connect(proposalMakers[1]).createProposal(voting.address, "", [], 0, "Top up", contentHash);
+
+            const [event] = await voting.queryFilter(voting.filters.VotingStarted());
+            expect(event.args.proposer).to.equal(proposalMakers[1].address);
+            expect(event.args.title).to.equal("Top up");
+            expect(event.args.contentHash).to.equal(contentHash);
+
+            const proposal = await voting.seeProposal(1);
+            expect(proposal.proposer).to.equal(proposalMakers[1].address);
+            expect(proposal.title).to.equal("Top up");
+            expect(proposal.contentHash).to.equal(contentHash);
+        });
+    });
+
+    // Makes a proposal of call to the voting itself by the proposal maker and executes it
+    async function changeByVoting(voting, voters, proposalMaker, functionSignature, types, args) {
+        const data = ethers.utils.defaultAbiCoder.encode(types, args);
+        const bond = await voting.seeProposalBond();
+        await voting.connect(proposalMaker).createProposal(voting.address, functionSignature, data, 0, "", ethers.constants.HashZero, { value: bond });
+        const proposalId = await voting.seeProposalsAmount();
+        for (let eachVoter of voters) {
+            await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+        }
+        await voting.makeTransaction(proposalId);
+        return proposalId;
+    }
+
+    async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    }
+
+    describe("Changing of proposal makers", function() {
+        it("Should add and remove proposal makers by voting", async function() {
+            const { voting, voters, nonVoters, proposalMakers } = await loadFixture(deployVotingPrMakers);
+
+            await expect(voting.addProposalMakers([nonVoters[0].address]))
+            .to.be.revertedWith("Voting_PrMaker: You should use voting to do this!");
+            await expect(voting.removeProposalMakers([proposalMakers[0].address]))
+            .to.be.revertedWith("Voting_PrMaker: You should use voting to do this!");
+
+            await changeByVoting(voting, voters, proposalMakers[0], "addProposalMakers(address[])", ["address[]"], [[nonVoters[0].address]]);
+            expect(await voting.isProposalMaker(nonVoters[0].address)).to.equal(true);
+            await voting.connect(nonVoters[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await changeByVoting(voting, voters, proposalMakers[0], "removeProposalMakers(address[])", ["address[]"], [[proposalMakers[1].address]]);
+            expect(await voting.isProposalMaker(proposalMakers[1].address)).to.equal(false);
+            await expect(voting.connect(proposalMakers[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+        });
+    });
+
+    describe("Bonds and cooldowns", function() {
+        const bond = ethers.utils.parseEther("1");
+
+        async function deployVotingWithBond() {
+            const { voting, voters, nonVoters, proposalMakers, timeForVoting_ } = await loadFixture(deployVotingPrMakers);
+            await changeByVoting(voting, voters, proposalMakers[0], "changeProposalBond(uint256)", ["uint256"], [bond]);
+            return { voting, voters, nonVoters, proposalMakers, timeForVoting_ };
+        }
+
+        it("Should take the bond with every proposal", async function() {
+            const { voting, proposalMakers } = await loadFixture(deployVotingWithBond);
+
+            expect(await voting.seeProposalBond()).to.equal(bond);
+            await expect(voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_PrMaker: Wrong bond!");
+            await expect(voting.connect(proposalMakers[0]).createRawProposal(voting.address, "0x12345678", 0, "", ethers.constants.HashZero, { value: bond.mul(2) }))
+            .to.be.revertedWith("Voting_PrMaker: Wrong bond!");
+
+            await expect(voting.connect(proposalMakers[0]).createBatchProposal([[voting.address, "", "0x", 0]], "", ethers.constants.HashZero, { value: bond }))
+            .to.changeEtherBalances([proposalMakers[0], voting], [bond.mul(-1), bond]);
+            expect(await voting.seeBond(2)).to.equal(bond);
+        });
+
+        it("Should refund the bond if the proposal passes", async function() {
+            const { voting, voters, proposalMakers } = await loadFixture(deployVotingWithBond);
+
+            await voting.connect(proposalMakers[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: bond });
+            await voting.connect(voters[0]).voteForProposal(2, Vote.For);
+            await expect(voting.claimBond(2)).to.be.revertedWith("Voting_PrMaker: Voting is not finished!");
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+
+            // Anyone can claim it for the proposer
+            await expect(voting.connect(voters[2]).claimBond(2))
+            .to.changeEtherBalances([proposalMakers[1], voting], [bond, bond.mul(-1)]);
+            await expect(voting.claimBond(2)).to.be.revertedWith("Voting_PrMaker: There is no bond!");
+            await expect(voting.claimBond(1)).to.be.revertedWith("Voting_PrMaker: There is no bond!");
+        });
+
+        it("Should refund the bond if the proposal reaches quorum and keep it if the proposal is ignored", async function() {
+            const { voting, voters, proposalMakers, timeForVoting_ } = await loadFixture(deployVotingWithBond);
+
+            await voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: bond });
+            await voting.connect(proposalMakers[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: bond });
+            await voting.connect(voters[0]).voteForProposal(2, Vote.Against);
+
+            await increaseTime(timeForVoting_);
+
+            await expect(voting.claimBond(2))
+            .to.emit(voting, "BondRefunded").withArgs(2, proposalMakers[0].address, bond);
+            await expect(voting.claimBond(3)).to.be.revertedWith("Voting_PrMaker: Bond is kept by the treasury!");
+            expect(await voting.seeEtherBalance()).to.equal(bond);
+        });
+
+        it("Should lock bonds until they are claimed or forfeited", async function() {
+            const { voting, voters, proposalMakers, timeForVoting_ } = await loadFixture(deployVotingWithBond);
+
+            await voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: bond });
+            await voting.connect(proposalMakers[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: bond });
+            expect(await voting.seeLockedBonds()).to.equal(bond.mul(2));
+            await expect(voting.forfeitBond(3)).to.be.revertedWith("Voting_PrMaker: Voting is not finished!");
+
+            // Bonds cannot be spent even if the treasury has some other ether
+            await voting.replenishFunds({ value: 100 });
+            await voting.connect(proposalMakers[0]).createProposal(voters[0].address, "", [], 101, "", ethers.constants.HashZero, { value: bond });
+            await voting.connect(proposalMakers[0]).setFailurePolicy(4, FailurePolicy.Strict);
+            await voting.connect(proposalMakers[0]).createProposal(voters[0].address, "", [], 100, "", ethers.constants.HashZero, { value: bond });
+            for (let eachVoter of voters) {
+                await voting.connect(eachVoter).voteForProposal(2, Vote.For);
+                await voting.connect(eachVoter).voteForProposal(4, Vote.For);
+                await voting.connect(eachVoter).voteForProposal(5, Vote.For);
+            }
+            await expect(voting.makeTransaction(4)).to.be.revertedWith("Voting: Locked ether cannot be spent!");
+            await expect(voting.makeTransaction(5)).to.changeEtherBalances([voters[0], voting], [100, -100]);
+
+            await increaseTime(timeForVoting_);
+
+            await expect(voting.forfeitBond(2)).to.be.revertedWith("Voting_PrMaker: Bond must be refunded!");
+            await expect(voting.forfeitBond(3))
+            .to.emit(voting, "BondForfeited").withArgs(3, bond);
+            expect(await voting.seeBond(3)).to.equal(0);
+            await expect(voting.forfeitBond(3)).to.be.revertedWith("Voting_PrMaker: There is no bond!");
+            await voting.claimBond(2);
+            await voting.claimBond(4);
+            await voting.claimBond(5);
+            expect(await voting.seeLockedBonds()).to.equal(0);
+            expect(await voting.seeEtherBalance()).to.equal(bond);
+        });
+
+        it("Should not accept Ether with proposals in the base contract", async function() {
+            const [acc1] = await ethers.getSigners();
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction");
+            const votingModule = await deployModule(ethers);
+            const voting = await votingFactory.deploy(votingModule.address, [acc1.address], 60, majority, noQuorum, 0, 60, []);
+
+            await expect(voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: 1 }))
+            .to.be.revertedWith("Voting: Bond is not needed!");
+        });
+
+        it("Should not let proposal maker make proposals more often than cooldown", async function() {
+            const { voting, voters, proposalMakers } = await loadFixture(deployVotingPrMakers);
+
+            await expect(voting.changeCooldown(proposalMakers[0].address, 60 * 60))
+            .to.be.revertedWith("Voting_PrMaker: You should use voting to do this!");
+            await changeByVoting(
+                voting, voters, proposalMakers[1], "changeCooldown(address,uint256)", ["address", "uint256"], [proposalMakers[0].address, 60 * 60]
+            );
+
+            await voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            const [cooldown, lastProposalTime] = await voting.seeCooldown(proposalMakers[0].address);
+            expect(cooldown).to.equal(60 * 60);
+            expect(lastProposalTime).to.equal((await voting.seeCurrentProposal(2))[1]);
+
+            await expect(voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_PrMaker: Cooldown has not passed!");
+            // Cooldown is set for each proposal maker separately
+            await voting.connect(proposalMakers[1]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await increaseTime(60 * 60);
+            await voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+        });
+    });
+});
+describe("Voting for transaction (changeable version with separate proposal makers)", function() {
+    async function deployVotingCombined() {
+        [acc1, acc2, acc3, acc4, acc5, acc6, acc7] = await ethers.getSigners();
+
+        const voters_ = [acc1.address, acc2.address, acc3.address];
+        const proposalMakers_ = [acc6.address, acc7.address ];
+        const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
+
+        const votingFactory = await ethers.getContractFactory("VotingForTransaction_ChangeableProposalMakers");
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(votingModule.address, voters_, proposalMakers_, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []);
+        await voting.deployed();
+
+        const voters = [acc1, acc2, acc3];
+        const nonVoters = [acc4, acc5];
+        const proposalMakers = [acc6, acc7];
+
+        return { voting, voters, nonVoters, proposalMakers, timeForVoting_ };
+    }
+
+    async function changeByVoting(voting, voters, proposalMaker, functionSignature, types, args) {
+        const data = ethers.utils.defaultAbiCoder.encode(types, args);
+        const bond = await voting.seeProposalBond();
+        await voting.connect(proposalMaker).createProposal(voting.address, functionSignature, data, 0, "", ethers.constants.HashZero, { value: bond });
+        const proposalId = await voting.seeProposalsAmount();
+        for (let eachVoter of voters) {
+            await voting.connect(eachVoter).voteForProposal(proposalId, Vote.For);
+        }
+        await voting.makeTransaction(proposalId);
+        return proposalId;
+    }
+
+    it("Should let only proposal makers make proposals", async function() {
+        const { voting, voters, nonVoters, proposalMakers } = await loadFixture(deployVotingCombined);
+
+        await expect(voting.connect(voters[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+        .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+        await expect(voting.connect(nonVoters[0]).createRawProposal(voting.address, "0x12345678", 0, "", ethers.constants.HashZero))
+        .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+        await expect(voting.connect(voters[0]).createBatchProposal([[voting.address, "", "0x", 0]], "", ethers.constants.HashZero))
+        .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+
+        await expect(voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+        .to.emit(voting, "VotingStarted");
+        // Proposal makers still cannot vote
+        await expect(voting.connect(proposalMakers[0]).voteForProposal(1, Vote.For))
+        .to.be.revertedWith("Voting: You are not a voter!");
+    });
+
+    it("Should not let to change settings without voting", async function() {
+        const { voting, nonVoters, proposalMakers } = await loadFixture(deployVotingCombined);
+
+        await expect(voting.addVoters([nonVoters[0].address]))
+        .to.be.revertedWith("Voting: You should use voting to do this!");
+        await expect(voting.changeTimeForVoting(539))
+        .to.be.revertedWith("Voting: You should use voting to do this!");
+        await expect(voting.addProposalMakers([nonVoters[0].address]))
+        .to.be.revertedWith("Voting: You should use voting to do this!");
+        await expect(voting.changeProposalBond(1))
+        .to.be.revertedWith("Voting: You should use voting to do this!");
+        await expect(voting.connect(proposalMakers[0]).changeCooldown(proposalMakers[0].address, 60))
+        .to.be.revertedWith("Voting: You should use voting to do this!");
+    });
+
+    it("Should add voters and change time for voting by proposals of proposal makers", async function() {
+        const { voting, voters, nonVoters, proposalMakers } = await loadFixture(deployVotingCombined);
+
+        await changeByVoting(voting, voters, proposalMakers[0], "addVoters(address[])", ["address[]"], [[nonVoters[0].address]]);
+        expect(await voting.seeVoters()).to.include(nonVoters[0].address);
+        // New voter is not a proposal maker
+        await expect(voting.connect(nonVoters[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+        .to.be.revertedWith("Voting_PrMaker: You are not a proposal maker!");
+
+        const allVoters = [...voters, nonVoters[0]];
+        await changeByVoting(voting, allVoters, proposalMakers[1], "changeTimeForVoting(uint256)", ["uint256"], [539]);
+        expect(await voting.seeTimeForVoting()).to.equal(539);
+
+        await changeByVoting(voting, allVoters, proposalMakers[1], "addProposalMakers(address[])", ["address[]"], [[nonVoters[0].address]]);
+        expect(await voting.isProposalMaker(nonVoters[0].address)).to.equal(true);
+        await voting.connect(nonVoters[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+    });
+
+    it("Should take the bond with proposals", async function() {
+        const { voting, voters, proposalMakers } = await loadFixture(deployVotingCombined);
+
+        const bond = ethers.utils.parseEther("1");
+        await changeByVoting(voting, voters, proposalMakers[0], "changeProposalBond(uint256)", ["uint256"], [bond]);
+
+        await expect(voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+        .to.be.revertedWith("Voting_PrMaker: Wrong bond!");
+        await expect(voting.connect(proposalMakers[0]).createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero, { value: bond }))
+        .to.changeEtherBalances([proposalMakers[0], voting], [bond.mul(-1), bond]);
+        expect(await voting.seeBond(2)).to.equal(bond);
+    });
+
+    it("Should not use initializer of the base contract", async function() {
+        const { voting, voters } = await loadFixture(deployVotingCombined);
+
+        await expect(voting["initialize(address[],uint256,(uint8,uint256),(uint8,uint256),uint256,uint256,address[])"](
+            [voters[0].address], 60, majority, noQuorum, 0, 60, []
+        )).to.be.revertedWith("Voting_PrMaker: Wrong initializer!");
+    });
+});
+
+describe("Voting for transaction (weighted version)", function() {
+    async function deployVotingWithWeights() {
+        [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+        const voters_ = [acc1.address, acc2.address, acc3.address];
+        const weights_ = [50, 30, 20];
+        const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
+
+        const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(
+            votingModule.address, voters_, weights_, ethers.constants.AddressZero, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []
+        );
+        await voting.deployed();
+
+        const voters = [acc1, acc2, acc3];
+        const nonVoters = [acc4];
+
+        return { voting, voters, nonVoters, timeForVoting_ };
+    }
+
+    async function deployVotingWithToken() {
+        [acc1, acc2, acc3, acc4] = await ethers.getSigners();
+
+        const tokenFactory = await ethers.getContractFactory("TestVotesToken");
+        const token = await tokenFactory.deploy();
+        await token.deployed();
+
+        const voters = [acc1, acc2, acc3];
+        const balances = [50, 30, 20];
+        for (let i = 0; i < voters.length; i++) {
+            await token.mint(voters[i].address, balances[i]);
+            await token.connect(voters[i]).delegate(voters[i].address);
+        }
+
+        const timeForVoting_ = 60 * 60 * 24; // == 1 day in seconds
+        const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+        const votingModule = await deployModule(ethers);
+        const voting = await votingFactory.deploy(
+            votingModule.address, voters.map(v => v.address), [], token.address, timeForVoting_, majority, noQuorum, 0, timeForVoting_, []
+        );
+        await voting.deployed();
+
+        const nonVoters = [acc4];
+
+        return { voting, token, voters, nonVoters, timeForVoting_ };
+    }
+
+    describe("Deployment", function() {
+        it("Should set fixed weights", async function() {
+            const { voting, voters, nonVoters } = await loadFixture(deployVotingWithWeights);
+
+            expect(await voting.seeToken()).to.equal(ethers.constants.AddressZero);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await voting.seeTotalWeight(1)).to.equal(100);
+            expect(await voting.seeWeightOf(1, voters[0].address)).to.equal(50);
+            expect(await voting.seeWeightOf(1, nonVoters[0].address)).to.equal(0);
+        });
+
+        it("Should not be deployed with wrong weights", async function() {
+            const [acc1, acc2] = await ethers.getSigners();
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+            const votingModule = await deployModule(ethers);
+            const voters_ = [acc1.address, acc2.address];
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, [1], ethers.constants.AddressZero, 60, majority, noQuorum, 0, 60, []))
+            .to.be.revertedWith("Voting_Weighted: Wrong weights!");
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, [1, 0], ethers.constants.AddressZero, 60, majority, noQuorum, 0, 60, []))
+            .to.be.revertedWith("Voting_Weighted: Wrong weights!");
+
+            await expect(votingFactory.deploy(votingModule.address, voters_, [1, 1], acc1.address, 60, majority, noQuorum, 0, 60, []))
+            .to.be.revertedWith("Voting_Weighted: Wrong weights!");
+        });
+
+        it("Should accept only percentage thresholds", async function() {
+            const [acc1] = await ethers.getSigners();
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+            const votingModule = await deployModule(ethers);
+            const twoOfN = { thresholdType: ThresholdType.Absolute, value: 2 };
+
+            await expect(votingFactory.deploy(votingModule.address, [acc1.address], [1], ethers.constants.AddressZero, 60, twoOfN, noQuorum, 0, 60, []))
+            .to.be.revertedWith("Voting: Wrong approval threshold!");
+
+            await expect(votingFactory.deploy(votingModule.address, [acc1.address], [1], ethers.constants.AddressZero, 60, majority, twoOfN, 0, 60, []))
+            .to.be.revertedWith("Voting: Wrong quorum!");
+        });
+
+        it("Should accept only percentage thresholds of policies", async function() {
+            const { voting, voters, timeForVoting_ } = await loadFixture(deployVotingWithWeights);
+            const twoOfN = { thresholdType: ThresholdType.Absolute, value: 2 };
+            // Mode 1 is `PolicyMode.Allowed`
+            const policy = { mode: 1, approvalThreshold: twoOfN, timeForVoting: timeForVoting_, maxValue: 0 };
+
+            // Approval threshold of the policy is checked before the call is forwarded to the module
+            const data = voting.interface.encodeFunctionData("setPolicy", [voters[2].address, "0x00000000", policy]);
+            await voting.createRawProposal(voting.address, data, 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            await expect(voting.makeTransaction(1))
+            .to.emit(voting, "TransactionMade").withArgs(1, false, anyValue);
+
+            await voting.createRawProposal(
+                voting.address,
+                voting.interface.encodeFunctionData("setPolicy", [voters[2].address, "0x00000000", { ...policy, approvalThreshold: majority }]),
+                0, "", ethers.constants.HashZero
+            );
+            await voting.connect(voters[0]).voteForProposal(2, Vote.For);
+            await voting.connect(voters[1]).voteForProposal(2, Vote.For);
+            await expect(voting.makeTransaction(2))
+            .to.emit(voting, "PolicySet");
+        });
+    });
+
+    describe("Voting with fixed weights", function() {
+        it("Should count votes with weights", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithWeights);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[1]).voteForProposal(1, Vote.For);
+            await voting.connect(voters[2]).voteForProposal(1, Vote.Against);
+
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([30, 20, 0]);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Active);
+        });
+
+        it("Should pass proposal with more than half of total weight", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithWeights);
+
+            // 50 of 100 is not enough
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Active);
+
+            // but 50 + 20 of 100 is enough even if the rest is against
+            await voting.connect(voters[1]).voteForProposal(1, Vote.Against);
+            await expect(voting.connect(voters[2]).voteForProposal(1, Vote.For))
+            .to.emit(voting, "ProposalQueued");
+        });
+
+        it("Should count delegated votes with weights of delegators", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithWeights);
+
+            await voting.connect(voters[0]).delegate(voters[2].address);
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+
+            await expect(voting.connect(voters[2]).voteForProposal(1, Vote.For))
+            .to.emit(voting, "ProposalQueued");
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([70, 0, 0]);
+        });
+    });
+
+    describe("Voting with token", function() {
+        it("Should take weights from voting power", async function() {
+            const { voting, token, voters } = await loadFixture(deployVotingWithToken);
+
+            expect(await voting.seeToken()).to.equal(token.address);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await voting.seeTotalWeight(1)).to.equal(100);
+            expect(await voting.seeWeightOf(1, voters[1].address)).to.equal(30);
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            expect((await voting.seeVotes(1)).map(Number)).to.deep.equal([50, 0, 0]);
+        });
+
+        it("Should not change weights when tokens are moved during voting", async function() {
+            const { voting, token, voters } = await loadFixture(deployVotingWithToken);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            // Voter with 30 tokens gives all of them to the voter with 50 tokens
+            await token.connect(voters[1]).transfer(voters[0].address, 30);
+            await token.mint(voters[2].address, 1000);
+
+            expect(await voting.seeWeightOf(1, voters[0].address)).to.equal(50);
+            expect(await voting.seeTotalWeight(1)).to.equal(100);
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            expect(await voting.seeProposalStatus(1)).to.equal(ProposalStatus.Active);
+
+            // New proposal uses new voting power
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await voting.seeTotalWeight(2)).to.equal(1100);
+            expect(await voting.seeWeightOf(2, voters[0].address)).to.equal(80);
+        });
+
+        it("Should not count tokens of non-voters", async function() {
+            const { voting, token, voters, nonVoters } = await loadFixture(deployVotingWithToken);
+
+            await token.mint(nonVoters[0].address, 1000);
+            await token.connect(nonVoters[0]).delegate(nonVoters[0].address);
+
+            await voting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero);
+            expect(await voting.seeTotalWeight(1)).to.equal(100);
+            expect(await voting.seeWeightOf(1, nonVoters[0].address)).to.equal(0);
+
+            await voting.connect(voters[0]).voteForProposal(1, Vote.For);
+            await expect(voting.connect(voters[2]).voteForProposal(1, Vote.For))
+            .to.emit(voting, "ProposalQueued");
+        });
+
+        it("Should not create proposal if voters have no voting power", async function() {
+            const { voting, voters } = await loadFixture(deployVotingWithToken);
+            const token = await (await ethers.getContractFactory("TestVotesToken")).deploy();
+            const votingFactory = await ethers.getContractFactory("VotingForTransaction_Weighted");
+            const votingModule = await deployModule(ethers);
+            const emptyVoting = await votingFactory.deploy(
+                votingModule.address, voters.map(v => v.address), [], token.address, 60, majority, noQuorum, 0, 60, []
+            );
+
+            await expect(emptyVoting.createProposal(voting.address, "", [], 0, "", ethers.constants.HashZero))
+            .to.be.revertedWith("Voting_Weighted: Voters have no voting power!");
+        });
+    });
+});
+
+describe("Storage layout of the module", function() {
+    // Returns storage variables of the contract as `{ label, slot, offset, type }` (label of the type)
+    async function storageOf(contractName) {
+        const { sourceName } = await artifacts.readArtifact(contractName);
+        const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+        const { storage, types } = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+        return storage.map(({ label, slot, offset, type }) => ({ label, slot, offset, type: types[type].label }));
+    }
+
+    it("Should declare storage only in the common storage contract", async function() {
+        expect(await storageOf("VotingForTransactionModule")).to.deep.equal(await storageOf("VotingForTransactionStorage"));
+        expect(await storageOf("VotingForTransaction")).to.deep.equal(await storageOf("VotingForTransactionStorage"));
     });
-});
\ No newline at end of file
+
+    // Module works with storage of every version by delegatecall, so their own variables must go after it
+    for (const version of [
+        "VotingForTransaction_Changeable",
+        "VotingForTransaction_ProposalMakers",
+        "VotingForTransaction_ChangeableProposalMakers",
+        "VotingForTransaction_Weighted"
+    ]) {
+        it(`Should keep storage of the module at the same slots in ${version}`, async function() {
+            const moduleStorage = await storageOf("VotingForTransactionModule");
+            const versionStorage = await storageOf(version);
+
+            expect(moduleStorage).to.not.be.empty;
+            expect(versionStorage.slice(0, moduleStorage.length)).to.deep.equal(moduleStorage);
+        });
+    }
+});